@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { App } = require('@slack/bolt');
+const { markdownToBlocks, markdownToMrkdwn } = require('../shared/slack-markdown');
 
 // 処理中のユーザーを記録（重複防止）- これは残す
 const processingUsers = new Set();
@@ -19,14 +20,17 @@ const userInputHistory = new Map(); // userId -> { category, text }
 // 「続きを読む」の続きを保存する場所を追加
 const pendingContinuations = new Map(); // messageTs -> [残りのメッセージ配列]
 
-// 環境変数からSlackトークンを読み込み
+// 環境変数からSlackトークンを読み込み（リプレイハーネスではモックのSlack Web APIを使う）
 const app = new App({
   socketMode: true,
   appToken: process.env.SLACK_APP_TOKEN,
   token: process.env.SLACK_BOT_TOKEN,
-  logLevel: 'debug'
+  logLevel: 'debug',
+  ...(process.env.SLACK_API_URL ? { clientOptions: { slackApiUrl: process.env.SLACK_API_URL } } : {})
 });
 
+const DIFY_BASE_URL = process.env.DIFY_BASE_URL || 'https://dify.app.uzabase.com/v1';
+
 // 相談カテゴリの選択肢
 const CONSULTATION_CATEGORIES = [
   { text: "承認者", value: "承認者" },
@@ -766,7 +770,7 @@ async function processConsultationInBackground(userKey, userText, consultationCa
     console.log("🔍 Dify API Request Payload:", JSON.stringify(requestPayload, null, 2));
 
     // Dify APIへリクエスト送信（拡張版）
-    const response = await fetch("https://dify.app.uzabase.com/v1/chat-messages", {
+    const response = await fetch(`${DIFY_BASE_URL}/chat-messages`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -956,94 +960,16 @@ async function processConsultationInBackground(userKey, userText, consultationCa
 
 
 
-// より高機能な変換関数（Block Kit使用時）
+// Block Kit使用時の変換関数（共通レンダラーで rich_text / header / divider ブロックを生成）
 function markdownToSlackBlocks(text) {
   if (!text) return [];
-  
-  const blocks = [];
-  const sections = text.split(/\n\s*\n/);
-  
-  for (const section of sections) {
-    if (section.trim() === '') continue;
-    
-    // コードブロックの場合
-    if (section.match(/```/)) {
-      const codeMatch = section.match(/```[\w]*\n?([\s\S]*?)```/);
-      if (codeMatch) {
-        blocks.push({
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `\`\`\`\n${codeMatch[1]}\n\`\`\``
-          }
-        });
-        continue;
-      }
-    }
-    
-    // 通常のテキストセクション
-    const cleanText = convertMarkdownToSlack(section);
-    if (cleanText.length > 3000) {
-      // 長いテキストは分割
-      const chunks = cleanText.match(/.{1,3000}(\s|$)/g) || [cleanText];
-      chunks.forEach(chunk => {
-        blocks.push({
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: chunk.trim()
-          }
-        });
-      });
-    } else {
-      blocks.push({
-        type: "section",
-        text: {
-          type: "mrkdwn",
-          text: cleanText
-        }
-      });
-    }
-  }
-  
-  return blocks;
+  return markdownToBlocks(text);
 }
 
-// 特定のMarkdown要素をSlack記法に変換する個別関数
+// MarkdownをSlackのmrkdwn記法に変換する関数（共通レンダラーを使用）
 function convertMarkdownToSlack(text) {
   if (!text) return text;
-  
-  try {
-    // 段階的に変換
-    let result = text;
-    
-    // 1. コードブロック（最初に処理）
-    result = result.replace(/```(\w+)?\n([\s\S]*?)```/g, '```\n$2```');
-    
-    // 2. 太字・斜体
-    result = result.replace(/\*\*(.*?)\*\*/g, '*$1*');
-    result = result.replace(/\b_([^_]+)_\b/g, '_$1_');
-    
-    // 3. 見出し
-    result = result.replace(/^# (.+)$/gm, '*🔹 $1*');
-    result = result.replace(/^## (.+)$/gm, '*▪️ $1*');
-    result = result.replace(/^### (.+)$/gm, '*• $1*');
-    result = result.replace(/^#{4,6} (.+)$/gm, '*$1*');
-    
-    // 4. リスト
-    result = result.replace(/^\s*[\*\-\+] (.+)$/gm, '• $1');
-    
-    // 5. リンク
-    result = result.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>');
-    
-    // 6. クリーンアップ
-    result = result.replace(/\n{3,}/g, '\n\n').trim();
-    
-    return result || text; // 変換に失敗した場合は元のテキストを返す
-  } catch (error) {
-    console.error('convertMarkdownToSlack error:', error);
-    return text; // エラーの場合は元のテキストをそのまま返す
-  }
+  return markdownToMrkdwn(text) || text; // 変換結果が空の場合は元のテキストを返す
 }
 
 // デバッグ用：現在保存されているconversation_idを表示
@@ -1070,11 +996,14 @@ function showUserInputHistory() {
   }
 }
 
-// アプリを起動
+// アプリを起動（リプレイモードではSlackに接続せず、ハーネスからイベントを流し込む）
 (async () => {
+  if (process.env.BOT_REPLAY_MODE === 'true') return;
   await app.start();
   console.log('⚡️ Bot app is running!');
   console.log('📚 カテゴリー履歴管理機能が有効です');
   console.log('💬 conversation_id継続機能が有効です');
   console.log('💾 入力内容保持機能が有効です');
 })();
+
+module.exports = { app, processConsultationInBackground };
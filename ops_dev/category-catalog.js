@@ -0,0 +1,226 @@
+const fs = require('fs');
+
+/**
+ * 相談カテゴリのカタログ（カテゴリごとの問い合わせ先のDifyアプリ・担当・エスカレーション先）
+ *
+ * カテゴリは設定ファイルかNotionのデータベースから読み込み、変更は再起動なしで反映されます。
+ *   CATEGORY_CATALOG_SOURCE             : file または notion（既定: file）
+ *   CATEGORY_CATALOG_PATH               : 設定ファイルのパス（既定: ./consultation-categories.json、変更を検知して再読み込み）
+ *   CATEGORY_CATALOG_NOTION_DATABASE_ID : NotionのデータベースID（NOTION_API_KEY も必要）
+ *   CATEGORY_CATALOG_RELOAD_MINUTES     : Notionから読み込み直す間隔（既定: 5分）
+ * どちらも読み込めない場合は、従来の固定のカテゴリ（DEFAULT_CATEGORIES）で動作します。
+ *
+ * カテゴリの項目（設定ファイルの例は consultation-categories.sample.json を参照）:
+ *   value             : Difyに consultation_category として渡す値（必須）
+ *   label             : 選択肢の表示名（省略時は value）
+ *   description       : 選択肢の下に表示する説明
+ *   keywords          : 質問を自動でカテゴリに振り分ける時のキーワード
+ *   difyApiKeyEnv     : このカテゴリ用のDifyアプリのAPIキーを入れた環境変数名（省略時は DIFY_API_KEY）
+ *   difyBaseUrl       : DifyのAPIのベースURL（省略時は DIFY_BASE_URL）
+ *   inputs            : Difyに追加で渡す入力変数
+ *   ownerUsergroup    : 担当のSlackユーザーグループID（S から始まるID）
+ *   escalationChannel : 担当者に引き継ぐ時の投稿先チャンネルID（省略時は ESCALATION_DEFAULT_CHANNEL）
+ *
+ * Notionのデータベースでは、タイトル列を label とし、次の列を読み込みます（ない列は省略扱い）:
+ *   value / 説明 / キーワード（カンマ区切り） / dify_api_key_env / dify_base_url / dify_inputs（JSON） / 担当グループ / エスカレーション先 / 表示順（数値） / 有効（チェックボックス）
+ */
+
+const DEFAULT_CATEGORIES = [
+  { value: "FP&A", keywords: ["予算", "見通し", "予実", "フォーキャスト", "forecast", "budget", "管理会計", "KPI"] },
+  { value: "Accounting", keywords: ["経費", "精算", "請求書", "仕訳", "支払", "立替", "領収書", "インボイス", "勘定科目"] },
+  { value: "Legal", keywords: ["契約", "NDA", "法務", "規約", "覚書", "押印", "知財", "商標"] },
+  { value: "IT", keywords: ["PC", "パソコン", "アカウント", "パスワード", "VPN", "Wi-Fi", "Slack", "Google", "ログイン", "SaaS"] },
+  { value: "ガバナンス", keywords: ["規程", "内部統制", "稟議", "決裁", "コンプライアンス", "J-SOX", "監査"] },
+  { value: "CPT" },
+  { value: "MPT" },
+  { value: "全般" }
+].map(normalizeCategory);
+
+const DEFAULT_RELOAD_MS = 5 * 60 * 1000; // 5分
+
+function normalizeCategory(raw) {
+  return {
+    value: String(raw.value),
+    label: raw.label || String(raw.value),
+    description: raw.description || "",
+    keywords: Array.isArray(raw.keywords)
+      ? raw.keywords.map(String).filter(Boolean)
+      : String(raw.keywords || "").split(/[,、\n]/).map(keyword => keyword.trim()).filter(Boolean),
+    difyApiKeyEnv: raw.difyApiKeyEnv || "",
+    difyBaseUrl: raw.difyBaseUrl || "",
+    inputs: { ...(raw.inputs || {}) },
+    ownerUsergroup: raw.ownerUsergroup || "",
+    escalationChannel: raw.escalationChannel || ""
+  };
+}
+
+// 読み込んだカテゴリを検証する（valueの重複・欠落があれば設定ミスとして扱う）
+function validateCategories(rawCategories, source) {
+  if (!Array.isArray(rawCategories) || rawCategories.length === 0) {
+    throw new Error(`${source} にカテゴリが1件もありません`);
+  }
+  const categories = rawCategories.map(normalizeCategory);
+  const seen = new Set();
+  for (const category of categories) {
+    if (!category.value || category.value === 'undefined') {
+      throw new Error(`${source} に value のないカテゴリがあります`);
+    }
+    if (seen.has(category.value)) {
+      throw new Error(`${source} のカテゴリ「${category.value}」が重複しています`);
+    }
+    seen.add(category.value);
+  }
+  return categories;
+}
+
+function loadFromFile(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return validateCategories(config.categories, filePath);
+}
+
+function getNotionText(property) {
+  if (!property) return "";
+  const parts = property.title || property.rich_text || [];
+  if (Array.isArray(parts) && parts.length > 0) {
+    return parts.map(part => part.plain_text).join('').trim();
+  }
+  if (property.type === 'select' && property.select) return property.select.name;
+  return "";
+}
+
+async function loadFromNotion(databaseId) {
+  // Notionを使う場合だけ必要になるため、ここで読み込む
+  const { Client } = require('@notionhq/client');
+  const notion = new Client({ auth: process.env.NOTION_API_KEY });
+
+  const pages = [];
+  let cursor;
+  do {
+    const response = await notion.databases.query({ database_id: databaseId, start_cursor: cursor, page_size: 100 });
+    pages.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  const rows = pages
+    .map(page => page.properties)
+    .filter(properties => !properties['有効'] || properties['有効'].checkbox !== false)
+    .map(properties => {
+      const titleProperty = Object.values(properties).find(property => property.type === 'title');
+      const label = getNotionText(titleProperty);
+      const inputsText = getNotionText(properties['dify_inputs']);
+      let inputs = {};
+      if (inputsText) {
+        try {
+          inputs = JSON.parse(inputsText);
+        } catch (e) {
+          console.warn(`⚠️ カテゴリ「${label}」の dify_inputs がJSONではないため無視します: ${inputsText}`);
+        }
+      }
+      return {
+        order: properties['表示順'] && typeof properties['表示順'].number === 'number' ? properties['表示順'].number : Number.MAX_SAFE_INTEGER,
+        value: getNotionText(properties['value']) || label,
+        label,
+        description: getNotionText(properties['説明']),
+        keywords: getNotionText(properties['キーワード']),
+        difyApiKeyEnv: getNotionText(properties['dify_api_key_env']),
+        difyBaseUrl: getNotionText(properties['dify_base_url']),
+        inputs,
+        ownerUsergroup: getNotionText(properties['担当グループ']),
+        escalationChannel: getNotionText(properties['エスカレーション先'])
+      };
+    })
+    .sort((a, b) => a.order - b.order);
+
+  return validateCategories(rows, `Notionデータベース(${databaseId})`);
+}
+
+// カテゴリのカタログを作成する関数
+function createCategoryCatalog({
+  source = process.env.CATEGORY_CATALOG_SOURCE || 'file',
+  filePath = process.env.CATEGORY_CATALOG_PATH || './consultation-categories.json',
+  databaseId = process.env.CATEGORY_CATALOG_NOTION_DATABASE_ID,
+  reloadMs = (Number(process.env.CATEGORY_CATALOG_RELOAD_MINUTES) || 0) * 60 * 1000 || DEFAULT_RELOAD_MS
+} = {}) {
+  let categories = null;
+  let loadedAt = 0;
+  let loadedMtime = 0;
+  let loading = null;
+
+  function needsReload() {
+    if (!categories) return true;
+    if (source === 'notion') return Date.now() - loadedAt > reloadMs;
+    try {
+      return fs.statSync(filePath).mtimeMs !== loadedMtime;
+    } catch (e) {
+      return loadedMtime !== 0; // 設定ファイルが削除された
+    }
+  }
+
+  async function reload() {
+    try {
+      if (source === 'notion') {
+        if (!databaseId) throw new Error('CATEGORY_CATALOG_NOTION_DATABASE_ID が設定されていません');
+        categories = await loadFromNotion(databaseId);
+      } else if (fs.existsSync(filePath)) {
+        loadedMtime = fs.statSync(filePath).mtimeMs;
+        categories = loadFromFile(filePath);
+      } else {
+        loadedMtime = 0;
+        categories = DEFAULT_CATEGORIES;
+      }
+      console.log(`📂 相談カテゴリを読み込みました (${source}): ${categories.map(category => category.label).join(', ')}`);
+    } catch (error) {
+      // 設定ミスで相談を受け付けられなくならないよう、直前のカタログ（なければ既定のカテゴリ）を使い続ける
+      console.error(`❌ 相談カテゴリの読み込みに失敗しました (${source}):`, error.message);
+      categories = categories || DEFAULT_CATEGORIES;
+    }
+    loadedAt = Date.now();
+    return categories;
+  }
+
+  return {
+    // 最新のカテゴリ一覧を返す
+    async getCategories() {
+      if (needsReload()) {
+        loading = loading || reload().finally(() => { loading = null; });
+        await loading;
+      }
+      return categories;
+    },
+    // value に一致するカテゴリを返す（ない場合は null）
+    async findCategory(value) {
+      const list = await this.getCategories();
+      return list.find(category => category.value === value) || null;
+    },
+    // 読み込み済みのカテゴリ一覧をすぐに返す（Slackに3秒以内に応答する処理用。古い場合は裏で読み込み直す）
+    getCachedCategories() {
+      if (needsReload() && !loading) {
+        loading = reload().finally(() => { loading = null; });
+      }
+      return categories || DEFAULT_CATEGORIES;
+    },
+    // 読み込み済みのカテゴリから value に一致するものを返す（ない場合は null）
+    findCachedCategory(value) {
+      return this.getCachedCategories().find(category => category.value === value) || null;
+    }
+  };
+}
+
+// カテゴリの問い合わせ先のDifyアプリを返す関数（カタログにないカテゴリは既定のアプリ）
+function getCategoryDifyApp(category, defaultBaseUrl) {
+  const apiKeyEnv = (category && category.difyApiKeyEnv) || 'DIFY_API_KEY';
+  const apiKey = process.env[apiKeyEnv];
+  if (!apiKey) {
+    throw new Error(`カテゴリ「${category ? category.label : '（未登録）'}」のDify APIキー（環境変数 ${apiKeyEnv}）が設定されていません`);
+  }
+  const baseUrl = ((category && category.difyBaseUrl) || defaultBaseUrl).replace(/\/+$/, '');
+  return {
+    // 会話IDはDifyアプリごとに異なるため、引き継いでよいかの判定に使う
+    appId: `${baseUrl}|${apiKeyEnv}`,
+    baseUrl,
+    apiKey,
+    inputs: category ? category.inputs : {}
+  };
+}
+
+module.exports = { createCategoryCatalog, getCategoryDifyApp, DEFAULT_CATEGORIES };
@@ -0,0 +1,115 @@
+/**
+ * 質問文を相談カテゴリに自動で振り分けるモジュール
+ *
+ * 1. カテゴリの keywords が質問文に含まれる数で判定する（最多のカテゴリが1つに決まればそれを使う）
+ * 2. 決まらない場合、CATEGORY_CLASSIFIER_API_KEY があれば分類用のDifyアプリに問い合わせる
+ *    （チャットアプリを想定。入力変数 categories に「value: 説明」の一覧を渡し、回答のカテゴリ名を使う）
+ * 3. それでも決まらない場合は DEFAULT_CONSULTATION_CATEGORY（既定: 全般）にする
+ *
+ *   CATEGORY_CLASSIFIER_API_KEY    : 分類用のDifyアプリのAPIキー（省略時はキーワードのみで判定）
+ *   CATEGORY_CLASSIFIER_TIMEOUT_MS : 分類用のDifyアプリの待ち時間（既定: 10000）
+ *   DEFAULT_CONSULTATION_CATEGORY  : 判定できなかった時のカテゴリ（既定: 全般）
+ */
+
+const DEFAULT_CLASSIFIER_TIMEOUT_MS = 10000;
+
+// キーワードの一致数でカテゴリを絞り込む（一致数が最多のカテゴリの配列を返す）
+function matchByKeywords(text, categories) {
+  const normalizedText = text.toLowerCase();
+  let bestScore = 0;
+  let best = [];
+  for (const category of categories) {
+    const score = category.keywords.filter(keyword => normalizedText.includes(keyword.toLowerCase())).length;
+    if (score > bestScore) {
+      bestScore = score;
+      best = [category];
+    } else if (score > 0 && score === bestScore) {
+      best.push(category);
+    }
+  }
+  return best;
+}
+
+// 分類用のDifyアプリの回答からカテゴリを探す
+function findCategoryInAnswer(answer, categories) {
+  const cleaned = String(answer || '').trim().replace(/^[「『"'`*\s]+|[」』"'`*。\s]+$/g, '');
+  const exact = categories.find(category => category.value === cleaned || category.label === cleaned);
+  if (exact) return exact;
+  // 「カテゴリ: IT」のように説明付きで返ってきた場合は、長い名前から順に含まれるかを調べる
+  const byLength = [...categories].sort((a, b) => b.value.length - a.value.length);
+  return byLength.find(category => cleaned.includes(category.value) || cleaned.includes(category.label)) || null;
+}
+
+// 分類用のDifyアプリに問い合わせる
+async function classifyWithDify(text, categories, { baseUrl, userId }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), Number(process.env.CATEGORY_CLASSIFIER_TIMEOUT_MS) || DEFAULT_CLASSIFIER_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${baseUrl}/chat-messages`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${process.env.CATEGORY_CLASSIFIER_API_KEY}`
+      },
+      body: JSON.stringify({
+        inputs: {
+          categories: categories.map(category => `${category.value}${category.description ? `: ${category.description}` : ''}`).join('\n')
+        },
+        query: text,
+        response_mode: "blocking",
+        conversation_id: "",
+        user: userId
+      }),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    const category = findCategoryInAnswer(data.answer, categories);
+    if (!category) {
+      console.warn(`⚠️ 分類用のDifyアプリの回答がカテゴリに一致しません: ${String(data.answer).substring(0, 100)}`);
+    }
+    return category;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * 質問文のカテゴリを判定する関数
+ * @param {string} text - 質問文
+ * @param {Array<object>} categories - カタログのカテゴリ一覧
+ * @param {object} options
+ * @param {string} options.baseUrl - DifyのAPIのベースURL
+ * @param {string} options.userId - Difyに渡すユーザーID
+ * @returns {Promise<{category: object, method: string}>} method は keyword / dify / default
+ */
+async function classifyConsultation(text, categories, { baseUrl, userId }) {
+  const candidates = matchByKeywords(text, categories);
+  if (candidates.length === 1) {
+    return { category: candidates[0], method: 'keyword' };
+  }
+
+  if (process.env.CATEGORY_CLASSIFIER_API_KEY) {
+    try {
+      // キーワードで複数のカテゴリに絞れた場合は、その中から選んでもらう
+      const category = await classifyWithDify(text, candidates.length > 1 ? candidates : categories, { baseUrl, userId });
+      if (category) {
+        return { category, method: 'dify' };
+      }
+    } catch (error) {
+      // 分類に失敗しても回答はできるよう、キーワード・既定のカテゴリで続ける
+      console.error("❌ 分類用のDifyアプリの呼び出しに失敗しました:", error.message);
+    }
+  }
+
+  if (candidates.length > 0) {
+    return { category: candidates[0], method: 'keyword' };
+  }
+  const defaultValue = process.env.DEFAULT_CONSULTATION_CATEGORY || '全般';
+  const fallback = categories.find(category => category.value === defaultValue) || categories[categories.length - 1];
+  return { category: fallback, method: 'default' };
+}
+
+module.exports = { classifyConsultation };
@@ -0,0 +1,66 @@
+const { getDifyFileType } = require('../shared/dify-files');
+
+/**
+ * 相談フォームに添付されたSlackのファイルをDifyにアップロードするモジュール
+ *
+ * ファイルはカテゴリごとのDifyアプリにアップロードし、chat-messages の files に渡す形式で返します。
+ * 1つのファイルのダウンロード・アップロードに失敗しても、残りのファイルと質問の送信は続けます。
+ */
+
+// Slackからファイルをダウンロードする関数（ボットトークンで認証）
+async function downloadSlackFile(file) {
+  const response = await fetch(file.url_private_download || file.url_private, {
+    headers: { "Authorization": `Bearer ${process.env.SLACK_BOT_TOKEN}` }
+  });
+  if (!response.ok) {
+    throw new Error(`Slackからのダウンロードに失敗しました: status ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// DifyのアプリにファイルをアップロードしてIDを返す関数
+async function uploadFileToDify(file, content, { baseUrl, apiKey, userId }) {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type: file.mimetype || 'application/octet-stream' }), file.name);
+  form.append('user', userId);
+
+  const response = await fetch(`${baseUrl}/files/upload`, {
+    method: "POST",
+    headers: { "Authorization": `Bearer ${apiKey}` },
+    body: form
+  });
+  if (!response.ok) {
+    throw new Error(`Difyへのアップロードに失敗しました: status ${response.status} ${await response.text()}`);
+  }
+  return (await response.json()).id;
+}
+
+/**
+ * Slackのファイルをダウンロードし、Difyにアップロードする関数
+ * @param {Array<object>} files - Slackのファイル（url_private_download・name・mimetype）
+ * @param {object} difyApp - getCategoryDifyApp の戻り値（baseUrl・apiKey）
+ * @param {string} userId - Difyに渡すユーザーID
+ * @returns {Promise<{difyFiles: Array<object>, failedNames: Array<string>}>}
+ */
+async function uploadSlackFilesToDify(files, difyApp, userId) {
+  const difyFiles = [];
+  const failedNames = [];
+  for (const file of files) {
+    try {
+      const content = await downloadSlackFile(file);
+      const uploadFileId = await uploadFileToDify(file, content, { baseUrl: difyApp.baseUrl, apiKey: difyApp.apiKey, userId });
+      difyFiles.push({
+        type: getDifyFileType(file.mimetype, file.name),
+        transfer_method: "local_file",
+        upload_file_id: uploadFileId
+      });
+      console.log(`📎 添付ファイルをDifyにアップロードしました: ${file.name} -> ${uploadFileId}`);
+    } catch (error) {
+      console.error(`❌ 添付ファイルをDifyに渡せませんでした (${file.name}):`, error.message);
+      failedNames.push(file.name);
+    }
+  }
+  return { difyFiles, failedNames };
+}
+
+module.exports = { uploadSlackFilesToDify };
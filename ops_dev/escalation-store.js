@@ -0,0 +1,92 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('../shared/json-file');
+
+/**
+ * 担当者への相談（エスカレーション）の記録
+ *
+ * 相談者のスレッドとOpsチームの相談カードを結び付けるため、すべての相談をJSONファイルに保存します。
+ * カードの投稿に失敗した相談も残しておき、起動時に投稿し直します（解決済みの相談も履歴として残します）。
+ *   ESCALATION_STORE_PATH : 保存先（既定: ./.data/escalations.json）
+ *
+ * 相談の状態: open（未対応） → claimed（対応中） → resolved（解決済み）
+ */
+
+// 相談の記録を作成する関数
+function createEscalationStore({
+  filePath = process.env.ESCALATION_STORE_PATH || './.data/escalations.json'
+} = {}) {
+  const escalations = new Map(); // id -> 相談
+  let writing = Promise.resolve();
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const escalation of data.escalations || []) {
+      escalations.set(escalation.id, escalation);
+    }
+    const pending = [...escalations.values()].filter(escalation => escalation.status !== 'resolved').length;
+    console.log(`📋 担当者への相談を読み込みました: ${escalations.size}件（未解決 ${pending}件）`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error(`❌ 担当者への相談の読み込みに失敗しました (${filePath}):`, e.message);
+    }
+  }
+
+  // 書き込みは順番に行い、途中で落ちても壊れたファイルが残らないよう一時ファイルから置き換える（shared/json-file.js）
+  function save() {
+    writing = writeJsonAtomic(filePath, { version: 1, escalations: [...escalations.values()] }, { space: 2 }).catch(e => {
+      console.error(`❌ 担当者への相談の保存に失敗しました (${filePath}):`, e.message);
+    });
+    return writing;
+  }
+
+  return {
+    // 相談を登録する（status は open）
+    create(fields) {
+      const now = new Date().toISOString();
+      const escalation = {
+        id: `esc-${crypto.randomUUID().substring(0, 8)}`,
+        status: 'open',
+        createdAt: now,
+        updatedAt: now,
+        cardChannel: null,
+        cardTs: null,
+        noticeTs: null,
+        claimedBy: null,
+        claimedAt: null,
+        resolvedBy: null,
+        resolvedAt: null,
+        ...fields
+      };
+      escalations.set(escalation.id, escalation);
+      save();
+      return escalation;
+    },
+    get(id) {
+      return escalations.get(id) || null;
+    },
+    // 相談の項目を更新する
+    update(id, values) {
+      const escalation = escalations.get(id);
+      if (!escalation) return null;
+      Object.assign(escalation, values, { updatedAt: new Date().toISOString() });
+      save();
+      return escalation;
+    },
+    // スレッドの未解決の相談を返す（同じスレッドから二重に相談しないため）
+    findUnresolvedByThread(channel, threadTs) {
+      return [...escalations.values()].find(escalation =>
+        escalation.channel === channel && escalation.threadTs === threadTs && escalation.status !== 'resolved'
+      ) || null;
+    },
+    // カードをまだ投稿できていない未解決の相談を返す
+    listUnposted() {
+      return [...escalations.values()].filter(escalation => !escalation.cardTs && escalation.status !== 'resolved');
+    },
+    flush() {
+      return writing;
+    }
+  };
+}
+
+module.exports = { createEscalationStore };
@@ -1,5 +1,12 @@
 require('dotenv').config();
 const { App } = require('@slack/bolt');
+const { readDifyStream } = require('../shared/dify-sse-parser');
+const { markdownToMrkdwn, renderAnswerMessages, escapeSlackText } = require('../shared/slack-markdown');
+const { createCategoryCatalog, getCategoryDifyApp } = require('./category-catalog');
+const { classifyConsultation } = require('./category-classifier');
+const { createEscalationStore } = require('./escalation-store');
+const { uploadSlackFilesToDify } = require('./dify-files');
+const { createJobQueue } = require('./job-queue');
 
 // 処理中のユーザーを記録（重複防止）- これは残す
 const processingUsers = new Set();
@@ -8,13 +15,14 @@ const processingUsers = new Set();
 const errorHandledMessages = new Set();
 
 // ユーザーごとのconversation_idを保存するMap（メモリ内）
-const userConversations = new Map(); // userId -> conversation_id
+// 会話IDはDifyアプリごとに異なるため、どのアプリの会話かも保存する
+const userConversations = new Map(); // userId -> { conversationId, appId }
 
 // カテゴリー履歴を管理するMap
 const userCategoryHistory = new Map(); // userId -> [category1, category2, ...]
 
 // ユーザーの入力内容を一時保存するMap
-const userInputHistory = new Map(); // userId -> { category, text }
+const userInputHistory = new Map(); // userId -> { category, text, urgency, links }
 
 // 「続きを読む」の続きを保存する場所を追加
 const pendingContinuations = new Map(); // messageTs -> [残りのメッセージ配列]
@@ -24,21 +32,68 @@ const app = new App({
   socketMode: true,
   appToken: process.env.SLACK_APP_TOKEN,
   token: process.env.SLACK_BOT_TOKEN,
-  logLevel: 'debug'
+  logLevel: 'debug',
+  // オフライン検証（shared/replay）ではモックのSlack Web APIを使う
+  ...(process.env.SLACK_API_URL ? { clientOptions: { slackApiUrl: process.env.SLACK_API_URL } } : {})
 });
 
-// 相談カテゴリの選択肢
-const CONSULTATION_CATEGORIES = [
-  { text: "FP&A", value: "FP&A" },
-  { text: "Accounting", value: "Accounting" },
-  { text: "Legal", value: "Legal" },
-  { text: "IT", value: "IT" },
-  { text: "ガバナンス", value: "ガバナンス" },
-  { text: "CPT", value: "CPT" },
-  { text: "MPT", value: "MPT" },
-  { text: "全般", value: "全般" }
+// DifyのAPIのベースURL（オフライン検証ではモックのDifyサーバーを指定する）
+const DIFY_BASE_URL = process.env.DIFY_BASE_URL || 'https://dify.app.uzabase.com/v1';
+
+// 相談カテゴリのカタログ（設定ファイルまたはNotionから読み込み、変更は再デプロイなしで反映）
+const categoryCatalog = createCategoryCatalog();
+
+// 選択肢の説明（description）の最大文字数（Slackの制限は75文字）
+const CATEGORY_HINT_MAX_LENGTH = 75;
+
+// 相談フォームの緊急度の選択肢（value はDifyに urgency として渡す）
+const CONSULTATION_URGENCIES = [
+  { text: "🔴 高（今日中に回答が必要）", value: "high" },
+  { text: "🟡 中（数日以内に回答が必要）", value: "normal" },
+  { text: "🟢 低（急ぎではない）", value: "low" }
 ];
 
+// 相談フォームに添付できるファイルの最大数
+const CONSULTATION_MAX_FILES = 5;
+
+// 担当者への相談の記録（Opsチームへの引き継ぎを取りこぼさないよう保存する）
+const escalationStore = createEscalationStore();
+
+// 担当者への相談カードに載せる質問・AIの回答の最大文字数（ボタンのvalueは2000文字まで）
+const ESCALATION_QUESTION_MAX_LENGTH = 800;
+const ESCALATION_SUMMARY_MAX_LENGTH = 500;
+const BUTTON_VALUE_MAX_LENGTH = 2000;
+
+// Deep researchのカテゴリ（カタログにないため既定のDifyアプリに問い合わせる）
+const DEEP_RESEARCH_CATEGORY = "Deep research";
+
+// Deep researchのジョブ（数分かかるため、通常の質問とは別に同時実行数を制限して順番に実行する）
+//   DEEP_RESEARCH_CONCURRENCY       : 同時に実行するジョブの数（既定: 1）
+//   DEEP_RESEARCH_JOB_STORE_PATH    : ジョブの記録の保存先（既定: ./.data/deep-research-jobs.json）
+const deepResearchJobs = createJobQueue({
+  name: 'Deep research',
+  filePath: process.env.DEEP_RESEARCH_JOB_STORE_PATH || './.data/deep-research-jobs.json',
+  concurrency: Number(process.env.DEEP_RESEARCH_CONCURRENCY) || 1,
+  run: runDeepResearchJob,
+  onChange: updateDeepResearchStatus
+});
+
+// Deep researchのジョブの状態の表示
+const DEEP_RESEARCH_STATUS_LABELS = {
+  queued: "⏳ 順番待ち（ほかの調査が終わり次第開始します）",
+  running: "🔄 調査中（数分かかることがあります）",
+  done: "✅ 完了",
+  failed: "❌ 失敗",
+  cancelled: "⏹️ キャンセル済み"
+};
+
+// 担当者への相談の状態の表示
+const ESCALATION_STATUS_LABELS = {
+  open: "🟡 未対応",
+  claimed: "🔵 対応中",
+  resolved: "✅ 解決済み"
+};
+
 // カテゴリー履歴を取得する関数
 function getUserCategoryHistory(userId) {
   const history = userCategoryHistory.get(userId) || [];
@@ -61,9 +116,15 @@ function updateCategoryHistory(userId, newCategory) {
   console.log(`📝 ${userId} のカテゴリー履歴: ${getUserCategoryHistory(userId)}`);
 }
 
+// ユーザーの既存conversation_idを取得する関数（なければ空文字）
+function getUserConversationId(userId) {
+  const saved = userConversations.get(userId);
+  return saved ? saved.conversationId : "";
+}
+
 // ユーザーの入力内容を保存する関数
-function saveUserInput(userId, category, text) {
-  userInputHistory.set(userId, { category, text });
+function saveUserInput(userId, category, text, { urgency = "normal", links = [] } = {}) {
+  userInputHistory.set(userId, { category, text, urgency, links });
   console.log(`💾 ${userId} の入力内容を保存: ${category} - ${text.substring(0, 50)}...`);
 }
 
@@ -77,56 +138,199 @@ async function postSlackMessage(client, channel, text, options = {}) {
   });
 }
 
-// Block Kit UIを生成する関数（前回の入力内容を反映）
-function createConsultationBlocks(userId = null) {
-  const savedInput = userId ? userInputHistory.get(userId) : null;
-  
-  const blocks = [
-    {
-      type: "section",
-      text: {
-        type: "mrkdwn",
-        text: "どのような領域についてご質問されますか？カテゴリを選択して、質問内容を入力してください。"
-      }
+// 選択肢の表示用オブジェクトを生成する関数
+function createOption(text, value, description = "") {
+  const option = {
+    text: {
+      type: "plain_text",
+      text
     },
-    {
-      type: "input",
-      block_id: "category_select",
-      element: {
-        type: "static_select",
-        action_id: "consultation_category",
-        placeholder: {
+    value
+  };
+  if (description) {
+    option.description = {
+      type: "plain_text",
+      text: description.length > CATEGORY_HINT_MAX_LENGTH
+        ? description.substring(0, CATEGORY_HINT_MAX_LENGTH - 1) + '…'
+        : description
+    };
+  }
+  return option;
+}
+
+// 相談フォームのモーダルを生成する関数（initialInput、なければ前回の入力内容を反映）
+// metadata には回答を投稿するスレッド（channel, threadTs）を渡す
+// trigger_id は3秒で無効になるため、カテゴリはNotionなどから読み込むのを待たずに読み込み済みのものを使う
+function createConsultationModal(userId, metadata, initialInput) {
+  const savedInput = initialInput || userInputHistory.get(userId) || null;
+  const categories = categoryCatalog.getCachedCategories();
+
+  // カテゴリの説明を選択肢のヒントとして表示
+  const categoryOptions = categories.map(cat => createOption(cat.label, cat.value, cat.description));
+  const urgencyOptions = CONSULTATION_URGENCIES.map(urgency => createOption(urgency.text, urgency.value));
+
+  const categoryElement = {
+    type: "static_select",
+    action_id: "consultation_category",
+    placeholder: {
+      type: "plain_text",
+      text: "カテゴリを選択してください"
+    },
+    options: categoryOptions
+  };
+  const textElement = {
+    type: "plain_text_input",
+    action_id: "consultation_text",
+    multiline: true,
+    placeholder: {
+      type: "plain_text",
+      text: "質問内容を詳しく教えてください..."
+    }
+  };
+  const urgencyElement = {
+    type: "static_select",
+    action_id: "consultation_urgency",
+    options: urgencyOptions,
+    initial_option: urgencyOptions.find(option => option.value === ((savedInput && savedInput.urgency) || "normal"))
+  };
+  const linksElement = {
+    type: "plain_text_input",
+    action_id: "consultation_links",
+    multiline: true,
+    placeholder: {
+      type: "plain_text",
+      text: "https://..."
+    }
+  };
+
+  // 前回の入力内容がある場合は、初期値を設定
+  if (savedInput) {
+    // カテゴリーの初期値設定（カタログから削除されたカテゴリは選択しない）
+    const savedOption = categoryOptions.find(option => option.value === savedInput.category);
+    if (savedOption) {
+      categoryElement.initial_option = savedOption;
+    }
+    if (savedInput.text) {
+      textElement.initial_value = savedInput.text;
+    }
+    if (savedInput.links && savedInput.links.length > 0) {
+      linksElement.initial_value = savedInput.links.join('\n');
+    }
+  }
+
+  return {
+    type: "modal",
+    callback_id: "consultation_modal",
+    private_metadata: JSON.stringify(metadata),
+    title: {
+      type: "plain_text",
+      text: "Opsへの相談"
+    },
+    submit: {
+      type: "plain_text",
+      text: "質問する"
+    },
+    close: {
+      type: "plain_text",
+      text: "キャンセル"
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "どのような領域についてご質問されますか？カテゴリを選択して、質問内容を入力してください。"
+        }
+      },
+      {
+        type: "input",
+        block_id: "category_select",
+        element: categoryElement,
+        label: {
           type: "plain_text",
-          text: "カテゴリを選択してください"
-        },
-        options: CONSULTATION_CATEGORIES.map(cat => ({
-          text: {
-            type: "plain_text",
-            text: cat.text
-          },
-          value: cat.value
-        }))
+          text: "質問カテゴリ"
+        }
       },
-      label: {
-        type: "plain_text",
-        text: "質問カテゴリ"
-      }
-    },
-    {
-      type: "input",
-      block_id: "consultation_input",
-      element: {
-        type: "plain_text_input",
-        action_id: "consultation_text",
-        multiline: true,
-        placeholder: {
+      {
+        type: "input",
+        block_id: "consultation_input",
+        element: textElement,
+        label: {
           type: "plain_text",
-          text: "質問内容を詳しく教えてください..."
+          text: "質問内容"
         }
       },
-      label: {
-        type: "plain_text",
-        text: "質問内容"
+      {
+        type: "input",
+        block_id: "urgency_select",
+        element: urgencyElement,
+        label: {
+          type: "plain_text",
+          text: "緊急度"
+        }
+      },
+      {
+        type: "input",
+        block_id: "related_links",
+        optional: true,
+        element: linksElement,
+        label: {
+          type: "plain_text",
+          text: "関連リンク"
+        },
+        hint: {
+          type: "plain_text",
+          text: "1行に1つずつURLを入力してください"
+        }
+      },
+      {
+        type: "input",
+        block_id: "consultation_files",
+        optional: true,
+        element: {
+          type: "file_input",
+          action_id: "consultation_files",
+          max_files: CONSULTATION_MAX_FILES
+        },
+        label: {
+          type: "plain_text",
+          text: "添付ファイル"
+        }
+      }
+    ]
+  };
+}
+
+// 相談フォームのモーダルを開く関数
+async function openConsultationModal(client, triggerId, userId, metadata, initialInput) {
+  await client.views.open({
+    trigger_id: triggerId,
+    view: createConsultationModal(userId, metadata, initialInput)
+  });
+}
+
+// 「カテゴリを変更」ボタンの value（判定したカテゴリと質問文）を作る関数
+// 同じユーザーが別のスレッドで質問し直しても、ボタンを押したスレッドの内容でフォームを開けるようにボタン自体に持たせる
+// value は2000文字までのため、長い質問文は末尾を切り詰める
+function createCategoryChangeValue(category, text) {
+  let characters = Array.from(text);
+  let value = JSON.stringify({ category, text });
+  while (value.length > BUTTON_VALUE_MAX_LENGTH) {
+    // 1文字はエスケープで最大6文字になるため、超えた分の1/6ずつ削って上限に近い長さで収める
+    characters = characters.slice(0, characters.length - Math.ceil((value.length - BUTTON_VALUE_MAX_LENGTH) / 6));
+    value = JSON.stringify({ category, text: characters.join('') });
+  }
+  return value;
+}
+
+// 相談フォームのボタン（モーダルはトリガーIDが必要なため、メッセージからはボタン経由で開く）
+function createOpenModalBlocks(text) {
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text
       }
     },
     {
@@ -136,47 +340,17 @@ function createConsultationBlocks(userId = null) {
           type: "button",
           text: {
             type: "plain_text",
-            text: "質問する"
+            text: "📝 相談フォームを開く"
           },
           style: "primary",
-          action_id: "submit_consultation"
+          action_id: "open_consultation_modal"
         }
       ]
     }
   ];
-
-  // 前回の入力内容がある場合は、初期値を設定
-  if (savedInput) {
-    // カテゴリーの初期値設定
-    if (savedInput.category) {
-      blocks[1].element.initial_option = {
-        text: {
-          type: "plain_text",
-          text: savedInput.category
-        },
-        value: savedInput.category
-      };
-    }
-    
-    // テキストの初期値設定
-    if (savedInput.text) {
-      blocks[2].element.initial_value = savedInput.text;
-    }
-
-    // 前回の内容を表示するセクションを追加
-    blocks.splice(1, 0, {
-      type: "section",
-      text: {
-        type: "mrkdwn",
-        text: `💡 *前回の入力内容*\n*カテゴリ:* ${savedInput.category}\n*質問:* ${savedInput.text.substring(0, 100)}${savedInput.text.length > 100 ? '...' : ''}`
-      }
-    });
-  }
-
-  return blocks;
 }
 
-// メッセージイベント: ボット宛の発言はBlock Kit UIを表示
+// メッセージイベント: ボット宛の曖昧な発言には相談フォームのボタンを表示
 app.message(async ({ message, client, event, say }) => {
   try {
     // ボットのユーザーIDを取得
@@ -217,7 +391,7 @@ app.message(async ({ message, client, event, say }) => {
       'お疲れ様'
     ];
 
-    // 空文字または曖昧な表現の場合のみBlock Kit UIを表示
+    // 空文字または曖昧な表現の場合のみ相談フォームのボタンを表示
     if (userText === '' || 
         vaguePatterns.includes(userText.trim())) {
       
@@ -226,15 +400,15 @@ app.message(async ({ message, client, event, say }) => {
       await client.chat.postMessage({
         channel: message.channel,
         thread_ts: threadTs,
-        text: "質問内容を入力してください",
-        blocks: createConsultationBlocks(userId) // ユーザーIDを渡して前回の入力内容を反映
+        text: "相談フォームから質問内容を入力してください",
+        blocks: createOpenModalBlocks("どのような領域についてご質問されますか？相談フォームからカテゴリを選択して、質問内容を入力してください。")
       });
       
       return;
     }
 
     // 具体的な質問の場合は、従来の自動カテゴリ判定で処理
-    handleDirectConsultation(userText, message, client);
+    await handleDirectConsultation(userText, message, client);
 
   } catch (err) {
     console.error("Error in main message handler:", err);
@@ -249,59 +423,204 @@ app.message(async ({ message, client, event, say }) => {
   }
 });
 
-// Block Kit UIからの送信ボタンクリック処理
+// 具体的な質問をカテゴリを自動判定して回答する関数（フォームを経由しない）
+async function handleDirectConsultation(userText, message, client) {
+  const actualMessage = message.subtype === 'message_changed' ? message.message : message;
+  const userId = actualMessage.user;
+  const threadTs = actualMessage.ts;
+
+  // 重複防止キー生成（編集・再送で同じ内容が届いた場合は処理しない）
+  const crypto = require('crypto');
+  const contentHash = crypto.createHash('md5').update(userText).digest('hex').substring(0, 8);
+  const userKey = `${userId}-${threadTs}-${contentHash}`;
+  if (processingUsers.has(userKey)) {
+    console.log(`重複処理をスキップ: ${userKey}`);
+    return;
+  }
+  processingUsers.add(userKey);
+
+  try {
+    const categories = await categoryCatalog.getCategories();
+    const { category, method } = await classifyConsultation(userText, categories, { baseUrl: DIFY_BASE_URL, userId });
+    console.log(`🏷️ カテゴリを自動判定: ${category.value} (${method}), 内容: ${userText}`);
+
+    // 「編集」でフォームを開いた時に、判定したカテゴリと質問文を初期値にする
+    saveUserInput(userId, category.value, userText);
+
+    // 判定したカテゴリを表示（違っていればフォームから選び直せる）
+    await client.chat.postMessage({
+      channel: message.channel,
+      thread_ts: threadTs,
+      text: `カテゴリ: ${category.label}（自動判定）`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `📂 *カテゴリ:* ${category.label}（自動判定）\nカテゴリが違う場合は、選び直して質問し直せます。`
+          },
+          accessory: {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "カテゴリを変更"
+            },
+            action_id: "change_consultation_category",
+            value: createCategoryChangeValue(category.value, userText)
+          }
+        }
+      ],
+      mrkdwn: true
+    });
+
+    const initialMessage = await postSlackMessage(client, message.channel, ":arrows_counterclockwise: 回答を生成中...", {
+      thread_ts: threadTs
+    });
+
+    // バックグラウンドで非同期処理を実行（重複防止キーは処理の完了時に削除される）
+    processConsultationInBackground(
+      userKey,
+      userText,
+      category.value,
+      getUserConversationId(userId),
+      userId,
+      message.channel,
+      client,
+      initialMessage.ts
+    );
+  } catch (error) {
+    processingUsers.delete(userKey);
+    throw error;
+  }
+}
+
+// 相談フォームを開くボタンのクリック処理
+app.action('open_consultation_modal', async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    await openConsultationModal(client, body.trigger_id, body.user.id, {
+      channel: body.channel.id,
+      threadTs: body.message.thread_ts || body.message.ts
+    });
+  } catch (error) {
+    console.error("Error opening consultation modal:", error);
+  }
+});
+
+// 以前のスレッド内のフォームの送信ボタン（投稿済みのフォーム用）：入力内容を引き継いでモーダルを開く
 app.action('submit_consultation', async ({ ack, body, client }) => {
   await ack();
 
   try {
-    const values = body.state.values;
-    const selectedCategory = values.category_select.consultation_category.selected_option.value;
-    const consultationText = values.consultation_input.consultation_text.value;
-    
-    if (!consultationText || consultationText.trim() === '') {
-      await client.chat.postEphemeral({
-        channel: body.channel.id,
-        user: body.user.id,
-        text: "質問内容を入力してください。"
-      });
-      return;
+    const values = (body.state && body.state.values) || {};
+    const selectedOption = values.category_select && values.category_select.consultation_category.selected_option;
+    const consultationText = values.consultation_input && values.consultation_input.consultation_text.value;
+    if (selectedOption || consultationText) {
+      saveUserInput(body.user.id, selectedOption ? selectedOption.value : "", consultationText || "");
     }
 
-    const userId = body.user.id;
-    
+    await openConsultationModal(client, body.trigger_id, body.user.id, {
+      channel: body.channel.id,
+      threadTs: body.message.thread_ts || body.message.ts
+    });
+  } catch (error) {
+    console.error("Error opening consultation modal from legacy form:", error);
+  }
+});
+
+// 関連リンクの入力を検証する関数（不正な行があればエラーメッセージを返す）
+function parseRelatedLinks(rawLinks) {
+  const links = (rawLinks || "").split('\n').map(line => line.trim()).filter(Boolean);
+  const invalid = links.filter(link => !/^https?:\/\/\S+$/.test(link));
+  if (invalid.length > 0) {
+    return { links, error: `URLの形式ではない行があります: ${invalid[0]}（http:// または https:// から始まるURLを1行に1つずつ入力してください）` };
+  }
+  return { links, error: null };
+}
+
+// 相談フォームのモーダルの送信処理
+app.view('consultation_modal', async ({ ack, body, view, client }) => {
+  const values = view.state.values;
+  const selectedCategory = values.category_select.consultation_category.selected_option.value;
+  const consultationText = (values.consultation_input.consultation_text.value || "").trim();
+  const urgencyOption = values.urgency_select.consultation_urgency.selected_option;
+  const urgency = urgencyOption ? urgencyOption.value : "normal";
+  const { links, error: linksError } = parseRelatedLinks(values.related_links.consultation_links.value);
+  const uploadedFiles = (values.consultation_files && values.consultation_files.consultation_files.files) || [];
+
+  // 入力エラーはモーダルの該当欄に表示する
+  const errors = {};
+  if (!consultationText) {
+    errors.consultation_input = "質問内容を入力してください。";
+  }
+  if (linksError) {
+    errors.related_links = linksError;
+  }
+  // ack は3秒以内に返す必要があるため、カテゴリの読み込みを待たずに読み込み済みの一覧で確認する
+  if (!categoryCatalog.findCachedCategory(selectedCategory)) {
+    errors.category_select = "このカテゴリは現在使用できません。別のカテゴリを選択してください。";
+  }
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
+  await ack();
+
+  const userId = body.user.id;
+  const { channel, threadTs } = JSON.parse(view.private_metadata);
+
+  try {
     // 入力内容を保存（次回使用のため）
-    saveUserInput(userId, selectedCategory, consultationText);
+    saveUserInput(userId, selectedCategory, consultationText, { urgency, links });
 
-    console.log(`カテゴリ: ${selectedCategory}, 内容: ${consultationText}`);
+    console.log(`カテゴリ: ${selectedCategory}, 緊急度: ${urgency}, 内容: ${consultationText}`);
 
-    // 確認メッセージを表示（ボタンなし）
+    // ダウンロード用のURLを含むファイル情報を取得
+    const files = [];
+    for (const file of uploadedFiles) {
+      files.push(file.url_private_download ? file : (await client.files.info({ file: file.id })).file);
+    }
+
+    // 受け付けた内容をスレッドに表示（ボタンなし）
+    const urgencyLabel = CONSULTATION_URGENCIES.find(item => item.value === urgency).text;
+    const summaryLines = [
+      `📝 *受け付けました*`,
+      `*カテゴリ:* ${escapeSlackText(selectedCategory)}`,
+      `*緊急度:* ${urgencyLabel}`,
+      `*質問内容:* ${escapeSlackText(consultationText)}`
+    ];
+    if (links.length > 0) {
+      summaryLines.push(`*関連リンク:*\n${links.map(link => `• ${escapeSlackText(link)}`).join('\n')}`);
+    }
+    if (files.length > 0) {
+      summaryLines.push(`*添付ファイル:* ${files.map(file => escapeSlackText(file.name)).join(', ')}`);
+    }
     await client.chat.postMessage({
-      channel: body.channel.id,
-      thread_ts: body.message.ts,
+      channel,
+      thread_ts: threadTs,
+      text: `受け付けました: ${consultationText.substring(0, 100)}`,
       blocks: [
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `📝 *受け付けました*\n*カテゴリ:* ${selectedCategory}\n*質問内容:* ${consultationText}`
+            text: summaryLines.join('\n')
           }
-        },
-
+        }
       ],
       mrkdwn: true
     });
 
     // 実際の回答生成のための初回投稿（動画リアクション付き）
-    const initialMessage = await postSlackMessage(client, body.channel.id, ":arrows_counterclockwise: 回答を生成中...", {
-      thread_ts: body.message.ts
+    const initialMessage = await postSlackMessage(client, channel, ":arrows_counterclockwise: 回答を生成中...", {
+      thread_ts: threadTs
     });
 
-    const messageTs = body.message.ts;
-    
     // 重複防止キー生成
     const crypto = require('crypto');
     const contentHash = crypto.createHash('md5').update(consultationText).digest('hex').substring(0, 8);
-    const userKey = `${userId}-${messageTs}-${contentHash}`;
+    const userKey = `${userId}-${threadTs}-${contentHash}`;
     
     // 重複処理を防ぐチェック
     if (processingUsers.has(userKey)) {
@@ -312,7 +631,7 @@ app.action('submit_consultation', async ({ ack, body, client }) => {
     processingUsers.add(userKey);
     
     // ユーザーの既存conversation_idを取得（なければ空文字）
-    let conversationId = userConversations.get(userId) || "";
+    let conversationId = getUserConversationId(userId);
     console.log(`📱 ユーザー ${userId} の既存conversation_id: "${conversationId}"`);
 
     // バックグラウンドで非同期処理を実行
@@ -322,17 +641,18 @@ app.action('submit_consultation', async ({ ack, body, client }) => {
       selectedCategory,
       conversationId, 
       userId, 
-      body.channel.id,
+      channel,
       client, 
-      initialMessage.ts
+      initialMessage.ts,
+      { urgency, links, files }
     );
 
   } catch (error) {
     console.error("Error handling consultation submission:", error);
     
     await client.chat.postEphemeral({
-      channel: body.channel.id,
-      user: body.user.id,
+      channel,
+      user: userId,
       text: "エラーが発生しました。もう一度お試しください。"
     });
   }
@@ -343,46 +663,77 @@ app.action('resubmit_deep_research', async ({ ack, body, client }) => {
   await ack();
 
   try {
-// 2. valueからテキストのみ取得
+    // valueからテキストのみ取得
     //    元の値が 'category|text' 形式でも 'text' のみでも対応
     const rawValue = body.actions[0].value;
-    const text = rawValue.includes('|') ? rawValue.split('|')[1] : rawValue;
+    const text = rawValue.includes('|') ? rawValue.substring(rawValue.indexOf('|') + 1) : rawValue;
     
     const userId = body.user.id;
+    const channelId = body.channel.id;
+    const threadTs = body.message.thread_ts || body.message.ts;
 
-    // カテゴリを "Deepresearch" に固定
-    const category = "Deep research";
-    // 新しい回答生成メッセージを投稿（動画リアクション付き）
-    const initialMessage = await postSlackMessage(client, body.channel.id, ":repeat: 回答を再生成中...", {
-      thread_ts: body.message.ts
-    });
+    // ボタンの連打などで同じ調査を二重に登録しない
+    const existing = deepResearchJobs.findUnfinished(job => job.userId === userId && job.threadTs === threadTs && job.text === text);
+    if (existing) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        text: `この内容はすでに調査を受け付けています（状態: ${DEEP_RESEARCH_STATUS_LABELS[existing.status]}）。`
+      });
+      return;
+    }
 
-    // 重複防止キー生成
-    const crypto = require('crypto');
-    const contentHash = crypto.createHash('md5').update(text + Date.now()).digest('hex').substring(0, 8);
-    const userKey = `${userId}-${body.message.ts}-${contentHash}`;
-    
-    processingUsers.add(userKey);
-    
-    let conversationId = userConversations.get(userId) || "";
-    
-    // バックグラウンドで処理実行
-    processConsultationInBackground(
-      userKey, 
-      text, 
-      category,
-      conversationId, 
-      userId, 
-      body.channel.id,
-      client, 
-      initialMessage.ts
-    );
+    // 状態を表示するメッセージを投稿してから、ジョブとして登録する
+    const statusMessage = await postSlackMessage(client, channelId, "🔍 詳細な調査を受け付けました", {
+      thread_ts: threadTs
+    });
+    const job = await deepResearchJobs.enqueue({
+      text,
+      userId,
+      channel: channelId,
+      threadTs,
+      statusMessageTs: statusMessage.ts,
+      answerTs: null
+    });
+    // すぐに開始できたジョブは開始時に表示を更新済みのため、順番待ちの場合だけ更新する
+    if (job.status === 'queued') {
+      await updateDeepResearchStatus(job);
+    }
 
   } catch (error) {
     console.error("Error handling resubmission:", error);
   }
 });
 
+// Deep researchのキャンセルボタンのクリック処理
+app.action('cancel_deep_research', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const job = deepResearchJobs.get(action.value);
+    if (job && job.userId !== body.user.id) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: "調査を依頼した本人のみキャンセルできます。"
+      });
+      return;
+    }
+
+    const cancelled = await deepResearchJobs.cancel(action.value, body.user.id);
+    if (!cancelled) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: "この調査はすでに終了しています。"
+      });
+    }
+
+  } catch (error) {
+    console.error("Error handling deep research cancel:", error);
+  }
+});
+
 // 編集ボタンのクリック処理
 app.action('edit_consultation', async ({ ack, body, client }) => {
   await ack();
@@ -390,12 +741,10 @@ app.action('edit_consultation', async ({ ack, body, client }) => {
   try {
     const userId = body.user.id;
     
-    // 前回の入力内容を含むUIを再表示
-    await client.chat.postMessage({
+    // 前回の入力内容を含むモーダルを表示
+    await openConsultationModal(client, body.trigger_id, userId, {
       channel: body.channel.id,
-      thread_ts: body.message.ts,
-      text: "質問内容を編集してください",
-      blocks: createConsultationBlocks(userId)
+      threadTs: body.message.thread_ts || body.message.ts
     });
 
   } catch (error) {
@@ -403,6 +752,152 @@ app.action('edit_consultation', async ({ ack, body, client }) => {
   }
 });
 
+// 自動判定したカテゴリの変更ボタンのクリック処理（判定したカテゴリと質問文を入力済みのモーダルを表示）
+app.action('change_consultation_category', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const userId = body.user.id;
+    // value のないボタン（以前に投稿したもの）は、前回の入力内容で開く
+    const initialInput = action.value ? JSON.parse(action.value) : null;
+
+    await openConsultationModal(client, body.trigger_id, userId, {
+      channel: body.channel.id,
+      threadTs: body.message.thread_ts || body.message.ts
+    }, initialInput);
+
+  } catch (error) {
+    console.error("Error handling category change request:", error);
+  }
+});
+
+// 「担当者に相談する」ボタンのクリック処理（カテゴリの担当者の相談チャンネルにカードを投稿）
+app.action('escalate_consultation', async ({ ack, body, client, action }) => {
+  await ack();
+
+  const userId = body.user.id;
+  const channelId = body.channel.id;
+  const threadTs = body.message.thread_ts || body.message.ts;
+
+  try {
+    // 同じスレッドからの二重の相談を防ぐ
+    const existing = escalationStore.findUnresolvedByThread(channelId, threadTs);
+    if (existing) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        text: `この質問はすでに担当者に相談しています（状態: ${ESCALATION_STATUS_LABELS[existing.status]}）。`
+      });
+      return;
+    }
+
+    const { category, question, answerSummary } = JSON.parse(action.value);
+
+    let permalink = "";
+    try {
+      permalink = (await client.chat.getPermalink({ channel: channelId, message_ts: threadTs })).permalink;
+    } catch (error) {
+      console.warn(`⚠️ スレッドのリンクの取得に失敗しました: ${error.data ? error.data.error : error.message}`);
+    }
+
+    const escalation = escalationStore.create({
+      category,
+      question,
+      answerSummary,
+      requester: userId,
+      channel: channelId,
+      threadTs,
+      permalink
+    });
+    console.log(`🙋 担当者への相談を受け付けました: ${escalation.id} (${category}) - ${userId}`);
+
+    let posted = true;
+    try {
+      await postEscalationCard(client, escalation);
+    } catch (error) {
+      // 記録は残っているため、相談先の設定を直して再起動するとカードを投稿し直す
+      posted = false;
+      console.error(`❌ 担当者への相談カードの投稿に失敗しました (${escalation.id}):`, error.data ? error.data.error : error.message);
+    }
+
+    const notice = await postSlackMessage(client, channelId, createEscalationNoticeText(escalation, posted), {
+      thread_ts: threadTs
+    });
+    escalationStore.update(escalation.id, { noticeTs: notice.ts });
+
+  } catch (error) {
+    console.error("Error handling escalation request:", error);
+
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: "エラーが発生しました。もう一度お試しください。"
+    });
+  }
+});
+
+// 相談カードの「対応する」ボタンのクリック処理
+app.action('claim_escalation', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const escalation = escalationStore.get(action.value);
+    if (!escalation || escalation.status !== 'open') {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: escalation
+          ? `この相談はすでに${ESCALATION_STATUS_LABELS[escalation.status]}です（${escalation.claimedBy ? `<@${escalation.claimedBy}>` : ''}）。`
+          : "相談の記録が見つかりません。"
+      });
+      return;
+    }
+
+    escalationStore.update(escalation.id, {
+      status: 'claimed',
+      claimedBy: body.user.id,
+      claimedAt: new Date().toISOString()
+    });
+    console.log(`🔵 担当者への相談の対応を開始: ${escalation.id} - ${body.user.id}`);
+
+    await updateEscalationMessages(client, escalation, `👤 <@${body.user.id}> さんが対応を始めました。担当者からの連絡をお待ちください。`);
+
+  } catch (error) {
+    console.error("Error handling escalation claim:", error);
+  }
+});
+
+// 相談カードの「解決済みにする」ボタンのクリック処理
+app.action('resolve_escalation', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const escalation = escalationStore.get(action.value);
+    if (!escalation || escalation.status === 'resolved') {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: escalation ? "この相談はすでに解決済みです。" : "相談の記録が見つかりません。"
+      });
+      return;
+    }
+
+    escalationStore.update(escalation.id, {
+      status: 'resolved',
+      // 「対応する」を押さずに解決した場合は、解決した人を担当者とする
+      claimedBy: escalation.claimedBy || body.user.id,
+      resolvedBy: body.user.id,
+      resolvedAt: new Date().toISOString()
+    });
+    console.log(`✅ 担当者への相談を解決済みに変更: ${escalation.id} - ${body.user.id}`);
+
+    await updateEscalationMessages(client, escalation, `✅ <@${body.user.id}> さんがこの相談を解決済みにしました。`);
+
+  } catch (error) {
+    console.error("Error handling escalation resolve:", error);
+  }
+});
+
 // 「続きを読む」ボタンがクリックされた時の処理
 app.action('show_more_continuation', async ({ ack, body, client, action }) => {
   await ack();
@@ -492,14 +987,18 @@ async function sendLongMessage(client, channelId, messageTs, text, userId = null
   const cleanText = convertMarkdownToSlack(text);
   console.log(`📏 処理対象メッセージ: ${cleanText.length}文字, 制限: ${maxLength}文字`);
 
+  // Block Kitのブロック単位で、1メッセージあたりの文字数制限に収まるよう分割
+  const parts = renderAnswerMessages(text, { maxChars: maxLength });
+
   // 短い場合はそのまま表示してUIボタンも追加
-  if (cleanText.length <= maxLength) {
+  if (parts.length === 1) {
     try {
       console.log('📤 短いメッセージとして直接更新を試行...');
       await client.chat.update({
         channel: channelId,
         ts: messageTs,
-        text: cleanText
+        text: parts[0].text,
+        blocks: parts[0].blocks
       });
       console.log('✅ 短いメッセージの更新完了');
       
@@ -524,29 +1023,18 @@ async function sendLongMessage(client, channelId, messageTs, text, userId = null
   }
 
   console.log(`📏 メッセージが長すぎるため自動分割します: ${cleanText.length}文字`);
-  
-  // メッセージを分割
-  const parts = [];
-  let textToSplit = cleanText;
-
-  while (textToSplit.length > 0) {
-    const part = textToSplit.substring(0, maxLength);
-    parts.push(part);
-    textToSplit = textToSplit.substring(maxLength);
-    console.log(`📊 分割パート作成: ${part.length}文字 (残り: ${textToSplit.length}文字)`);
-  }
-
   console.log(`📋 分割完了: ${parts.length}個のパートに分割`);
 
   try {
     // 最初の部分で元メッセージを更新
     const firstPart = parts[0];
-    console.log(`📤 最初のパート更新を試行... (${firstPart.length}文字)`);
+    console.log(`📤 最初のパート更新を試行... (${firstPart.text.length}文字)`);
     
     await client.chat.update({
       channel: channelId,
       ts: messageTs,
-      text: firstPart
+      text: firstPart.text,
+      blocks: firstPart.blocks
     });
 
     console.log(`✅ 最初の部分を表示完了 (1/${parts.length})`);
@@ -554,7 +1042,7 @@ async function sendLongMessage(client, channelId, messageTs, text, userId = null
     // 残りの部分を順次投稿（自動）
     for (let i = 1; i < parts.length; i++) {
       try {
-        console.log(`📤 パート${i + 1}/${parts.length}を投稿中... (${parts[i].length}文字)`);
+        console.log(`📤 パート${i + 1}/${parts.length}を投稿中... (${parts[i].text.length}文字)`);
         
         // 少し間隔を空けて投稿
         await new Promise(resolve => setTimeout(resolve, 300));
@@ -562,7 +1050,8 @@ async function sendLongMessage(client, channelId, messageTs, text, userId = null
         const result = await client.chat.postMessage({
           channel: channelId,
           thread_ts: messageTs,
-          text: parts[i]
+          text: parts[i].text,
+          blocks: parts[i].blocks
         });
         
         console.log(`✅ パート${i + 1}/${parts.length}を投稿完了`, {
@@ -578,7 +1067,7 @@ async function sendLongMessage(client, channelId, messageTs, text, userId = null
           stack: partError.stack,
           partIndex: i + 1,
           totalParts: parts.length,
-          partLength: parts[i].length,
+          partLength: parts[i].text.length,
           channelId,
           threadTs: messageTs
         });
@@ -609,7 +1098,8 @@ async function sendLongMessage(client, channelId, messageTs, text, userId = null
             await client.chat.postMessage({
               channel: channelId,
               thread_ts: messageTs,
-              text: parts[i]
+              text: parts[i].text,
+              blocks: parts[i].blocks
             });
             console.log(`✅ パート${i + 1}のリトライ成功`);
           } catch (retryError) {
@@ -682,12 +1172,14 @@ async function sendLongMessage(client, channelId, messageTs, text, userId = null
 
 
 // バックグラウンド処理を分離した関数（改良版）
-async function processConsultationInBackground(userKey, userText, consultationCategory, conversationId, userId, channelId, client, initialMessageTs) {
+// options には相談フォームで入力した緊急度（urgency）・関連リンク（links）・添付ファイル（files）と、
+// 中断用のシグナル（signal、Deep researchのジョブのキャンセル）を渡す。回答できた場合は true を返す
+async function processConsultationInBackground(userKey, userText, consultationCategory, conversationId, userId, channelId, client, initialMessageTs, { urgency = "normal", links = [], files = [], signal } = {}) {
   try {
     // 処理開始前に再度重複チェック
     if (!processingUsers.has(userKey)) {
       console.log(`処理がキャンセルされました（バックグラウンド開始時）: ${userKey}`);
-      return;
+      return false;
     }
 
     // カテゴリー履歴を更新
@@ -699,25 +1191,57 @@ async function processConsultationInBackground(userKey, userText, consultationCa
     console.log(`💬 conversation_id: "${conversationId}"`);
     console.log(`📚 カテゴリー履歴: ${getUserCategoryHistory(userId)}`);
 
+    // カテゴリごとのDifyアプリに問い合わせる（カタログにないカテゴリは既定のアプリ）
+    const category = await categoryCatalog.findCategory(consultationCategory);
+    const difyApp = getCategoryDifyApp(category, DIFY_BASE_URL);
+
+    // 別のDifyアプリの会話は引き継げないため、新しい会話として始める
+    const savedConversation = userConversations.get(userId);
+    if (conversationId && (!savedConversation || savedConversation.appId !== difyApp.appId)) {
+      console.log(`🔀 カテゴリ「${consultationCategory}」は別のDifyアプリのため、新しい会話を開始します`);
+      conversationId = "";
+    }
+
+    // 添付ファイルはカテゴリのDifyアプリにアップロードしてから渡す
+    let difyFiles = [];
+    if (files.length > 0) {
+      const uploadResult = await uploadSlackFilesToDify(files, difyApp, userId);
+      difyFiles = uploadResult.difyFiles;
+      if (uploadResult.failedNames.length > 0) {
+        await postSlackMessage(client, channelId, `⚠️ 次の添付ファイルは読み込めなかったため、質問文のみで回答します: ${uploadResult.failedNames.join(', ')}`, {
+          thread_ts: initialMessageTs
+        });
+      }
+    }
+
+    // 関連リンクは質問文に添えて渡す
+    const query = links.length > 0
+      ? `${userText}\n\n関連リンク:\n${links.map(link => `- ${link}`).join('\n')}`
+      : userText;
+
     // Dify APIへリクエスト送信（拡張版）
-    const response = await fetch("https://dify.app.uzabase.com/v1/chat-messages", {
+    const response = await fetch(`${difyApp.baseUrl}/chat-messages`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        "Authorization": `Bearer ${process.env.DIFY_API_KEY}`
+        "Authorization": `Bearer ${difyApp.apiKey}`
       },
       body: JSON.stringify({
         inputs: {
+          ...difyApp.inputs,
           consultation_category: consultationCategory,
           category_history: getUserCategoryHistory(userId),
           is_continuation: conversationId !== "",
-          user_context: `ユーザー${userId}の${conversationId ? '継続' : '新規'}相談`
+          user_context: `ユーザー${userId}の${conversationId ? '継続' : '新規'}相談`,
+          urgency
         },
-        query: userText,
+        query,
         response_mode: "streaming",
         conversation_id: conversationId,
-        user: userId
-      })
+        user: userId,
+        files: difyFiles
+      }),
+      signal
     });
 
     if (!response.ok) {
@@ -725,90 +1249,68 @@ async function processConsultationInBackground(userKey, userText, consultationCa
     }
 
     // ストリーミングレスポンスの処理
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
     let fullAnswer = '';
     let updateCounter = 0;
     let lastUpdateTime = Date.now();
     const maxDisplayLength = 2500; // リアルタイム表示用の制限
 
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const jsonStr = line.slice(6);
-              if (jsonStr.trim() === '' || jsonStr.trim() === '[DONE]') continue;
-
-              const data = JSON.parse(jsonStr);
-
-              // conversation_idを保存（初回または更新時）
-              if (data.conversation_id && userConversations.get(userId) !== data.conversation_id) {
-                userConversations.set(userId, data.conversation_id);
-                console.log(`💾 conversation_id保存: ${userId} -> ${data.conversation_id}`);
-              }
+      for await (const data of readDifyStream(response.body)) {
+        // conversation_idを保存（初回または更新時）
+        if (data.conversation_id && getUserConversationId(userId) !== data.conversation_id) {
+          userConversations.set(userId, { conversationId: data.conversation_id, appId: difyApp.appId });
+          console.log(`💾 conversation_id保存: ${userId} -> ${data.conversation_id}`);
+        }
 
-              // イベントタイプに応じた処理
-              if (data.event === 'message' || data.event === 'agent_message') {
-                if (data.answer) {
-                  fullAnswer += data.answer;
-                  updateCounter++;
-
-                  const currentTime = Date.now();
-
-                  // 更新頻度を制限（1秒間隔または文の終わりで）
-                  if (currentTime - lastUpdateTime > 1000 || 
-                      data.answer.includes('。') || 
-                      data.answer.includes('！') || 
-                      data.answer.includes('？') ||
-                      data.answer.includes('\n')) {
-
-                    lastUpdateTime = currentTime;
-
-                    // リアルタイム表示は制限された長さで
-                    let displayText;
-                    if (fullAnswer.length > maxDisplayLength) {
-                      displayText = convertMarkdownToSlack(fullAnswer.substring(0, maxDisplayLength)) + '\n\n（回答を生成中...）';
-                    } else {
-                      displayText = convertMarkdownToSlack(fullAnswer) || "回答を生成中...";
-                    }
-
-                    try {
-                      // ここで displayText の長さを制限
-                      displayText = displayText.substring(0, maxDisplayLength);
-
-                      await client.chat.update({
-                        channel: channelId,
-                        ts: initialMessageTs,
-                        text: displayText
-                      });
-                    } catch (updateError) {
-                      // リアルタイム更新でエラーが発生しても処理を継続
-                      console.log(`リアルタイム更新エラー: ${updateError.message}`);
-                    }
-                  }
-                }
-              } else if (data.event === 'message_end') {
-                console.log('Message end event received');
+        // イベントタイプに応じた処理
+        if (data.event === 'message' || data.event === 'agent_message') {
+          if (data.answer) {
+            fullAnswer += data.answer;
+            updateCounter++;
+
+            const currentTime = Date.now();
+
+            // 更新頻度を制限（1秒間隔または文の終わりで）
+            if (currentTime - lastUpdateTime > 1000 || 
+                data.answer.includes('。') || 
+                data.answer.includes('！') || 
+                data.answer.includes('？') ||
+                data.answer.includes('\n')) {
+
+              lastUpdateTime = currentTime;
+
+              // リアルタイム表示は制限された長さで
+              let displayText;
+              if (fullAnswer.length > maxDisplayLength) {
+                displayText = convertMarkdownToSlack(fullAnswer.substring(0, maxDisplayLength)) + '\n\n（回答を生成中...）';
+              } else {
+                displayText = convertMarkdownToSlack(fullAnswer) || "回答を生成中...";
               }
 
-              // レスポンスが空の場合の処理
-              if (!data.event && data.answer && !fullAnswer) {
-                fullAnswer = data.answer;
+              try {
+                // ここで displayText の長さを制限
+                displayText = displayText.substring(0, maxDisplayLength);
+
+                await client.chat.update({
+                  channel: channelId,
+                  ts: initialMessageTs,
+                  text: displayText
+                });
+              } catch (updateError) {
+                // リアルタイム更新でエラーが発生しても処理を継続
+                console.log(`リアルタイム更新エラー: ${updateError.message}`);
               }
-
-            } catch (parseError) {
-              console.log('JSON parse error (normal for streaming):', parseError.message);
-              continue;
             }
           }
+        } else if (data.event === 'message_end') {
+          console.log('Message end event received');
+        } else if (data.event === 'error') {
+          throw new Error(`Difyストリームエラー: ${data.code || data.status || ''} ${data.message || ''}`.trim());
+        }
+
+        // レスポンスが空の場合の処理
+        if (!data.event && data.answer && !fullAnswer) {
+          fullAnswer = data.answer;
         }
       }
 
@@ -853,6 +1355,15 @@ async function processConsultationInBackground(userKey, userText, consultationCa
                     text: "✏️ 内容を編集して質問"
                   },
                   action_id: "edit_consultation"
+                },
+                {
+                  type: "button",
+                  text: {
+                    type: "plain_text",
+                    text: "🙋 担当者に相談する"
+                  },
+                  action_id: "escalate_consultation",
+                  value: createEscalationButtonValue(consultationCategory, userText, fullAnswer)
                 }
                 // {
                 //   type: "button",
@@ -874,8 +1385,9 @@ async function processConsultationInBackground(userKey, userText, consultationCa
       // 完了ログ（詳細版）
       console.log(`✅ 会話完了 - ユーザー: ${userId}`);
       console.log(`📊 回答長: ${fullAnswer.length}文字`);
-      console.log(`💬 最終conversation_id: ${userConversations.get(userId)}`);
+      console.log(`💬 最終conversation_id: ${getUserConversationId(userId)}`);
       console.log(`📋 保存済み会話数: ${userConversations.size}人`);
+      return true;
 
     } catch (streamError) {
       console.error("Streaming error:", streamError);
@@ -883,6 +1395,17 @@ async function processConsultationInBackground(userKey, userText, consultationCa
     }
 
   } catch (error) {
+    // キャンセルされた場合は、生成中の表示をキャンセルの案内に置き換える
+    if (signal && signal.aborted) {
+      console.log(`⏹️ 回答の生成を中断しました: ${userKey}`);
+      await client.chat.update({
+        channel: channelId,
+        ts: initialMessageTs,
+        text: "⏹️ キャンセルしたため、回答の生成を中断しました。"
+      });
+      return false;
+    }
+
     console.error("Background processing error:", error);
 
     // エラー処理済みマークを設定（重複防止）
@@ -895,6 +1418,7 @@ async function processConsultationInBackground(userKey, userText, consultationCa
         text: "すみません、ただいま回答できません。"
       });
     }
+    return false;
   } finally {
     // 処理完了後のクリーンアップ
     processingUsers.delete(userKey);
@@ -908,101 +1432,262 @@ async function processConsultationInBackground(userKey, userText, consultationCa
 
 
 
-// より高機能な変換関数（Block Kit使用時）
-function markdownToSlackBlocks(text) {
-  if (!text) return [];
-  
-  const blocks = [];
-  const sections = text.split(/\n\s*\n/);
-  
-  for (const section of sections) {
-    if (section.trim() === '') continue;
-    
-    // コードブロックの場合
-    if (section.match(/```/)) {
-      const codeMatch = section.match(/```[\w]*\n?([\s\S]*?)```/);
-      if (codeMatch) {
-        blocks.push({
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `\`\`\`\n${codeMatch[1]}\n\`\`\``
-          }
-        });
-        continue;
+// 「担当者に相談する」ボタンのvalueを作成する関数（相談カードに載せる質問とAIの回答の要約）
+function createEscalationButtonValue(category, question, answer) {
+  const truncate = (text, maxLength) => (text.length > maxLength ? text.substring(0, maxLength - 1) + '…' : text);
+  let summaryLength = ESCALATION_SUMMARY_MAX_LENGTH;
+  let value;
+  do {
+    value = JSON.stringify({
+      category,
+      question: truncate(question, ESCALATION_QUESTION_MAX_LENGTH),
+      answerSummary: truncate(convertMarkdownToSlack(answer) || "", summaryLength)
+    });
+    summaryLength -= 100;
+  } while (value.length > BUTTON_VALUE_MAX_LENGTH && summaryLength > 0);
+  return value;
+}
+
+// 相談者のスレッドに表示する相談の状態
+function createEscalationNoticeText(escalation, posted = true) {
+  if (!posted) {
+    return "⚠️ 担当者への連絡に失敗しました。相談内容は記録したため、Opsチームが確認してご連絡します。";
+  }
+  const assignee = escalation.claimedBy ? `（<@${escalation.claimedBy}>）` : "";
+  return `🙋 担当者に相談しました。\n*状態:* ${ESCALATION_STATUS_LABELS[escalation.status]}${assignee}`;
+}
+
+// 担当者の相談チャンネルに投稿する相談カードを生成する関数
+async function createEscalationCardBlocks(escalation) {
+  const category = await categoryCatalog.findCategory(escalation.category);
+  const ownerMention = category && category.ownerUsergroup ? `<!subteam^${category.ownerUsergroup}> ` : "";
+  const createdAt = Math.floor(new Date(escalation.createdAt).getTime() / 1000);
+  const assignee = escalation.claimedBy ? `（<@${escalation.claimedBy}>）` : "";
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${ownerMention}🙋 *担当者への相談が届きました*`
       }
-    }
-    
-    // 通常のテキストセクション
-    const cleanText = convertMarkdownToSlack(section);
-    if (cleanText.length > 3000) {
-      // 長いテキストは分割
-      const chunks = cleanText.match(/.{1,3000}(\s|$)/g) || [cleanText];
-      chunks.forEach(chunk => {
-        blocks.push({
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: chunk.trim()
-          }
-        });
-      });
-    } else {
-      blocks.push({
-        type: "section",
-        text: {
+    },
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*カテゴリ:*\n${category ? category.label : escalation.category}` },
+        { type: "mrkdwn", text: `*相談者:*\n<@${escalation.requester}>` },
+        { type: "mrkdwn", text: `*状態:*\n${ESCALATION_STATUS_LABELS[escalation.status]}${assignee}` },
+        { type: "mrkdwn", text: `*受付日時:*\n<!date^${createdAt}^{date_short_pretty} {time}|${escalation.createdAt}>` }
+      ]
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*質問:*\n${escalation.question}`
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*AIの回答（要約）:*\n${escalation.answerSummary || "（回答なし）"}`
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
           type: "mrkdwn",
-          text: cleanText
+          text: escalation.permalink ? `<${escalation.permalink}|相談者のスレッドを開く>` : "相談者のスレッドのリンクを取得できませんでした"
         }
+      ]
+    }
+  ];
+
+  // 解決済みの相談にはボタンを表示しない
+  if (escalation.status !== 'resolved') {
+    const elements = [];
+    if (escalation.status === 'open') {
+      elements.push({
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "👤 対応する"
+        },
+        style: "primary",
+        action_id: "claim_escalation",
+        value: escalation.id
       });
     }
+    elements.push({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "✅ 解決済みにする"
+      },
+      action_id: "resolve_escalation",
+      value: escalation.id
+    });
+    blocks.push({ type: "actions", block_id: "escalation_actions", elements });
   }
-  
-  return blocks;
+
+  return { blocks, text: `${ownerMention}担当者への相談: ${escalation.question.substring(0, 100)}` };
 }
 
-// 特定のMarkdown要素をSlack記法に変換する個別関数
-function convertMarkdownToSlack(text) {
-  if (!text) return text;
-  
+// カテゴリの相談チャンネルに相談カードを投稿する関数
+async function postEscalationCard(client, escalation) {
+  const category = await categoryCatalog.findCategory(escalation.category);
+  const cardChannel = (category && category.escalationChannel) || process.env.ESCALATION_DEFAULT_CHANNEL;
+  if (!cardChannel) {
+    throw new Error(`カテゴリ「${escalation.category}」の相談先チャンネル（escalationChannel または ESCALATION_DEFAULT_CHANNEL）が設定されていません`);
+  }
+
+  const { blocks, text } = await createEscalationCardBlocks(escalation);
+  const result = await client.chat.postMessage({ channel: cardChannel, text, blocks });
+  escalationStore.update(escalation.id, { cardChannel, cardTs: result.ts });
+  console.log(`📨 担当者への相談カードを投稿しました: ${escalation.id} -> ${cardChannel}`);
+}
+
+// 相談の状態が変わった時に、相談カード・相談者のスレッドの表示を更新して相談者に知らせる関数
+async function updateEscalationMessages(client, escalation, threadMessage) {
+  if (escalation.cardTs) {
+    try {
+      const { blocks, text } = await createEscalationCardBlocks(escalation);
+      await client.chat.update({ channel: escalation.cardChannel, ts: escalation.cardTs, text, blocks });
+    } catch (error) {
+      console.error(`❌ 相談カードの更新に失敗しました (${escalation.id}):`, error.data ? error.data.error : error.message);
+    }
+  }
+
   try {
-    // 段階的に変換
-    let result = text;
-    
-    // 1. コードブロック（最初に処理）
-    result = result.replace(/```(\w+)?\n([\s\S]*?)```/g, '```\n$2```');
-    
-    // 2. 太字・斜体
-    result = result.replace(/\*\*(.*?)\*\*/g, '*$1*');
-    result = result.replace(/\b_([^_]+)_\b/g, '_$1_');
-    
-    // 3. 見出し
-    result = result.replace(/^# (.+)$/gm, '*🔹 $1*');
-    result = result.replace(/^## (.+)$/gm, '*▪️ $1*');
-    result = result.replace(/^### (.+)$/gm, '*• $1*');
-    result = result.replace(/^#{4,6} (.+)$/gm, '*$1*');
-    
-    // 4. リスト
-    result = result.replace(/^\s*[\*\-\+] (.+)$/gm, '• $1');
-    
-    // 5. リンク
-    result = result.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>');
-    
-    // 6. クリーンアップ
-    result = result.replace(/\n{3,}/g, '\n\n').trim();
-    
-    return result || text; // 変換に失敗した場合は元のテキストを返す
+    if (escalation.noticeTs) {
+      await client.chat.update({
+        channel: escalation.channel,
+        ts: escalation.noticeTs,
+        text: createEscalationNoticeText(escalation)
+      });
+    }
+    await postSlackMessage(client, escalation.channel, threadMessage, {
+      thread_ts: escalation.threadTs
+    });
+  } catch (error) {
+    console.error(`❌ 相談者のスレッドの更新に失敗しました (${escalation.id}):`, error.data ? error.data.error : error.message);
+  }
+}
+
+// Deep researchのジョブを実行する関数（ジョブキューから同時実行数の範囲で呼ばれる）
+async function runDeepResearchJob(job, signal) {
+  const client = app.client;
+
+  // 新しい回答生成メッセージを投稿（動画リアクション付き）
+  const initialMessage = await postSlackMessage(client, job.channel, ":repeat: 回答を再生成中...", {
+    thread_ts: job.threadTs
+  });
+  // 回答の位置はジョブの記録に残す（完了・失敗の状態と一緒に保存される）
+  job.answerTs = initialMessage.ts;
+
+  // 重複防止キー生成
+  const userKey = `${job.userId}-${job.threadTs}-${job.id}`;
+  processingUsers.add(userKey);
+
+  const succeeded = await processConsultationInBackground(
+    userKey,
+    job.text,
+    DEEP_RESEARCH_CATEGORY,
+    getUserConversationId(job.userId),
+    job.userId,
+    job.channel,
+    client,
+    initialMessage.ts,
+    { signal }
+  );
+
+  if (succeeded) {
+    await notifyDeepResearchDone(client, job);
+  }
+  return succeeded;
+}
+
+// Deep researchの状態を表示するメッセージを更新する関数
+async function updateDeepResearchStatus(job) {
+  if (!job.statusMessageTs) return;
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `🔍 *詳細な調査*\n*状態:* ${DEEP_RESEARCH_STATUS_LABELS[job.status]}`
+      }
+    }
+  ];
+  if (job.status === 'queued' || job.status === 'running') {
+    blocks.push({
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "⏹️ キャンセル"
+          },
+          style: "danger",
+          action_id: "cancel_deep_research",
+          value: job.id
+        }
+      ]
+    });
+  }
+
+  await app.client.chat.update({
+    channel: job.channel,
+    ts: job.statusMessageTs,
+    text: `詳細な調査: ${DEEP_RESEARCH_STATUS_LABELS[job.status]}`,
+    blocks
+  });
+}
+
+// Deep researchの完了を、回答へのリンク付きのDMで依頼者に知らせる関数
+async function notifyDeepResearchDone(client, job) {
+  try {
+    const { permalink } = await client.chat.getPermalink({ channel: job.channel, message_ts: job.answerTs });
+    await postSlackMessage(client, job.userId, `✅ 詳細な調査が完了しました。\n*質問:* ${job.text.substring(0, 100)}${job.text.length > 100 ? '...' : ''}\n<${permalink}|回答を見る>`);
   } catch (error) {
-    console.error('convertMarkdownToSlack error:', error);
-    return text; // エラーの場合は元のテキストをそのまま返す
+    console.error(`❌ Deep researchの完了通知に失敗しました (${job.id}):`, error.data ? error.data.error : error.message);
+  }
+}
+
+// 起動時に、カードを投稿できていない相談を投稿し直す関数
+async function repostUnpostedEscalations(client) {
+  for (const escalation of escalationStore.listUnposted()) {
+    try {
+      await postEscalationCard(client, escalation);
+      if (escalation.noticeTs) {
+        await client.chat.update({
+          channel: escalation.channel,
+          ts: escalation.noticeTs,
+          text: createEscalationNoticeText(escalation)
+        });
+      }
+    } catch (error) {
+      console.error(`❌ 担当者への相談カードを投稿し直せませんでした (${escalation.id}):`, error.data ? error.data.error : error.message);
+    }
   }
 }
 
+// MarkdownをSlackのmrkdwn記法に変換する関数（共通レンダラーを使用）
+function convertMarkdownToSlack(text) {
+  if (!text) return text;
+  return markdownToMrkdwn(text) || text; // 変換結果が空の場合は元のテキストを返す
+}
+
 // デバッグ用：現在保存されているconversation_idを表示
 function showUserConversations() {
   console.log('📋 現在保存されているユーザー会話:');
-  for (const [userId, conversationId] of userConversations.entries()) {
-    console.log(`  ${userId}: ${conversationId}`);
+  for (const [userId, conversation] of userConversations.entries()) {
+    console.log(`  ${userId}: ${conversation.conversationId} (${conversation.appId})`);
   }
 }
 
@@ -1022,11 +1707,16 @@ function showUserInputHistory() {
   }
 }
 
-// アプリを起動
+// アプリを起動（リプレイモードではSlackに接続せず、ハーネスからイベントを流し込む）
 (async () => {
+  if (process.env.BOT_REPLAY_MODE === 'true') return;
   await app.start();
   console.log('⚡️ Bot app is running!');
+  await repostUnpostedEscalations(app.client);
+  await deepResearchJobs.resumeInterrupted();
   console.log('📚 カテゴリー履歴管理機能が有効です');
   console.log('💬 conversation_id継続機能が有効です');
   console.log('💾 入力内容保持機能が有効です');
 })();
+
+module.exports = { app, processConsultationInBackground };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('../shared/json-file');
+
+/**
+ * 時間のかかる処理（Deep researchなど）をバックグラウンドで実行するジョブキュー
+ *
+ * ジョブの記録をJSONファイルに保存し、同時に実行するジョブの数を制限します。
+ * ジョブの状態: queued（待機中） → running（実行中） → done（完了） / failed（失敗） / cancelled（キャンセル）
+ * 再起動で中断されたジョブは resumeInterrupted() で待機中に戻して実行し直します（maxAttempts 回まで）。
+ * 終了したジョブの記録は retentionMs の間だけ残します。
+ */
+
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7日
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+/**
+ * ジョブキューを作成する関数
+ * @param {object} options
+ * @param {string} options.name - ログに表示するキューの名前
+ * @param {string} options.filePath - ジョブの記録の保存先
+ * @param {number} options.concurrency - 同時に実行するジョブの数
+ * @param {function(object, AbortSignal): Promise<boolean>} options.run - ジョブを実行する関数（成功したら true）
+ * @param {function(object): Promise<void>} [options.onChange] - ジョブの状態が変わるたびに呼ばれる
+ * @param {number} [options.maxAttempts] - 再起動で中断されたジョブを実行し直す上限の回数
+ * @param {number} [options.retentionMs] - 終了したジョブの記録を残す期間
+ * @returns {object} { enqueue, cancel, get, findUnfinished, resumeInterrupted, flush }
+ */
+function createJobQueue({
+  name,
+  filePath,
+  concurrency,
+  run,
+  onChange = async () => {},
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retentionMs = DEFAULT_RETENTION_MS
+}) {
+  const jobs = new Map(); // id -> ジョブ
+  const controllers = new Map(); // 実行中のジョブの id -> AbortController
+  let writing = Promise.resolve();
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const job of data.jobs || []) {
+      jobs.set(job.id, job);
+    }
+    console.log(`📋 ${name}のジョブを読み込みました: ${jobs.size}件`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error(`❌ ${name}のジョブの読み込みに失敗しました (${filePath}):`, e.message);
+    }
+  }
+
+  // 書き込みは順番に行い、途中で落ちても壊れたファイルが残らないよう一時ファイルから置き換える（shared/json-file.js）
+  function save() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && now - new Date(job.updatedAt).getTime() > retentionMs) {
+        jobs.delete(id);
+      }
+    }
+    writing = writeJsonAtomic(filePath, { version: 1, jobs: [...jobs.values()] }, { space: 2 }).catch(e => {
+      console.error(`❌ ${name}のジョブの保存に失敗しました (${filePath}):`, e.message);
+    });
+    return writing;
+  }
+
+  async function update(job, values) {
+    Object.assign(job, values, { updatedAt: new Date().toISOString() });
+    save();
+    try {
+      await onChange(job);
+    } catch (e) {
+      // 表示の更新に失敗してもジョブの実行は続ける
+      console.error(`❌ ${name}のジョブの状態の通知に失敗しました (${job.id}):`, e.message);
+    }
+  }
+
+  function waitingJobs() {
+    return [...jobs.values()]
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // 空きがあれば待機中のジョブを古い順に実行する
+  function pump() {
+    for (const job of waitingJobs()) {
+      if (controllers.size >= concurrency) break;
+      execute(job);
+    }
+  }
+
+  async function execute(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    try {
+      await update(job, { status: 'running', startedAt: new Date().toISOString(), attempts: (job.attempts || 0) + 1 });
+      console.log(`▶️ ${name}のジョブを開始: ${job.id}（実行中 ${controllers.size}/${concurrency}件）`);
+      const succeeded = await run(job, controller.signal);
+      if (controller.signal.aborted) {
+        // cancel() で状態は更新済み
+        return;
+      }
+      await update(job, { status: succeeded ? 'done' : 'failed', finishedAt: new Date().toISOString() });
+      console.log(`${succeeded ? '✅' : '❌'} ${name}のジョブが終了: ${job.id} (${job.status})`);
+    } catch (error) {
+      console.error(`❌ ${name}のジョブの実行に失敗しました (${job.id}):`, error);
+      if (!controller.signal.aborted) {
+        await update(job, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+      }
+    } finally {
+      controllers.delete(job.id);
+      pump();
+    }
+  }
+
+  return {
+    // ジョブを登録し、空きがあればすぐに実行する
+    async enqueue(fields) {
+      const now = new Date().toISOString();
+      const job = {
+        id: `job-${crypto.randomUUID().substring(0, 8)}`,
+        status: 'queued',
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+        ...fields
+      };
+      jobs.set(job.id, job);
+      save();
+      console.log(`📥 ${name}のジョブを登録: ${job.id}`);
+      pump();
+      return job;
+    },
+    // ジョブをキャンセルする（実行中のジョブには中断を通知する）。キャンセルできたら true
+    async cancel(id, cancelledBy) {
+      const job = jobs.get(id);
+      if (!job || FINISHED_STATUSES.includes(job.status)) return false;
+      const controller = controllers.get(id);
+      await update(job, { status: 'cancelled', cancelledBy, finishedAt: new Date().toISOString() });
+      if (controller) controller.abort();
+      console.log(`⏹️ ${name}のジョブをキャンセル: ${id} - ${cancelledBy}`);
+      return true;
+    },
+    get(id) {
+      return jobs.get(id) || null;
+    },
+    // 条件に合う未終了（待機中・実行中）のジョブを返す（同じ依頼の二重登録を防ぐため）
+    findUnfinished(predicate) {
+      return [...jobs.values()].find(job => !FINISHED_STATUSES.includes(job.status) && predicate(job)) || null;
+    },
+    // 前回のプロセスで待機中・実行中だったジョブを実行し直す（起動時に呼ぶ）
+    async resumeInterrupted() {
+      for (const job of [...jobs.values()]) {
+        if (job.status !== 'running' && job.status !== 'queued') continue;
+        if (job.status === 'running' && job.attempts >= maxAttempts) {
+          await update(job, { status: 'failed', error: '再起動で中断されました', finishedAt: new Date().toISOString() });
+          continue;
+        }
+        console.log(`🔁 ${name}の中断されたジョブを再開します: ${job.id}`);
+        await update(job, { status: 'queued' });
+      }
+      pump();
+    },
+    flush() {
+      return writing;
+    }
+  };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,40 @@
+const path = require('path');
+
+/**
+ * Difyに添付ファイルを渡す時のファイル種別を決める共通モジュール
+ *
+ * chat-messages の files に渡す `type` は、Difyアプリのファイルアップロード設定で許可された種別と一致している必要があります。
+ * ESMのボットからも `import { getDifyFileType } from '../shared/dify-files.js'` で利用できます。
+ */
+
+// Difyの各ファイル種別に対応する拡張子
+const DIFY_FILE_EXTENSIONS = {
+    document: ['txt', 'md', 'mdx', 'markdown', 'pdf', 'html', 'xlsx', 'xls', 'doc', 'docx', 'csv', 'eml', 'msg', 'pptx', 'ppt', 'xml', 'epub'],
+    image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'],
+    audio: ['mp3', 'm4a', 'wav', 'webm', 'amr', 'mpga'],
+    video: ['mp4', 'mov', 'mpeg', 'webm'],
+};
+
+/**
+ * 拡張子（なければMIMEタイプ）からDify用のファイルタイプを決定する関数
+ * @param {string} mimetype - ファイルのMIMEタイプ
+ * @param {string} [fileName] - ファイル名
+ * @returns {string} 'image', 'audio', 'video', または 'document'
+ */
+function getDifyFileType(mimetype, fileName) {
+    const ext = path.extname(fileName || '').slice(1).toLowerCase();
+    if (ext) {
+        // webmは音声・動画のどちらもあり得るため、MIMEタイプで判定する
+        if (ext === 'webm' && mimetype && mimetype.startsWith('audio/')) return 'audio';
+        for (const type of ['image', 'video', 'audio', 'document']) {
+            if (DIFY_FILE_EXTENSIONS[type].includes(ext)) return type;
+        }
+    }
+    if (!mimetype) return 'document';
+    if (mimetype.startsWith('image/')) return 'image';
+    if (mimetype.startsWith('audio/')) return 'audio';
+    if (mimetype.startsWith('video/')) return 'video';
+    return 'document';
+}
+
+module.exports = { DIFY_FILE_EXTENSIONS, getDifyFileType };
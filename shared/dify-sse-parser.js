@@ -0,0 +1,169 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * DifyのストリーミングAPI（Server-Sent Events）を逐次解析する共通モジュール
+ *
+ * TCPチャンクの境界で `data:` 行やマルチバイト文字が分断されても、
+ * 行が揃うまでバッファしてから1イベントずつJSONとして取り出します。
+ * ESMのボットからも `import { readDifyStream } from '../shared/dify-sse-parser.js'` で利用できます。
+ */
+
+/**
+ * Difyがストリームで送信する主なイベント種別
+ * （ここにないイベントもそのままイベントとして取り出されます）
+ */
+const DIFY_STREAM_EVENTS = [
+    'message',
+    'agent_message',
+    'agent_thought',
+    'message_file',
+    'message_end',
+    'message_replace',
+    'workflow_started',
+    'node_started',
+    'node_finished',
+    'workflow_finished',
+    'error',
+    'ping',
+];
+
+/**
+ * チャンクを受け取るたびに完成したイベントを返すSSEパーサーを作成する関数
+ * JSONとして解析できない data は読み飛ばさず、Difyのエラーと同じ形の error イベント（code: 'invalid_json'）として返す
+ * @returns {{push: function((Buffer|Uint8Array|string)): Array<object>, end: function(): Array<object>}}
+ *   push: チャンクを追加し、新たに完成したイベントの配列を返す
+ *   end : ストリーム終了時に呼び出し、残りのイベントの配列を返す
+ */
+function createDifySseParser() {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let eventName = '';
+    let dataLines = [];
+
+    function parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            console.warn(`[WARN] DifyストリームのJSONを解析できませんでした: ${e.message} Data: ${text.substring(0, 200)}`);
+            return { event: 'error', code: 'invalid_json', message: `DifyストリームのJSONを解析できませんでした: ${e.message}` };
+        }
+    }
+
+    // 溜まっているフィールドから1イベントを組み立てる
+    function dispatch(events) {
+        const name = eventName;
+        const lines = dataLines;
+        eventName = '';
+        dataLines = [];
+
+        if (lines.length === 0) {
+            if (name) events.push({ event: name });
+            return;
+        }
+
+        const data = lines.join('\n');
+        if (data.trim() === '' || data.trim() === '[DONE]') return;
+
+        let payloads;
+        try {
+            payloads = [JSON.parse(data)];
+        } catch (e) {
+            // 空行を挟まずに複数の data: 行が送られてきた場合は1行ずつ解析する
+            payloads = lines.length > 1 ? lines.map(parseJson) : [parseJson(data)];
+        }
+
+        for (const payload of payloads) {
+            if (!payload || typeof payload !== 'object') continue;
+            if (!payload.event && name) payload.event = name;
+            events.push(payload);
+        }
+    }
+
+    function processLine(line, events) {
+        if (line.endsWith('\r')) line = line.slice(0, -1);
+
+        if (line === '') {
+            dispatch(events);
+            return;
+        }
+        if (line.startsWith(':')) return; // コメント行
+
+        const colonIndex = line.indexOf(':');
+        const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+        let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'data') {
+            dataLines.push(value);
+        } else if (field === 'event') {
+            // 前のイベントが空行なしで終わっていた場合は先に確定させる
+            if (dataLines.length > 0) dispatch(events);
+            eventName = value;
+        }
+    }
+
+    function consume(text) {
+        const events = [];
+        buffer += text;
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newlineIndex);
+            buffer = buffer.slice(newlineIndex + 1);
+            processLine(line, events);
+        }
+        return events;
+    }
+
+    return {
+        push(chunk) {
+            if (typeof chunk === 'string') return consume(chunk);
+            const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+            return consume(decoder.write(bytes));
+        },
+        end() {
+            const events = consume(decoder.end());
+            if (buffer !== '') {
+                processLine(buffer, events);
+                buffer = '';
+            }
+            dispatch(events);
+            return events;
+        },
+    };
+}
+
+// WHATWGのReadableStream（グローバルfetchのresponse.body）を非同期イテレータとして読む
+async function* iterateReader(stream) {
+    const reader = stream.getReader();
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Difyのストリーミングレスポンスのボディからイベントを1つずつ取り出す非同期ジェネレータ
+ * node-fetchのNode.jsストリームとグローバルfetchのReadableStreamの両方に対応します。
+ * @param {AsyncIterable<Buffer>|ReadableStream} body - fetchのresponse.body
+ * @yields {object} Difyのイベント（例: { event: 'message', answer: '...', conversation_id: '...' }）
+ */
+async function* readDifyStream(body) {
+    const parser = createDifySseParser();
+    const chunks = typeof body[Symbol.asyncIterator] === 'function' ? body : iterateReader(body);
+
+    for await (const chunk of chunks) {
+        for (const event of parser.push(chunk)) {
+            yield event;
+        }
+    }
+    for (const event of parser.end()) {
+        yield event;
+    }
+}
+
+module.exports = { DIFY_STREAM_EVENTS, createDifySseParser, readDifyStream };
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * ボットの実行時データ（会話・ジョブ・設定など）をJSONファイルに保存する共通モジュール
+ *
+ * 一時ファイルに書き出してから置き換えるため、書き込みの途中でプロセスが落ちても壊れたファイルは残りません。
+ * ESMのボットからも `import { writeJsonAtomic } from '../shared/json-file.js'` で利用できます。
+ */
+
+// ファイルごとの書き込み待ち（同じファイルへの書き込みは呼ばれた順に行う）
+const pendingWrites = new Map(); // filePath -> Promise
+
+/**
+ * JSONファイルを一時ファイルから置き換えて書き込む関数
+ * 内容は呼び出した時点の data を保存します（書き込みを待つ間に data が変わっても影響しません）。
+ * @param {string} filePath - 保存先のパス（ディレクトリがなければ作成する）
+ * @param {*} data - 保存する値
+ * @param {object} [options]
+ * @param {number} [options.space] - JSON.stringify のインデント（人が読むファイルの場合に指定）
+ * @returns {Promise<void>} 書き込みに失敗した場合は reject する
+ */
+function writeJsonAtomic(filePath, data, { space } = {}) {
+    const json = JSON.stringify(data, null, space);
+    const previous = pendingWrites.get(filePath) || Promise.resolve();
+    const writing = previous.catch(() => {}).then(async () => {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, json, 'utf8');
+        await fs.promises.rename(tmpPath, filePath);
+    });
+    pendingWrites.set(filePath, writing);
+    // 最後の書き込みが終わったら、待ちの記録を消す
+    writing.catch(() => {}).then(() => {
+        if (pendingWrites.get(filePath) === writing) pendingWrites.delete(filePath);
+    });
+    return writing;
+}
+
+module.exports = { writeJsonAtomic };
@@ -0,0 +1,59 @@
+/**
+ * リプレイ結果（記録したSlack・Difyへの呼び出し）をフィクスチャの expect と照合するモジュール
+ *
+ * expect.slack / expect.dify の各要素は、記録した呼び出しに部分一致するものが
+ * 前の要素に一致した呼び出しより後にあれば成功です（間に他の呼び出しがあってもよい）。
+ *   { "method": "chat.update", "args": { "text": "回答" } }          // Slack
+ *   { "method": "POST", "path": "/chat-messages", "body": { ... } }  // Dify
+ * 順序に関係なく回数を確かめる場合は "count" を、呼ばれないことを確かめる場合は "count": 0 を指定します。
+ */
+
+/**
+ * 部分一致の判定（文字列は部分文字列、配列は各要素がどれかに一致、オブジェクトは指定したキーだけ比較）
+ * @param {*} actual - 実際の値
+ * @param {*} expected - 期待する値
+ * @returns {boolean}
+ */
+function matchesPartially(actual, expected) {
+    if (typeof expected === 'string') {
+        return typeof actual === 'string' && actual.includes(expected);
+    }
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && expected.every(item => actual.some(value => matchesPartially(value, item)));
+    }
+    if (expected && typeof expected === 'object') {
+        return Boolean(actual) && typeof actual === 'object'
+            && Object.entries(expected).every(([key, value]) => matchesPartially(actual[key], value));
+    }
+    return actual === expected;
+}
+
+function describe(expectation) {
+    const { count, ...pattern } = expectation;
+    return `${JSON.stringify(pattern)}${count !== undefined ? ` ×${count}` : ''}`;
+}
+
+/**
+ * 記録した呼び出しを期待値の配列と照合する関数
+ * @param {Array<object>} calls - 記録した呼び出し
+ * @param {Array<object>} expectations - 期待値（count 以外のキーで部分一致）
+ * @returns {Array<{ok: boolean, description: string}>} 期待値ごとの結果
+ */
+function checkExpectations(calls, expectations = []) {
+    let cursor = 0;
+    return expectations.map(expectation => {
+        const { count, ...pattern } = expectation;
+        if (count !== undefined) {
+            const matched = calls.filter(call => matchesPartially(call, pattern)).length;
+            return { ok: matched === count, description: `${describe(expectation)}（実際: ${matched}回）` };
+        }
+        const index = calls.findIndex((call, i) => i >= cursor && matchesPartially(call, pattern));
+        if (index === -1) {
+            return { ok: false, description: describe(expectation) };
+        }
+        cursor = index + 1;
+        return { ok: true, description: describe(expectation) };
+    });
+}
+
+module.exports = { matchesPartially, checkExpectations };
@@ -0,0 +1,116 @@
+const http = require('http');
+const querystring = require('querystring');
+
+/**
+ * モックサーバー（Slack Web API・Dify）で共通に使うHTTPの小さなユーティリティ
+ */
+
+/**
+ * リクエストボディをすべて読み込む関数
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Content-Type に応じてリクエストボディを解析する関数
+ * JSON・フォーム形式はオブジェクトに、multipart はフィールドとファイル名だけを取り出します。
+ * @param {http.IncomingMessage} req
+ * @param {Buffer} raw - リクエストボディ
+ * @returns {object}
+ */
+function parseBody(req, raw) {
+    const contentType = req.headers['content-type'] || '';
+    if (raw.length === 0) return {};
+    if (contentType.includes('application/json')) {
+        try {
+            return JSON.parse(raw.toString('utf8'));
+        } catch (e) {
+            return { raw: raw.toString('utf8') };
+        }
+    }
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        const form = querystring.parse(raw.toString('utf8'));
+        // Slack Web APIでは blocks などのオブジェクトはJSON文字列として送られる
+        for (const [key, value] of Object.entries(form)) {
+            if (typeof value === 'string' && /^[[{]/.test(value)) {
+                try {
+                    form[key] = JSON.parse(value);
+                } catch (e) {
+                    // JSONでなければ文字列のまま扱う
+                }
+            }
+        }
+        return form;
+    }
+    if (contentType.includes('multipart/form-data')) {
+        return parseMultipart(raw.toString('latin1'));
+    }
+    return { raw: raw.toString('utf8') };
+}
+
+/**
+ * multipart/form-data からテキストのフィールドとファイル名・サイズを取り出す関数
+ * （ファイルの中身は記録しない）
+ */
+function parseMultipart(body) {
+    const result = { files: [] };
+    const parts = body.split(/\r?\n--/);
+    for (const part of parts) {
+        const nameMatch = part.match(/name="([^"]*)"/);
+        if (!nameMatch) continue;
+        const content = part.split(/\r?\n\r?\n/).slice(1).join('\n\n').replace(/\r?\n$/, '');
+        const fileNameMatch = part.match(/filename="([^"]*)"/);
+        if (fileNameMatch) {
+            result.files.push({
+                field: nameMatch[1],
+                fileName: Buffer.from(fileNameMatch[1], 'latin1').toString('utf8'),
+                size: Buffer.byteLength(content, 'latin1'),
+            });
+        } else {
+            result[nameMatch[1]] = Buffer.from(content, 'latin1').toString('utf8');
+        }
+    }
+    return result;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * ハンドラー関数からHTTPサーバーを作成し、空いているポートで起動する関数
+ * @param {function(http.IncomingMessage, http.ServerResponse, {url: URL, body: object, raw: Buffer}): Promise<void>} handler
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+async function startServer(handler) {
+    const server = http.createServer(async (req, res) => {
+        try {
+            const raw = await readBody(req);
+            const url = new URL(req.url, 'http://localhost');
+            await handler(req, res, { url, body: parseBody(req, raw), raw });
+        } catch (e) {
+            console.error('[ERROR] モックサーバーでエラーが発生しました:', e);
+            if (!res.headersSent) sendJson(res, 500, { error: e.message });
+            else res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        }),
+    };
+}
+
+module.exports = { startServer, sendJson };
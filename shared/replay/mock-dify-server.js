@@ -0,0 +1,168 @@
+const { startServer, sendJson } = require('./http-utils');
+const { matchesPartially } = require('./expectations');
+
+/**
+ * オフライン検証用のモックDifyサーバー
+ *
+ * フィクスチャの `dify` に書いた台本どおりに応答し、受け取ったリクエストをすべて記録します。
+ * ボットからは DIFY_BASE_URL（`${url}/v1`）、ナレッジ連携スクリプトからは DIFY_API_URL（`${url}`）で利用します。
+ *
+ *   POST   /v1/chat-messages                       : chat に書いた回答を streaming / blocking で返す
+ *   POST   /v1/chat-messages/:task_id/stop         : 停止
+ *   POST   /v1/files/upload                        : アップロードしたファイルのIDを払い出す
+ *   POST   /v1/audio-to-text                       : audioText を返す
+ *   POST   /v1/messages/:message_id/feedbacks      : 評価
+ *   GET    /v1/parameters                          : parameters（省略時は全種別のファイルを受け付ける設定）
+ *   GET    /v1/conversations                       : conversations
+ *   GET    /v1/datasets, /v1/datasets/:id/documents: datasets, documents
+ *   POST   /v1/datasets/:id/document/create-by-text|create-by-file（create_by_* も可）
+ *   POST   /v1/datasets/:id/documents/:doc/update-by-text|update-by-file（update_by_* も可）
+ *   DELETE /v1/datasets/:id/documents/:doc
+ *
+ * chat の各要素（上から順に使い、使い切ったら最後の要素を繰り返す）:
+ *   {
+ *     "when": { "query": "経費" },      // リクエストボディに部分一致した場合だけ使う（省略可）
+ *     "answer": "回答のMarkdown",
+ *     "conversation_id": "conv-1", "message_id": "msg-1",
+ *     "events": [ { "event": "node_started", ... } ], // 回答の前に送る追加イベント
+ *     "retriever_resources": [], "files": [],         // message_end に含める参照元・出力ファイル
+ *     "chunkSize": 20,                                // streaming で1イベントに含める文字数
+ *     "chunkDelayMs": 0,                              // streaming のイベント間の待ち時間（中断の検証用）
+ *     "status": 500, "body": { ... }                  // HTTPエラーを返す場合
+ *   }
+ */
+
+const DEFAULT_PARAMETERS = {
+    opening_statement: '',
+    suggested_questions: [],
+    user_input_form: [],
+    file_upload: {
+        enabled: true,
+        allowed_file_types: ['document', 'image', 'audio', 'video'],
+        allowed_file_extensions: [],
+        number_limits: 10,
+    },
+    system_parameters: {},
+};
+
+/**
+ * モックDifyサーバーを起動する関数
+ * @param {object} [script] - フィクスチャの dify（chat, parameters, conversations, audioText, datasets, documents）
+ * @param {function(): void} [onActivity] - リクエストを受け取るたびに呼ばれる（処理の完了待ちに使う）
+ * @returns {Promise<{url: string, requests: Array<object>, close: function(): Promise<void>}>}
+ */
+async function startMockDifyServer(script = {}, onActivity = () => {}) {
+    const requests = [];
+    const chatScript = script.chat || [{ answer: 'モックの回答です。' }];
+    const usedChatEntries = new Set();
+    let sequence = 0;
+
+    function nextId(prefix) {
+        sequence++;
+        return `${prefix}-${sequence}`;
+    }
+
+    function pickChatEntry(body) {
+        const candidates = chatScript.filter(entry => !entry.when || matchesPartially(body, entry.when));
+        const entry = candidates.find(item => !usedChatEntries.has(item)) || candidates[candidates.length - 1];
+        if (entry) usedChatEntries.add(entry);
+        return entry || { answer: '' };
+    }
+
+    async function handleChatMessages(req, res, body) {
+        const entry = pickChatEntry(body);
+        if (entry.status && entry.status >= 400) {
+            sendJson(res, entry.status, entry.body || { code: 'mock_error', message: 'モックのエラーです' });
+            return;
+        }
+        const conversationId = entry.conversation_id || body.conversation_id || nextId('conv');
+        const messageId = entry.message_id || nextId('msg');
+        const taskId = nextId('task');
+        const answer = entry.answer || '';
+        const metadata = { retriever_resources: entry.retriever_resources || [] };
+
+        if (body.response_mode !== 'streaming') {
+            sendJson(res, 200, { event: 'message', task_id: taskId, message_id: messageId, conversation_id: conversationId, answer, metadata });
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8' });
+        let closed = false;
+        res.on('close', () => { closed = true; });
+        const base = { task_id: taskId, message_id: messageId, conversation_id: conversationId };
+        const write = data => res.write(`data: ${JSON.stringify({ ...base, ...data })}\n\n`);
+        for (const event of entry.events || []) {
+            write(event);
+        }
+        // 絵文字などのサロゲートペアを分断しないよう、文字単位で区切る
+        const characters = Array.from(answer);
+        const chunkSize = entry.chunkSize || 20;
+        for (let i = 0; i < characters.length; i += chunkSize) {
+            if (closed) return; // ボットが受信を中断した
+            write({ event: 'message', answer: characters.slice(i, i + chunkSize).join('') });
+            if (entry.chunkDelayMs) await new Promise(resolve => setTimeout(resolve, entry.chunkDelayMs));
+        }
+        if (closed) return;
+        write({ event: 'message_end', metadata, files: entry.files || [] });
+        res.end();
+    }
+
+    const server = await startServer(async (req, res, { url, body }) => {
+        const pathname = url.pathname.replace(/^\/v1/, '');
+        requests.push({
+            method: req.method,
+            path: pathname,
+            query: Object.fromEntries(url.searchParams),
+            authorization: req.headers.authorization || '',
+            body,
+        });
+        onActivity();
+
+        let match;
+        if (req.method === 'POST' && pathname === '/chat-messages') {
+            await handleChatMessages(req, res, body);
+        } else if (req.method === 'POST' && /^\/chat-messages\/[^/]+\/stop$/.test(pathname)) {
+            sendJson(res, 200, { result: 'success' });
+        } else if (req.method === 'POST' && pathname === '/files/upload') {
+            const file = (body.files || [])[0] || { fileName: 'file', size: 0 };
+            const extension = (file.fileName.split('.').pop() || '').toLowerCase();
+            sendJson(res, 201, {
+                id: nextId('upload'),
+                name: file.fileName,
+                size: file.size,
+                extension,
+                mime_type: 'application/octet-stream',
+                created_by: body.user || '',
+                created_at: Math.floor(Date.now() / 1000),
+            });
+        } else if (req.method === 'POST' && pathname === '/audio-to-text') {
+            sendJson(res, 200, { text: script.audioText || 'モックの文字起こしです。' });
+        } else if (req.method === 'POST' && /^\/messages\/[^/]+\/feedbacks$/.test(pathname)) {
+            sendJson(res, 200, { result: 'success' });
+        } else if (req.method === 'GET' && pathname === '/parameters') {
+            sendJson(res, 200, { ...DEFAULT_PARAMETERS, ...(script.parameters || {}) });
+        } else if (req.method === 'GET' && pathname === '/conversations') {
+            sendJson(res, 200, { data: script.conversations || [], has_more: false, limit: 20 });
+        } else if (req.method === 'GET' && pathname === '/datasets') {
+            sendJson(res, 200, { data: script.datasets || [], has_more: false, total: (script.datasets || []).length });
+        } else if (req.method === 'GET' && (match = pathname.match(/^\/datasets\/([^/]+)\/documents$/))) {
+            const documents = (script.documents && script.documents[match[1]]) || [];
+            sendJson(res, 200, { data: documents, has_more: false, total: documents.length });
+        } else if (req.method === 'POST' && (match = pathname.match(/^\/datasets\/[^/]+\/document\/create[-_]by[-_](text|file)$/))) {
+            const name = body.name || (body.files && body.files[0] && body.files[0].fileName) || 'document';
+            sendJson(res, 200, { document: { id: nextId('doc'), name }, batch: nextId('batch') });
+        } else if (req.method === 'POST' && (match = pathname.match(/^\/datasets\/[^/]+\/documents\/([^/]+)\/update[-_]by[-_](text|file)$/))) {
+            sendJson(res, 200, { document: { id: match[1], name: body.name || '' }, batch: nextId('batch') });
+        } else if (req.method === 'DELETE' && /^\/datasets\/[^/]+\/documents\/[^/]+$/.test(pathname)) {
+            sendJson(res, 200, { result: 'success' });
+        } else if (req.method === 'GET' && /^\/datasets\/[^/]+\/documents\/[^/]+\/indexing-status$/.test(pathname)) {
+            sendJson(res, 200, { data: [{ indexing_status: 'completed' }] });
+        } else {
+            sendJson(res, 404, { code: 'not_found', message: `モックDifyに未定義のAPIです: ${req.method} ${url.pathname}` });
+        }
+    });
+
+    return { url: server.url, requests, close: server.close };
+}
+
+module.exports = { startMockDifyServer };
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { startServer, sendJson } = require('./http-utils');
+
+/**
+ * オフライン検証用のモックSlack Web API
+ *
+ * ボットの WebClient を SLACK_API_URL（`${url}/api/`）に向けて使います。受け取った呼び出しをすべて記録し、
+ * 投稿・更新・削除したメッセージをチャンネルごとに保持するため、conversations.replies などの
+ * 読み取り系のAPIも実際のSlackと同じように振る舞います。
+ *
+ * フィクスチャの `slack`:
+ *   {
+ *     "botUserId": "UBOT",                     // auth.test で返すボットのユーザーID（省略時: UREPLAYBOT）
+ *     "messages": [ { "channel": "C1", "ts": "...", "user": "U1", "text": "..." } ], // 既存のメッセージ
+ *     "channels": { "C1": { "name": "ops-help" } },   // conversations.info の内容
+ *     "users": { "U1": { "real_name": "山田 太郎" } },  // users.info の内容
+ *     "files": { "F1": { "name": "a.csv", "mimetype": "text/csv", "path": "./a.csv" } }, // files.info・ダウンロード
+ *     "responses": { "chat.postMessage": { "ok": false, "error": "channel_not_found" } } // 応答の上書き
+ *   }
+ * files の url_private_download は `${url}/files/<ファイルID>` になり、path（フィクスチャからの相対パス）か
+ * text の内容を返します。responses の値を配列にすると、呼び出しごとに先頭から順に使います。
+ * chat.postMessage・chat.update は、実際のSlackと同じくブロックの件数・テキストの長さが上限を超えると invalid_blocks を返します。
+ */
+
+const MAX_BLOCKS = 50;
+const MAX_TEXT_CHARS = { section: 3000, context: 3000, header: 150 };
+
+// Slackが invalid_blocks で拒否するブロックがあれば true を返す
+function hasInvalidBlocks(blocks) {
+    if (!Array.isArray(blocks)) return false;
+    if (blocks.length > MAX_BLOCKS) return true;
+    return blocks.some(block => {
+        const maxChars = MAX_TEXT_CHARS[block.type];
+        if (!maxChars) return false;
+        const texts = block.type === 'context' ? (block.elements || []).map(element => element.text) : [block.text && block.text.text];
+        return texts.some(text => typeof text === 'string' && text.length > maxChars);
+    });
+}
+
+/**
+ * モックSlack Web APIを起動する関数
+ * @param {object} [script] - フィクスチャの slack
+ * @param {object} [options]
+ * @param {string} [options.baseDir] - files の path を解決する基準ディレクトリ
+ * @param {function(): void} [options.onActivity] - 呼び出しを受け取るたびに呼ばれる（処理の完了待ちに使う）
+ * @returns {Promise<object>} { url, apiUrl, botUserId, calls, messages, addMessage, removeMessage, fileInfo, close }
+ */
+async function startMockSlackApi(script = {}, { baseDir = process.cwd(), onActivity = () => {} } = {}) {
+    const botUserId = script.botUserId || 'UREPLAYBOT';
+    const botId = script.botId || 'BREPLAYBOT';
+    const calls = [];
+    const messages = []; // { channel, ts, thread_ts, user, bot_id, text, blocks, files }
+    const overrides = Object.fromEntries(Object.entries(script.responses || {}).map(([method, value]) => [method, Array.isArray(value) ? [...value] : value]));
+    let tsCounter = 0;
+    let fileCounter = 0;
+    let server = null;
+
+    function nextTs() {
+        tsCounter++;
+        return `${Math.floor(Date.now() / 1000)}.${String(900000 + tsCounter).padStart(6, '0')}`;
+    }
+
+    function addMessage(message) {
+        const existing = messages.find(item => item.channel === message.channel && item.ts === message.ts);
+        if (existing) Object.assign(existing, message);
+        else messages.push({ ...message });
+    }
+
+    function removeMessage(channel, ts) {
+        const index = messages.findIndex(item => item.channel === channel && item.ts === ts);
+        if (index !== -1) messages.splice(index, 1);
+        return index !== -1;
+    }
+
+    function fileInfo(fileId) {
+        const file = (script.files || {})[fileId];
+        if (!file) return null;
+        const { path: filePath, text, ...info } = file;
+        const url = `${server.url}/files/${fileId}`;
+        return {
+            id: fileId,
+            name: fileId,
+            title: info.name || fileId,
+            size: filePath ? fs.statSync(path.resolve(baseDir, filePath)).size : Buffer.byteLength(text || ''),
+            url_private: url,
+            url_private_download: url,
+            ...info,
+        };
+    }
+
+    function findThread(channel, threadTs) {
+        return messages
+            .filter(message => message.channel === channel && (message.ts === threadTs || message.thread_ts === threadTs))
+            .sort((a, b) => Number(a.ts) - Number(b.ts));
+    }
+
+    function inRange(message, { oldest, latest, inclusive }) {
+        const ts = Number(message.ts);
+        const isInclusive = inclusive === true || inclusive === 'true' || inclusive === '1';
+        if (oldest && (isInclusive ? ts < Number(oldest) : ts <= Number(oldest))) return false;
+        if (latest && (isInclusive ? ts > Number(latest) : ts >= Number(latest))) return false;
+        return true;
+    }
+
+    // 上書きのないAPIの既定の応答
+    const handlers = {
+        'auth.test': () => ({ user_id: botUserId, bot_id: botId, team_id: 'TREPLAY', user: 'replay-bot', team: 'replay' }),
+        'chat.postMessage': args => {
+            if (hasInvalidBlocks(args.blocks)) return { ok: false, error: 'invalid_blocks' };
+            const ts = nextTs();
+            const message = { channel: args.channel, ts, thread_ts: args.thread_ts, user: botUserId, bot_id: botId, text: args.text || '', blocks: args.blocks };
+            addMessage(message);
+            return { channel: args.channel, ts, message };
+        },
+        'chat.postEphemeral': () => ({ message_ts: nextTs() }),
+        'chat.update': args => {
+            const message = messages.find(item => item.channel === args.channel && item.ts === args.ts);
+            if (!message) return { ok: false, error: 'message_not_found' };
+            if (hasInvalidBlocks(args.blocks)) return { ok: false, error: 'invalid_blocks' };
+            Object.assign(message, { text: args.text || '', blocks: args.blocks });
+            return { channel: args.channel, ts: args.ts, text: args.text };
+        },
+        'chat.delete': args => (removeMessage(args.channel, args.ts)
+            ? { channel: args.channel, ts: args.ts }
+            : { ok: false, error: 'message_not_found' }),
+        'chat.getPermalink': args => ({ permalink: `https://replay.slack.com/archives/${args.channel}/p${String(args.message_ts).replace('.', '')}` }),
+        'conversations.replies': args => {
+            const thread = findThread(args.channel, args.ts);
+            if (thread.length === 0) return { ok: false, error: 'thread_not_found' };
+            return { messages: thread.filter(message => inRange(message, args)).slice(0, Number(args.limit) || 1000), has_more: false };
+        },
+        'conversations.history': args => ({
+            messages: messages
+                .filter(message => message.channel === args.channel && (!message.thread_ts || message.thread_ts === message.ts) && inRange(message, args))
+                .sort((a, b) => Number(b.ts) - Number(a.ts)),
+            has_more: false,
+        }),
+        'conversations.info': args => ({
+            channel: { id: args.channel, name: args.channel, is_im: args.channel.startsWith('D'), ...((script.channels || {})[args.channel] || {}) },
+        }),
+        'conversations.open': args => ({ channel: { id: `D${String(args.users).split(',')[0]}` } }),
+        'users.info': args => ({
+            user: { id: args.user, name: args.user, real_name: args.user, profile: { display_name: args.user }, ...((script.users || {})[args.user] || {}) },
+        }),
+        'files.info': args => {
+            const file = fileInfo(args.file);
+            return file ? { file } : { ok: false, error: 'file_not_found' };
+        },
+        'files.getUploadURLExternal': () => {
+            fileCounter++;
+            const fileId = `FREPLAY${fileCounter}`;
+            return { upload_url: `${server.url}/upload/${fileId}`, file_id: fileId };
+        },
+        'files.completeUploadExternal': args => ({ files: (args.files || []).map(file => ({ id: file.id, title: file.title })) }),
+        'views.open': () => ({ view: { id: `VREPLAY${nextTs()}` } }),
+        'views.publish': () => ({ view: { id: `VREPLAY${nextTs()}` } }),
+        'views.update': () => ({ view: { id: `VREPLAY${nextTs()}` } }),
+    };
+
+    function respond(method, args) {
+        if (method in overrides) {
+            const override = Array.isArray(overrides[method]) ? overrides[method].shift() : overrides[method];
+            if (override !== undefined) return { ok: true, ...override };
+        }
+        const handler = handlers[method];
+        return { ok: true, ...(handler ? handler(args) : {}) };
+    }
+
+    server = await startServer(async (req, res, { url, body }) => {
+        onActivity();
+        let match;
+        if ((match = url.pathname.match(/^\/api\/(.+)$/))) {
+            const method = match[1];
+            const result = respond(method, body);
+            calls.push({ method, args: body, ok: result.ok });
+            sendJson(res, 200, result);
+        } else if ((match = url.pathname.match(/^\/files\/([^/]+)$/))) {
+            // ボットによるファイルのダウンロード（url_private_download）
+            const file = (script.files || {})[match[1]];
+            if (!file) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            const content = file.path ? fs.readFileSync(path.resolve(baseDir, file.path)) : Buffer.from(file.text || '', 'utf8');
+            res.writeHead(200, { 'Content-Type': file.mimetype || 'application/octet-stream' });
+            res.end(content);
+        } else if ((match = url.pathname.match(/^\/upload\/([^/]+)$/))) {
+            // files.uploadV2 の getUploadURLExternal で払い出したURLへのアップロード
+            calls.push({ method: 'upload', args: { fileId: match[1] }, ok: true });
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(`OK - ${match[1]}`);
+        } else if ((match = url.pathname.match(/^\/response\/(.+)$/))) {
+            // アクションの response_url（respond）への送信
+            calls.push({ method: 'response_url', args: body, ok: true });
+            sendJson(res, 200, { ok: true });
+        } else {
+            sendJson(res, 404, { ok: false, error: 'unknown_method' });
+        }
+    });
+
+    for (const message of script.messages || []) {
+        addMessage(message);
+    }
+
+    return {
+        url: server.url,
+        apiUrl: `${server.url}/api/`,
+        botUserId,
+        botId,
+        calls,
+        messages,
+        addMessage,
+        removeMessage,
+        fileInfo,
+        close: server.close,
+    };
+}
+
+module.exports = { startMockSlackApi };
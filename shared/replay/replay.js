@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const { startMockSlackApi } = require('./mock-slack-api');
+const { startMockDifyServer } = require('./mock-dify-server');
+const { checkExpectations } = require('./expectations');
+
+/**
+ * 記録したSlackイベントをボットの実際のハンドラーに流し込み、SlackとDifyへの呼び出しを検証するリプレイハーネス
+ *
+ *   node shared/replay/replay.js [フィクスチャ.json | ディレクトリ ...] [--verbose]
+ *
+ * 引数を省略すると shared/replay/fixtures 以下のすべてのフィクスチャを実行します。
+ * フィクスチャごとに別プロセスで、モックのSlack Web API・モックのDifyサーバーを起動し、
+ * ボットを BOT_REPLAY_MODE=true で読み込んで（Slackには接続しない）、公開している app の
+ * processEvent にイベントを渡します。ネットワークや本番のトークンは不要です。
+ * フィクスチャの書き方は README.md を参照してください。
+ */
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_SETTLE_MS = 300; // この時間SlackにもDifyにも呼び出しがなければ、処理が終わったとみなす
+const DEFAULT_STEP_TIMEOUT_MS = 15000;
+const FIXTURE_PROCESS_TIMEOUT_MS = 60000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 引数のファイル・ディレクトリからフィクスチャのパスを集める関数
+ * @param {Array<string>} targets
+ * @returns {Array<string>}
+ */
+function collectFixtures(targets) {
+    return targets.flatMap(target => {
+        const resolved = path.resolve(target);
+        if (fs.statSync(resolved).isDirectory()) {
+            return fs.readdirSync(resolved)
+                .filter(name => name.endsWith('.json'))
+                .sort()
+                .map(name => path.join(resolved, name));
+        }
+        return [resolved];
+    });
+}
+
+/**
+ * ボットが最後に投稿したメッセージのうち、指定した action_id のボタンを含むものからボタンの value を返す関数
+ * `<action_id>@<スレッドのts>` と書くと、そのスレッドのメッセージだけから探す
+ */
+function findLastActionValue(slack, target) {
+    const [actionId, threadTs] = target.split('@');
+    const posted = slack.messages.filter(message => message.bot_id === slack.botId && Array.isArray(message.blocks)
+        && (!threadTs || message.ts === threadTs || message.thread_ts === threadTs));
+    for (const message of posted.reverse()) {
+        for (const block of message.blocks) {
+            const elements = block.elements || (block.accessory ? [block.accessory] : []);
+            const button = elements.find(element => element.action_id === actionId);
+            if (button) return button.value || '';
+        }
+    }
+    return '';
+}
+
+/**
+ * フィクスチャ内の {{botUserId}}・{{lastBotTs}}・{{responseUrl}}・{{actionValue:<action_id>}} を現在の値に置き換える関数
+ */
+function resolvePlaceholders(value, slack) {
+    const json = JSON.stringify(value)
+        .replace(/\{\{botUserId\}\}/g, slack.botUserId)
+        .replace(/\{\{responseUrl\}\}/g, `${slack.url}/response/replay`)
+        // JSON文字列の中に埋め込むため、値をエスケープしてから置き換える
+        .replace(/\{\{actionValue:([^}]+)\}\}/g, (_, target) => JSON.stringify(findLastActionValue(slack, target)).slice(1, -1))
+        .replace(/\{\{lastBotTs\}\}/g, () => {
+            const posted = slack.messages.filter(message => message.bot_id === slack.botId);
+            return posted.length > 0 ? posted[posted.length - 1].ts : '';
+        });
+    return JSON.parse(json);
+}
+
+/**
+ * ステップの event を Events API のペイロード（event_callback）に包む関数
+ * ユーザーのメッセージはモックSlackにも保存し、conversations.replies などで参照できるようにする
+ */
+function buildEventBody(event, slack, index) {
+    const ts = event.ts || `${Math.floor(Date.now() / 1000)}.${String(100 + index).padStart(6, '0')}`;
+    const filled = { event_ts: ts, ...event, ts };
+    if (filled.channel && filled.channel.startsWith('D') && !filled.channel_type && filled.type === 'message') {
+        filled.channel_type = 'im';
+    }
+    // files にファイルIDだけを書いた場合は、モックSlackの files.info の内容に展開する
+    if (Array.isArray(filled.files)) {
+        filled.files = filled.files.map(file => (typeof file === 'string' ? slack.fileInfo(file) : file)).filter(Boolean);
+    }
+
+    if (filled.subtype === 'message_changed' && filled.message) {
+        slack.addMessage({ channel: filled.channel, ...filled.message });
+    } else if (filled.subtype === 'message_deleted') {
+        slack.removeMessage(filled.channel, filled.deleted_ts);
+    } else if ((filled.type === 'message' || filled.type === 'app_mention') && !filled.subtype && !filled.bot_id) {
+        slack.addMessage({ channel: filled.channel, ts, thread_ts: filled.thread_ts, user: filled.user, text: filled.text || '', files: filled.files });
+    }
+
+    return {
+        token: 'replay',
+        team_id: 'TREPLAY',
+        api_app_id: 'AREPLAY',
+        type: 'event_callback',
+        event_id: `EvREPLAY${index}`,
+        event_time: Math.floor(Date.now() / 1000),
+        authorizations: [{ team_id: 'TREPLAY', user_id: slack.botUserId, is_bot: true }],
+        event: filled,
+    };
+}
+
+/**
+ * ボットのログを溜めておき、失敗時・--verbose の時だけ表示するためのコンソールの差し替え
+ */
+function captureConsole() {
+    const logs = [];
+    const original = {};
+    for (const level of ['log', 'info', 'debug', 'warn', 'error']) {
+        original[level] = console[level];
+        console[level] = (...args) => logs.push(`[${level}] ${args.map(arg => (typeof arg === 'string' ? arg : require('util').inspect(arg, { depth: 4 }))).join(' ')}`);
+    }
+    return { logs, restore: () => Object.assign(console, original) };
+}
+
+function summarizeCall(call) {
+    const args = call.args || call.body || {};
+    const text = args.text || args.query || (args.view && args.view.callback_id) || '';
+    const label = call.method && call.path ? `${call.method} ${call.path}` : call.method;
+    return `${label}${call.ok === false ? ' (ok: false)' : ''}${text ? `: ${String(text).replace(/\s+/g, ' ').slice(0, 100)}` : ''}`;
+}
+
+/**
+ * 1つのフィクスチャを実行する関数（このプロセス内でボットを読み込む）
+ * @param {string} fixturePath
+ * @param {object} options
+ * @param {boolean} options.verbose
+ * @returns {Promise<boolean>} すべての期待値を満たせば true
+ */
+async function runFixture(fixturePath, { verbose }) {
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const name = fixture.name || path.basename(fixturePath);
+    const botDir = path.resolve(REPO_ROOT, fixture.bot);
+    const entry = path.resolve(botDir, fixture.entry || JSON.parse(fs.readFileSync(path.join(botDir, 'package.json'), 'utf8')).main || 'index.js');
+
+    let lastActivity = Date.now();
+    const onActivity = () => { lastActivity = Date.now(); };
+    const slack = await startMockSlackApi(fixture.slack, { baseDir: path.dirname(fixturePath), onActivity });
+    const dify = await startMockDifyServer(fixture.dify, onActivity);
+
+    // .env や ./.data を読み書きしないよう、一時ディレクトリで実行する
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-replay-'));
+    process.chdir(workDir);
+    Object.assign(process.env, {
+        BOT_REPLAY_MODE: 'true',
+        SLACK_API_URL: slack.apiUrl,
+        SLACK_BOT_TOKEN: 'xoxb-replay',
+        SLACK_APP_TOKEN: 'xapp-replay',
+        SLACK_SIGNING_SECRET: 'replay',
+        DIFY_BASE_URL: `${dify.url}/v1`,
+        DIFY_API_URL: dify.url,
+        DIFY_API_ENDPOINT: `${dify.url}/v1/chat-messages`,
+        DIFY_API_KEY: 'app-replay',
+        ...(fixture.env || {}),
+    });
+
+    const consoleCapture = captureConsole();
+    const errors = [];
+    const backgroundSteps = []; // async: true で完了を待たずに次へ進んだステップ
+    const waitForSettle = async () => {
+        const deadline = Date.now() + (fixture.stepTimeoutMs || DEFAULT_STEP_TIMEOUT_MS);
+        while (Date.now() - lastActivity < (fixture.settleMs || DEFAULT_SETTLE_MS) && Date.now() < deadline) {
+            await sleep(50);
+        }
+    };
+    try {
+        const botModule = await import(pathToFileURL(entry).href);
+        const app = botModule.app || (botModule.default && botModule.default.app);
+        if (!app) {
+            throw new Error(`${path.relative(REPO_ROOT, entry)} が app を公開していないため、リプレイできません。`);
+        }
+
+        for (const [index, step] of (fixture.steps || []).entries()) {
+            if (step.wait) {
+                await sleep(step.wait);
+                continue;
+            }
+            const resolved = resolvePlaceholders(step, slack);
+            const body = resolved.event ? buildEventBody(resolved.event, slack, index) : resolved.body;
+            const processing = app.processEvent({
+                body,
+                // モーダルの入力エラー（response_action）などの ack の応答も検証できるよう記録する
+                ack: async response => {
+                    if (response) slack.calls.push({ method: 'ack', args: response, ok: true });
+                },
+                retryNum: resolved.retryNum,
+                retryReason: resolved.retryReason,
+            }).catch(e => {
+                errors.push(`ステップ${index + 1}: ${e.message}`);
+            });
+            // 回答中に別のイベント（削除・停止など）を流し込む場合は、完了を待たずに次のステップへ進む
+            if (resolved.async) {
+                backgroundSteps.push(processing);
+                continue;
+            }
+            await processing;
+            // バックグラウンドの処理も含め、呼び出しが途絶えるまで待つ
+            await waitForSettle();
+        }
+        await Promise.all(backgroundSteps);
+        await waitForSettle();
+    } catch (e) {
+        errors.push(e.stack || e.message);
+    } finally {
+        consoleCapture.restore();
+    }
+
+    const expect = fixture.expect || {};
+    const results = [
+        ...checkExpectations(slack.calls, expect.slack).map(result => ({ ...result, target: 'Slack' })),
+        ...checkExpectations(dify.requests, expect.dify).map(result => ({ ...result, target: 'Dify' })),
+    ];
+    const passed = errors.length === 0 && results.every(result => result.ok);
+
+    console.log(`${passed ? '✅' : '❌'} ${name} (${path.relative(REPO_ROOT, fixturePath)})`);
+    for (const result of results) {
+        if (!result.ok || verbose) console.log(`   ${result.ok ? '✔' : '✘'} ${result.target}: ${result.description}`);
+    }
+    for (const error of errors) {
+        console.log(`   ✘ エラー: ${error}`);
+    }
+    if (!passed || verbose) {
+        console.log('   --- Slackへの呼び出し ---');
+        slack.calls.forEach(call => console.log(`   ${summarizeCall(call)}`));
+        console.log('   --- Difyへのリクエスト ---');
+        dify.requests.forEach(call => console.log(`   ${summarizeCall(call)}`));
+        console.log('   --- ボットのログ ---');
+        consoleCapture.logs.forEach(line => console.log(`   ${line}`));
+    }
+
+    await Promise.all([slack.close(), dify.close()]);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    return passed;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const verbose = args.includes('--verbose');
+
+    // 子プロセスとして1つのフィクスチャを実行する
+    const singleIndex = args.indexOf('--single');
+    if (singleIndex !== -1) {
+        const passed = await runFixture(args[singleIndex + 1], { verbose });
+        // ボットのタイマー（親スレッドの削除チェックなど）が残っていても終了する
+        process.exit(passed ? 0 : 1);
+    }
+
+    const targets = args.filter(arg => !arg.startsWith('--'));
+    const fixtures = collectFixtures(targets.length > 0 ? targets : [DEFAULT_FIXTURES_DIR]);
+    let failed = 0;
+    // ボットはモジュールの読み込み時に状態を作るため、フィクスチャごとに別プロセスで実行する
+    for (const fixturePath of fixtures) {
+        const result = spawnSync(process.execPath, [__filename, '--single', fixturePath, ...(verbose ? ['--verbose'] : [])], {
+            stdio: 'inherit',
+            timeout: FIXTURE_PROCESS_TIMEOUT_MS,
+        });
+        if (result.status !== 0) {
+            failed++;
+            if (result.error) console.log(`❌ ${path.relative(REPO_ROOT, fixturePath)}: ${result.error.message}`);
+        }
+    }
+    console.log(`\n${fixtures.length - failed}/${fixtures.length} 件のフィクスチャが成功しました。`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(e => {
+    console.error('[ERROR] リプレイハーネスの実行に失敗しました:', e);
+    process.exit(1);
+});
@@ -0,0 +1,904 @@
+/**
+ * DifyなどのLLMが出力するMarkdownを、Slackの Block Kit（rich_text / header / divider）と
+ * mrkdwnテキストに変換する共通レンダラー
+ *
+ * 正規表現の置換ではなく、Markdownを一度ブロック・インライン要素に解析してから出力するため、
+ * 入れ子の太字や番号付きリスト、太字の中のリンク、表、`*` を含むコードブロックも崩れません。
+ * ESMのボットからも `import { markdownToBlocks } from '../shared/slack-markdown.js'` で利用できます。
+ */
+
+const DEFAULT_MAX_BLOCK_CHARS = 3000; // Slackのテキスト系ブロック1つあたりの上限
+const HEADER_MAX_CHARS = 150; // headerブロックのplain_textの上限
+const ZERO_WIDTH_SPACE = '\u200B';
+
+// ---------------------------------------------------------------------------
+// インライン要素の解析
+// ---------------------------------------------------------------------------
+
+/**
+ * インラインのMarkdownを、スタイル付きの要素（run）の配列に変換する関数
+ *   { type: 'text', text, style }
+ *   { type: 'link', url, text, style }
+ *   { type: 'user', user_id } / { type: 'channel', channel_id }
+ * @param {string} source - インラインのMarkdown
+ * @param {object} [style] - 外側から引き継ぐスタイル
+ * @returns {Array<object>}
+ */
+function parseInline(source, style = {}) {
+    const runs = [];
+    let text = '';
+    let i = 0;
+
+    const flush = () => {
+        if (text) {
+            runs.push({ type: 'text', text, style: { ...style } });
+            text = '';
+        }
+    };
+
+    while (i < source.length) {
+        const rest = source.slice(i);
+        const ch = source[i];
+
+        // バックスラッシュエスケープ
+        if (ch === '\\' && i + 1 < source.length && /[\\`*_{}[\]()#+\-.!~|<>]/.test(source[i + 1])) {
+            text += source[i + 1];
+            i += 2;
+            continue;
+        }
+
+        // インラインコード（中身は解析しない）
+        if (ch === '`') {
+            const fence = rest.match(/^`+/)[0];
+            const end = source.indexOf(fence, i + fence.length);
+            if (end !== -1) {
+                flush();
+                const code = source.slice(i + fence.length, end).replace(/^ (.*) $/, '$1');
+                runs.push({ type: 'text', text: code, style: { ...style, code: true } });
+                i = end + fence.length;
+                continue;
+            }
+        }
+
+        // Slack形式のメンション・リンク <@U123> <#C123|name> <https://...|text>
+        if (ch === '<') {
+            const slackMatch = rest.match(/^<(@[UW][A-Z0-9]+|#C[A-Z0-9]+(?:\|[^>]*)?|https?:\/\/[^\s>|]+(?:\|[^>]*)?|mailto:[^\s>|]+(?:\|[^>]*)?)>/);
+            if (slackMatch) {
+                flush();
+                const body = slackMatch[1];
+                if (body.startsWith('@')) {
+                    runs.push({ type: 'user', user_id: body.slice(1) });
+                } else if (body.startsWith('#')) {
+                    runs.push({ type: 'channel', channel_id: body.slice(1).split('|')[0] });
+                } else {
+                    const [url, label] = body.split('|');
+                    runs.push({ type: 'link', url, text: label || url, style: { ...style } });
+                }
+                i += slackMatch[0].length;
+                continue;
+            }
+        }
+
+        // Markdownのリンク [text](url)
+        if (ch === '[') {
+            const closeBracket = findClosingBracket(source, i);
+            if (closeBracket !== -1 && source[closeBracket + 1] === '(') {
+                const closeParen = source.indexOf(')', closeBracket + 2);
+                if (closeParen !== -1) {
+                    const url = source.slice(closeBracket + 2, closeParen).trim().split(/\s+/)[0];
+                    if (/^(https?:\/\/|mailto:)/.test(url)) {
+                        flush();
+                        const label = source.slice(i + 1, closeBracket);
+                        for (const inner of parseInline(label, style)) {
+                            if (inner.type === 'text') {
+                                runs.push({ type: 'link', url, text: inner.text, style: inner.style });
+                            } else {
+                                runs.push(inner);
+                            }
+                        }
+                        i = closeParen + 1;
+                        continue;
+                    }
+                }
+            }
+        }
+
+        // URLの直書き
+        if (ch === 'h' && /^https?:\/\//.test(rest) && !/[\w/]$/.test(text)) {
+            const urlMatch = rest.match(/^https?:\/\/[^\s<>"'）」』】、。]+/);
+            let url = urlMatch[0].replace(/[.,;:!?*_~]+$/, '');
+            // 末尾の閉じ括弧は、URL内に対応する開き括弧がない場合だけURLから外す
+            while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+                url = url.slice(0, -1);
+            }
+            flush();
+            runs.push({ type: 'link', url, text: url, style: { ...style } });
+            i += url.length;
+            continue;
+        }
+
+        // 強調（**太字** __太字__ *斜体* _斜体_ ~~取り消し線~~）
+        const emphasis = matchEmphasis(source, i);
+        if (emphasis) {
+            flush();
+            runs.push(...parseInline(emphasis.inner, { ...style, ...emphasis.style }));
+            i = emphasis.end;
+            continue;
+        }
+
+        text += ch;
+        i += 1;
+    }
+    flush();
+    return mergeRuns(runs);
+}
+
+// [ に対応する ] の位置を、入れ子の角括弧を考慮して探す
+function findClosingBracket(source, openIndex) {
+    let depth = 0;
+    for (let j = openIndex; j < source.length; j++) {
+        if (source[j] === '\\') { j++; continue; }
+        if (source[j] === '[') depth++;
+        if (source[j] === ']') {
+            depth--;
+            if (depth === 0) return j;
+        }
+    }
+    return -1;
+}
+
+const EMPHASIS_DELIMITERS = [
+    { delim: '***', style: { bold: true, italic: true } },
+    { delim: '___', style: { bold: true, italic: true } },
+    { delim: '**', style: { bold: true } },
+    { delim: '__', style: { bold: true } },
+    { delim: '~~', style: { strike: true } },
+    { delim: '*', style: { italic: true } },
+    { delim: '_', style: { italic: true } },
+];
+
+// 位置iから始まる強調記法を探し、対応する閉じ記号までを返す
+function matchEmphasis(source, i) {
+    for (const { delim, style } of EMPHASIS_DELIMITERS) {
+        if (!source.startsWith(delim, i)) continue;
+        const after = source[i + delim.length];
+        // 開き記号の直後が空白、または同じ記号の続きなら強調ではない
+        if (after === undefined || /\s/.test(after) || after === delim[0]) continue;
+        // snake_case のような単語中の _ は強調として扱わない
+        if (delim[0] === '_' && i > 0 && /[A-Za-z0-9]/.test(source[i - 1])) continue;
+
+        const end = findClosingDelimiter(source, i + delim.length, delim);
+        if (end === -1) continue;
+        return { inner: source.slice(i + delim.length, end), style, end: end + delim.length };
+    }
+    return null;
+}
+
+// 開き記号に対応する閉じ記号の位置を探す（内側で開閉される同じ記号は読み飛ばす）
+function findClosingDelimiter(source, from, delim) {
+    const ch = delim[0];
+    const innerOpeners = [];
+    for (let j = from; j < source.length; j++) {
+        const c = source[j];
+        if (c === '\\') { j++; continue; }
+        if (c === '`') {
+            // コードスパンの中の記号は対象外
+            const fence = source.slice(j).match(/^`+/)[0];
+            const end = source.indexOf(fence, j + fence.length);
+            if (end !== -1) { j = end + fence.length - 1; continue; }
+        }
+        if (c !== ch) continue;
+
+        let run = 1;
+        while (source[j + run] === ch) run++;
+        const prev = source[j - 1];
+        const next = source[j + run];
+        const intraword = ch === '_' && /[A-Za-z0-9]/.test(prev || '') && /[A-Za-z0-9]/.test(next || '');
+        const canClose = j > from && !/\s/.test(prev) && !intraword;
+        const canOpen = next !== undefined && !/\s/.test(next) && !intraword;
+
+        if (canClose && innerOpeners.length > 0 && innerOpeners[innerOpeners.length - 1] <= run) {
+            // 内側の強調を閉じ、残りの記号で外側が閉じるか確認する
+            const inner = innerOpeners.pop();
+            if (innerOpeners.length === 0 && run - inner === delim.length) return j + inner;
+        } else if (canClose && innerOpeners.length === 0 && (run === delim.length || (!canOpen && run > delim.length))) {
+            return j + run - delim.length;
+        } else if (canOpen) {
+            innerOpeners.push(run);
+        }
+        j += run - 1;
+    }
+    return -1;
+}
+
+// 同じスタイルが連続するテキスト要素をまとめる
+function mergeRuns(runs) {
+    const merged = [];
+    for (const run of runs) {
+        const last = merged[merged.length - 1];
+        if (last && last.type === run.type && run.type === 'text' && sameStyle(last.style, run.style)) {
+            last.text += run.text;
+        } else if (last && run.type === 'link' && last.type === 'link' && last.url === run.url && sameStyle(last.style, run.style)) {
+            last.text += run.text;
+        } else {
+            merged.push({ ...run });
+        }
+    }
+    return merged;
+}
+
+function sameStyle(a = {}, b = {}) {
+    return !!a.bold === !!b.bold && !!a.italic === !!b.italic && !!a.strike === !!b.strike && !!a.code === !!b.code;
+}
+
+// ---------------------------------------------------------------------------
+// ブロック要素の解析
+// ---------------------------------------------------------------------------
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*).*$/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR_PATTERN = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+•]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function indentWidth(line) {
+    const match = line.match(/^[ \t]*/)[0];
+    return match.replace(/\t/g, '    ').length;
+}
+
+function isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1]) && lines[i + 1].includes('-');
+}
+
+function isBlockStart(lines, i) {
+    const line = lines[i];
+    return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || HR_PATTERN.test(line) ||
+        QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line) || isTableStart(lines, i);
+}
+
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Markdownの行配列をブロック要素の配列に解析する関数
+ *   { type: 'heading', level, inlines } / { type: 'paragraph', inlines } / { type: 'code', text }
+ *   { type: 'hr' } / { type: 'quote', children } / { type: 'list', ordered, start, items: [{ children }] }
+ *   { type: 'table', header, rows }
+ * @param {Array<string>} lines
+ * @returns {Array<object>}
+ */
+function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        // コードブロック（閉じられていない場合は末尾まで）
+        const fenceMatch = line.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            const fence = fenceMatch[1];
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !new RegExp(`^\\s{0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`).test(lines[i])) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            i++; // 閉じフェンスを飛ばす
+            blocks.push({ type: 'code', text: codeLines.join('\n') });
+            continue;
+        }
+
+        const headingMatch = line.match(HEADING_PATTERN);
+        if (headingMatch) {
+            blocks.push({ type: 'heading', level: headingMatch[1].length, inlines: parseInline(headingMatch[2]) });
+            i++;
+            continue;
+        }
+
+        if (HR_PATTERN.test(line)) {
+            blocks.push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(line)) {
+            const quoteLines = [];
+            while (i < lines.length && lines[i].trim() !== '' && (QUOTE_PATTERN.test(lines[i]) || quoteLines.length > 0 && !isBlockStart(lines, i))) {
+                const quoteMatch = lines[i].match(QUOTE_PATTERN);
+                quoteLines.push(quoteMatch ? quoteMatch[1] : lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'quote', children: parseBlocks(quoteLines) });
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            const header = splitTableRow(lines[i]).map(cell => parseInline(cell));
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+                rows.push(splitTableRow(lines[i]).map(cell => parseInline(cell)));
+                i++;
+            }
+            blocks.push({ type: 'table', header, rows });
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const { list, next } = parseList(lines, i);
+            blocks.push(list);
+            i = next;
+            continue;
+        }
+
+        // 段落（空行か別のブロックが始まるまで）
+        const paragraphLines = [];
+        while (i < lines.length && lines[i].trim() !== '' && (paragraphLines.length === 0 || !isBlockStart(lines, i))) {
+            paragraphLines.push(lines[i].trim());
+            i++;
+        }
+        blocks.push({ type: 'paragraph', inlines: parseInline(paragraphLines.join('\n')) });
+    }
+
+    return blocks;
+}
+
+// 位置startから始まるリストを、入れ子のリストを含めて解析する
+function parseList(lines, start) {
+    const firstMatch = lines[start].match(LIST_ITEM_PATTERN);
+    const baseIndent = indentWidth(firstMatch[1]);
+    const ordered = /\d/.test(firstMatch[2]);
+    const list = { type: 'list', ordered, start: ordered ? parseInt(firstMatch[2], 10) : 1, items: [] };
+
+    let i = start;
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM_PATTERN);
+        if (!match || indentWidth(match[1]) !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+        const contentIndent = baseIndent + match[2].length + 1;
+        const itemLines = [match[3]];
+        i++;
+
+        while (i < lines.length) {
+            const current = lines[i];
+            if (current.trim() === '') {
+                // 空行の後もインデントされた行が続く場合は同じ項目の続き
+                let j = i + 1;
+                while (j < lines.length && lines[j].trim() === '') j++;
+                if (j < lines.length && indentWidth(lines[j]) > baseIndent) {
+                    itemLines.push('');
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            const indent = indentWidth(current);
+            if (indent > baseIndent) {
+                itemLines.push(current.replace(/\t/g, '    ').slice(Math.min(indent, contentIndent)));
+                i++;
+                continue;
+            }
+            // インデントなしでも、リスト項目や別のブロックでなければ段落の続きとみなす
+            if (!isBlockStart(lines, i)) {
+                itemLines.push(current.trim());
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        list.items.push({ children: parseBlocks(itemLines) });
+
+        // 空行を挟んで同じリストが続く場合
+        let j = i;
+        while (j < lines.length && lines[j].trim() === '') j++;
+        if (j !== i && j < lines.length) {
+            const nextMatch = lines[j].match(LIST_ITEM_PATTERN);
+            if (nextMatch && indentWidth(nextMatch[1]) === baseIndent && /\d/.test(nextMatch[2]) === ordered) {
+                i = j;
+            }
+        }
+    }
+
+    return { list, next: i };
+}
+
+/**
+ * Markdown文字列をブロック要素の配列に解析する関数
+ * @param {string} markdown
+ * @returns {Array<object>}
+ */
+function parseMarkdown(markdown) {
+    return parseBlocks(String(markdown || '').replace(/\r\n?/g, '\n').split('\n'));
+}
+
+// ---------------------------------------------------------------------------
+// Block Kit への出力
+// ---------------------------------------------------------------------------
+
+function plainText(inlines) {
+    return inlines.map(run => run.type === 'user' ? `@${run.user_id}` : run.type === 'channel' ? `#${run.channel_id}` : run.text).join('');
+}
+
+// 表示幅（全角文字は2）を数える
+function displayWidth(text) {
+    let width = 0;
+    for (const ch of text) {
+        width += /[ᄀ-ᅟ⺀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦]|[\u{1F300}-\u{1FAFF}]/u.test(ch) ? 2 : 1;
+    }
+    return width;
+}
+
+// 表を等幅で揃えたテキストにする（Slackには表のブロックがないため整形済みテキストで表示する）
+function renderTableText(table) {
+    const rows = [table.header, ...table.rows].map(row => row.map(cell => plainText(cell)));
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const widths = [];
+    for (let c = 0; c < columnCount; c++) {
+        widths[c] = Math.max(...rows.map(row => displayWidth(row[c] || '')));
+    }
+    const formatRow = row => widths.map((width, c) => {
+        const cell = row[c] || '';
+        return cell + ' '.repeat(width - displayWidth(cell));
+    }).join(' | ').trimEnd();
+
+    const lines = [formatRow(rows[0]), widths.map(width => '-'.repeat(width)).join('-+-')];
+    for (const row of rows.slice(1)) lines.push(formatRow(row));
+    return lines.join('\n');
+}
+
+// インライン要素をrich_textの要素に変換する
+function toRichTextElements(inlines) {
+    return inlines.map(run => {
+        if (run.type === 'user' || run.type === 'channel') return { ...run };
+        const element = run.type === 'link'
+            ? { type: 'link', url: run.url, text: run.text }
+            : { type: 'text', text: run.text };
+        const style = {};
+        for (const key of ['bold', 'italic', 'strike', 'code']) {
+            if (run.style && run.style[key]) style[key] = true;
+        }
+        if (Object.keys(style).length > 0) element.style = style;
+        return element;
+    }).filter(element => element.type !== 'text' || element.text !== '');
+}
+
+function richTextLength(element) {
+    if (element.elements) return element.elements.reduce((sum, child) => sum + richTextLength(child), 0);
+    return (element.text || '').length + (element.url ? element.url.length : 0) + (element.user_id || element.channel_id ? 12 : 0);
+}
+
+/**
+ * ブロック要素を、rich_textの子要素・header・dividerからなる「出力単位」の配列に変換する
+ * @param {Array<object>} blocks - parseMarkdownの結果
+ * @param {number} listIndent - 入れ子リストのインデント
+ * @param {Array<object>} out - 出力先
+ */
+function renderNodes(blocks, listIndent, out) {
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'heading':
+                if (block.level <= 2 && listIndent === 0) {
+                    out.push({ kind: 'header', text: plainText(block.inlines) });
+                } else {
+                    const inlines = block.inlines.map(run => run.type === 'text' || run.type === 'link'
+                        ? { ...run, style: { ...run.style, bold: true } }
+                        : run);
+                    out.push({ kind: 'rich', element: { type: 'rich_text_section', elements: toRichTextElements(inlines) } });
+                }
+                break;
+            case 'paragraph':
+                out.push({ kind: 'rich', element: { type: 'rich_text_section', elements: toRichTextElements(block.inlines) } });
+                break;
+            case 'code':
+                out.push({ kind: 'rich', element: { type: 'rich_text_preformatted', elements: [{ type: 'text', text: block.text || ' ' }] } });
+                break;
+            case 'table':
+                out.push({ kind: 'rich', element: { type: 'rich_text_preformatted', elements: [{ type: 'text', text: renderTableText(block) }] } });
+                break;
+            case 'hr':
+                out.push({ kind: 'divider' });
+                break;
+            case 'quote': {
+                // 引用の中身は1つの引用要素にまとめる（入れ子のブロックはテキストとして連結する）
+                const inner = [];
+                renderNodes(block.children, 0, inner);
+                const elements = [];
+                for (const unit of inner) {
+                    if (unit.kind === 'header') {
+                        elements.push({ type: 'text', text: unit.text, style: { bold: true } });
+                    } else if (unit.kind === 'rich') {
+                        elements.push(...flattenRichElement(unit.element));
+                    }
+                    elements.push({ type: 'text', text: '\n' });
+                }
+                if (elements.length > 0) elements.pop();
+                out.push({ kind: 'rich', element: { type: 'rich_text_quote', elements } });
+                break;
+            }
+            case 'list':
+                renderList(block, listIndent, out);
+                break;
+        }
+    }
+}
+
+// rich_textの要素を、引用などに埋め込めるテキスト要素の配列にする
+function flattenRichElement(element) {
+    if (element.type === 'rich_text_section' || element.type === 'rich_text_quote') return element.elements;
+    if (element.type === 'rich_text_preformatted') {
+        return element.elements.map(child => ({ ...child, style: { ...(child.style || {}), code: true } }));
+    }
+    if (element.type === 'rich_text_list') {
+        const result = [];
+        element.elements.forEach((section, index) => {
+            const bullet = element.style === 'ordered' ? `${(element.offset || 0) + index + 1}. ` : '• ';
+            if (index > 0) result.push({ type: 'text', text: '\n' });
+            result.push({ type: 'text', text: '    '.repeat(element.indent || 0) + bullet }, ...section.elements);
+        });
+        return result;
+    }
+    return [];
+}
+
+// リストをrich_text_listの並びに変換する（入れ子はindentを増やした別のリストとして続ける）
+function renderList(list, indent, out) {
+    const style = list.ordered ? 'ordered' : 'bullet';
+    let current = null;
+    let itemCount = 0;
+
+    const startList = () => {
+        current = { type: 'rich_text_list', style, indent: Math.min(indent, 8), elements: [] };
+        const offset = (list.start - 1) + itemCount;
+        if (list.ordered && offset > 0) current.offset = offset;
+        out.push({ kind: 'rich', element: current });
+    };
+
+    for (const item of list.items) {
+        if (!current) startList();
+
+        // 項目の本文（段落・見出し）は1つのセクションにまとめ、入れ子のリストやコードはその後に続ける
+        const sectionElements = [];
+        const trailing = [];
+        for (const child of item.children) {
+            if ((child.type === 'paragraph' || child.type === 'heading') && trailing.length === 0) {
+                if (sectionElements.length > 0) sectionElements.push({ type: 'text', text: '\n' });
+                sectionElements.push(...toRichTextElements(child.inlines));
+            } else {
+                trailing.push(child);
+            }
+        }
+        current.elements.push({ type: 'rich_text_section', elements: sectionElements.length > 0 ? sectionElements : [{ type: 'text', text: ' ' }] });
+        itemCount++;
+
+        if (trailing.length > 0) {
+            renderNodes(trailing, indent + 1, out);
+            current = null; // 入れ子の後は番号を引き継いだ新しいリストで再開する
+        }
+    }
+}
+
+// 長すぎるrich_textの子要素を上限以内に分割する
+function splitRichElement(element, maxChars) {
+    if (richTextLength(element) <= maxChars) return [element];
+
+    if (element.type === 'rich_text_preformatted') {
+        const text = element.elements.map(child => child.text || '').join('');
+        const pieces = [];
+        let buffer = '';
+        for (const line of text.split('\n')) {
+            const candidate = buffer ? `${buffer}\n${line}` : line;
+            if (candidate.length > maxChars && buffer) {
+                pieces.push(buffer);
+                buffer = line;
+            } else {
+                buffer = candidate;
+            }
+            while (buffer.length > maxChars) {
+                pieces.push(buffer.slice(0, maxChars));
+                buffer = buffer.slice(maxChars);
+            }
+        }
+        if (buffer) pieces.push(buffer);
+        return pieces.map(piece => ({ type: 'rich_text_preformatted', elements: [{ type: 'text', text: piece }] }));
+    }
+
+    if (element.type === 'rich_text_list') {
+        const pieces = [];
+        let current = { ...element, elements: [] };
+        let length = 0;
+        for (const section of element.elements) {
+            const sectionLength = richTextLength(section);
+            if (current.elements.length > 0 && length + sectionLength > maxChars) {
+                pieces.push(current);
+                const offset = (element.offset || 0) + pieces.reduce((sum, piece) => sum + piece.elements.length, 0);
+                current = { ...element, elements: [] };
+                if (element.style === 'ordered') current.offset = offset;
+                length = 0;
+            }
+            current.elements.push(section);
+            length += sectionLength;
+        }
+        if (current.elements.length > 0) pieces.push(current);
+        return pieces;
+    }
+
+    // セクション・引用はテキスト要素の途中で分割する
+    const pieces = [];
+    let current = [];
+    let length = 0;
+    for (const child of element.elements) {
+        let remaining = child;
+        while (remaining) {
+            const childLength = richTextLength(remaining);
+            if (length + childLength <= maxChars) {
+                current.push(remaining);
+                length += childLength;
+                remaining = null;
+            } else if (remaining.type === 'text' && maxChars - length > 0) {
+                const room = maxChars - length;
+                current.push({ ...remaining, text: remaining.text.slice(0, room) });
+                pieces.push(current);
+                current = [];
+                length = 0;
+                remaining = { ...remaining, text: remaining.text.slice(room) };
+            } else {
+                pieces.push(current);
+                current = [];
+                length = 0;
+                if (childLength > maxChars) {
+                    // リンクなど分割できない要素は単独で出力する
+                    pieces.push([remaining]);
+                    remaining = null;
+                }
+            }
+        }
+    }
+    if (current.length > 0) pieces.push(current);
+    return pieces.filter(piece => piece.length > 0).map(elements => ({ type: element.type, elements }));
+}
+
+/**
+ * MarkdownをSlackのblocks配列に変換する関数
+ * 解析に失敗した場合は、mrkdwnのsectionブロックにフォールバックします。
+ * @param {string} markdown - 変換するMarkdown
+ * @param {object} [options]
+ * @param {number} [options.maxBlockChars=3000] - 1ブロックあたりの最大文字数
+ * @returns {Array<object>} Slackのblocks配列
+ */
+function markdownToBlocks(markdown, { maxBlockChars = DEFAULT_MAX_BLOCK_CHARS } = {}) {
+    if (!markdown || !String(markdown).trim()) return [];
+
+    try {
+        const units = [];
+        renderNodes(parseMarkdown(markdown), 0, units);
+
+        const blocks = [];
+        let richBlock = null;
+        let richLength = 0;
+
+        for (const unit of units) {
+            if (unit.kind !== 'rich') {
+                richBlock = null;
+                if (unit.kind === 'header') {
+                    const text = unit.text.trim() || ' ';
+                    blocks.push({ type: 'header', text: { type: 'plain_text', text: text.length > HEADER_MAX_CHARS ? `${text.slice(0, HEADER_MAX_CHARS - 1)}…` : text, emoji: true } });
+                } else {
+                    blocks.push({ type: 'divider' });
+                }
+                continue;
+            }
+            for (const piece of splitRichElement(unit.element, maxBlockChars)) {
+                const pieceLength = richTextLength(piece);
+                if (!richBlock || richLength + pieceLength > maxBlockChars) {
+                    richBlock = { type: 'rich_text', elements: [] };
+                    richLength = 0;
+                    blocks.push(richBlock);
+                }
+                richBlock.elements.push(piece);
+                richLength += pieceLength;
+            }
+        }
+
+        return blocks;
+    } catch (error) {
+        console.error('[ERROR] MarkdownのBlock Kit変換に失敗したため、mrkdwnで表示します:', error);
+        return splitText(String(markdown), maxBlockChars).map(text => ({ type: 'section', text: { type: 'mrkdwn', text } }));
+    }
+}
+
+// ---------------------------------------------------------------------------
+// mrkdwn への出力
+// ---------------------------------------------------------------------------
+
+/**
+ * Slackのmrkdwnで特別な意味を持つ文字（& < >）をエスケープする関数
+ * ファイル名やユーザーの入力など、Markdownとして解釈しないテキストをmrkdwnに埋め込む時に使います。
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeSlackText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 記号の前後が文字に接していると日本語の文中で装飾が効かないため、ゼロ幅スペースで区切る
+function wrapMarker(text, marker) {
+    if (!text.trim()) return text;
+    // 記号の内側に空白があると装飾が効かないため、前後の空白は記号の外に出す
+    const [, leading, body, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return `${leading}${ZERO_WIDTH_SPACE}${marker}${body}${marker}${ZERO_WIDTH_SPACE}${trailing}`;
+}
+
+function inlinesToMrkdwn(inlines) {
+    return inlines.map(run => {
+        if (run.type === 'user') return `<@${run.user_id}>`;
+        if (run.type === 'channel') return `<#${run.channel_id}>`;
+        const style = run.style || {};
+        let text;
+        if (run.type === 'link') {
+            const label = escapeSlackText(run.text).replace(/\|/g, '｜');
+            text = label === escapeSlackText(run.url) ? `<${run.url}>` : `<${run.url}|${label}>`;
+        } else if (style.code) {
+            return wrapMarker(escapeSlackText(run.text), '`');
+        } else {
+            text = escapeSlackText(run.text);
+        }
+        if (style.strike) text = wrapMarker(text, '~');
+        if (style.italic) text = wrapMarker(text, '_');
+        if (style.bold) text = wrapMarker(text, '*');
+        return text;
+    }).join('');
+}
+
+function blocksToMrkdwn(blocks, indent = 0) {
+    const pad = '    '.repeat(indent);
+    const parts = [];
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'heading':
+                parts.push(pad + wrapMarker(escapeSlackText(plainText(block.inlines)), '*'));
+                break;
+            case 'paragraph':
+                parts.push(inlinesToMrkdwn(block.inlines).split('\n').map(line => pad + line).join('\n'));
+                break;
+            case 'code':
+                parts.push('```\n' + escapeSlackText(block.text) + '\n```');
+                break;
+            case 'table':
+                parts.push('```\n' + escapeSlackText(renderTableText(block)) + '\n```');
+                break;
+            case 'hr':
+                parts.push('──────────');
+                break;
+            case 'quote':
+                parts.push(blocksToMrkdwn(block.children).split('\n').map(line => `> ${line}`).join('\n'));
+                break;
+            case 'list':
+                parts.push(block.items.map((item, index) => {
+                    const bullet = block.ordered ? `${block.start + index}. ` : '• ';
+                    const body = blocksToMrkdwn(item.children, indent + 1).split('\n');
+                    body[0] = pad + bullet + body[0].trimStart();
+                    return body.join('\n');
+                }).join('\n'));
+                break;
+        }
+    }
+    return parts.join(indent > 0 ? '\n' : '\n\n');
+}
+
+/**
+ * MarkdownをSlackのmrkdwnテキストに変換する関数
+ * 通知用のtextや、blocksを使わずにテキストだけで投稿する場合に使います。
+ * @param {string} markdown - 変換するMarkdown
+ * @returns {string} mrkdwnテキスト
+ */
+function markdownToMrkdwn(markdown) {
+    if (!markdown) return '';
+    try {
+        return blocksToMrkdwn(parseMarkdown(markdown));
+    } catch (error) {
+        console.error('[ERROR] Markdownのmrkdwn変換に失敗したため、元のテキストを使用します:', error);
+        return String(markdown);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// 複数メッセージへの分割
+// ---------------------------------------------------------------------------
+
+function splitText(text, maxChars) {
+    const result = [];
+    for (let i = 0; i < text.length; i += maxChars) result.push(text.slice(i, i + maxChars));
+    return result;
+}
+
+function blockLength(block) {
+    if (block.type === 'rich_text') return block.elements.reduce((sum, element) => sum + richTextLength(element), 0);
+    if (block.text) return block.text.text.length;
+    return 0;
+}
+
+/**
+ * blocks配列を、1メッセージに収まる単位（ブロック数・文字数）に分割する関数
+ * @param {Array<object>} blocks - markdownToBlocksの結果
+ * @param {object} [options]
+ * @param {number} [options.maxBlocks=45] - 1メッセージあたりの最大ブロック数（Slackの上限は50）
+ * @param {number} [options.maxChars=3000] - 1メッセージあたりの最大文字数
+ * @returns {Array<Array<object>>} メッセージごとのblocks配列
+ */
+function chunkBlocks(blocks, { maxBlocks = 45, maxChars = DEFAULT_MAX_BLOCK_CHARS } = {}) {
+    const chunks = [];
+    let current = [];
+    let length = 0;
+    for (const block of blocks) {
+        const size = blockLength(block);
+        if (current.length > 0 && (current.length >= maxBlocks || length + size > maxChars)) {
+            chunks.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push(block);
+        length += size;
+    }
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * blocks配列から、通知やアクセシビリティ用のプレーンなテキストを作る関数
+ * @param {Array<object>} blocks
+ * @param {number} [maxChars=3000]
+ * @returns {string}
+ */
+function blocksToFallbackText(blocks, maxChars = DEFAULT_MAX_BLOCK_CHARS) {
+    const texts = blocks.map(block => {
+        if (block.type === 'header' || block.type === 'section') return block.text.text;
+        if (block.type === 'rich_text') {
+            return block.elements.map(element => flattenRichElement(element)
+                .map(child => child.text || (child.user_id ? `<@${child.user_id}>` : ''))
+                .join('')).join('\n');
+        }
+        return '';
+    }).filter(Boolean);
+    const text = texts.join('\n');
+    return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+}
+
+/**
+ * DifyのMarkdown回答を、Slackに投稿するメッセージ単位（通知用のtextとblocks）に変換する関数
+ * 長い回答は1メッセージのブロック数・文字数の上限に収まるよう複数メッセージに分割します。
+ * @param {string} markdown - Difyの回答（Markdown）
+ * @param {object} [options]
+ * @param {number} [options.maxChars=3000] - 1メッセージあたりの最大文字数
+ * @returns {Array<{text: string, blocks: Array<object>}>} メッセージごとのtextとblocks
+ */
+function renderAnswerMessages(markdown, { maxChars = DEFAULT_MAX_BLOCK_CHARS } = {}) {
+    const chunks = chunkBlocks(markdownToBlocks(markdown), { maxChars });
+    if (chunks.length === 0) {
+        // 空白だけの回答などブロックにならない場合は、元のテキストをそのまま使う
+        const text = markdown || '';
+        return [{ text, blocks: text.trim() ? [{ type: 'section', text: { type: 'mrkdwn', text } }] : [] }];
+    }
+    return chunks.map(blocks => ({ text: blocksToFallbackText(blocks, maxChars), blocks }));
+}
+
+module.exports = {
+    parseMarkdown,
+    markdownToBlocks,
+    markdownToMrkdwn,
+    chunkBlocks,
+    blocksToFallbackText,
+    renderAnswerMessages,
+    escapeSlackText,
+};
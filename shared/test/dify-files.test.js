@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDifyFileType } = require('../dify-files');
+
+test('拡張子からDifyのファイル種別を決める', () => {
+    assert.strictEqual(getDifyFileType('application/octet-stream', 'photo.PNG'), 'image');
+    assert.strictEqual(getDifyFileType('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'sales.xlsx'), 'document');
+    assert.strictEqual(getDifyFileType('video/mp4', 'meeting.m4a'), 'audio');
+});
+
+test('webmはMIMEタイプで音声と動画を見分ける', () => {
+    assert.strictEqual(getDifyFileType('audio/webm', 'clip.webm'), 'audio');
+    assert.strictEqual(getDifyFileType('video/webm', 'clip.webm'), 'video');
+});
+
+test('拡張子がない・知らない場合はMIMEタイプで決める', () => {
+    assert.strictEqual(getDifyFileType('video/quicktime', 'recording'), 'video');
+    assert.strictEqual(getDifyFileType('image/heic', 'photo.heic'), 'image');
+    assert.strictEqual(getDifyFileType(undefined, undefined), 'document');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDifySseParser, readDifyStream } = require('../dify-sse-parser');
+
+// チャンクを順に渡し、取り出したイベントをすべて返す
+function parseChunks(chunks) {
+    const parser = createDifySseParser();
+    const events = [];
+    for (const chunk of chunks) events.push(...parser.push(chunk));
+    events.push(...parser.end());
+    return events;
+}
+
+test('1バイトずつ届いても、マルチバイト文字（日本語・絵文字）を壊さずに取り出す', () => {
+    const bytes = Buffer.from('data: {"event":"message","answer":"締め日は5営業日です🎉"}\n\n', 'utf8');
+    const chunks = [...bytes].map(byte => Buffer.from([byte]));
+    assert.deepStrictEqual(parseChunks(chunks), [{ event: 'message', answer: '締め日は5営業日です🎉' }]);
+});
+
+test('JSONの途中で分断された data: 行は、行が揃ってから解析する', () => {
+    const events = parseChunks([
+        'data: {"event":"message","ans',
+        'wer":"前半"}\n\ndata: {"event":"message_end",',
+        '"conversation_id":"conv-1"}\n\n',
+    ]);
+    assert.deepStrictEqual(events, [
+        { event: 'message', answer: '前半' },
+        { event: 'message_end', conversation_id: 'conv-1' },
+    ]);
+});
+
+test('CRLFの改行とevent:フィールドに対応する', () => {
+    const events = parseChunks(['event: ping\r\n\r\n', 'data: {"event":"message","answer":"回答"}\r\n\r\n']);
+    assert.deepStrictEqual(events, [{ event: 'ping' }, { event: 'message', answer: '回答' }]);
+});
+
+test('末尾に改行のない最後のイベントも、ストリームの終了時に取り出す', () => {
+    const events = parseChunks(['data: {"event":"message","answer":"A"}\n\n', 'data: {"event":"message_end","conversation_id":"conv-1"}']);
+    assert.deepStrictEqual(events, [
+        { event: 'message', answer: 'A' },
+        { event: 'message_end', conversation_id: 'conv-1' },
+    ]);
+});
+
+test('JSONとして解析できない行は読み飛ばさず、errorイベントとして返す', () => {
+    const events = parseChunks(['data: {"event":"message","answer":\n\n', 'data: {"event":"message","answer":"続き"}\n\n']);
+    assert.strictEqual(events.length, 2);
+    assert.strictEqual(events[0].event, 'error');
+    assert.strictEqual(events[0].code, 'invalid_json');
+    assert.deepStrictEqual(events[1], { event: 'message', answer: '続き' });
+});
+
+test('readDifyStream はReadableStreamのボディからもイベントを取り出す', async () => {
+    const bytes = Buffer.from('data: {"event":"message","answer":"こんにちは"}\n\n', 'utf8');
+    const body = new ReadableStream({
+        start(controller) {
+            // マルチバイト文字の途中でチャンクを分ける
+            controller.enqueue(new Uint8Array(bytes.subarray(0, 40)));
+            controller.enqueue(new Uint8Array(bytes.subarray(40)));
+            controller.close();
+        },
+    });
+    const events = [];
+    for await (const event of readDifyStream(body)) events.push(event);
+    assert.deepStrictEqual(events, [{ event: 'message', answer: 'こんにちは' }]);
+});
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderAnswerMessages } = require('../slack-markdown');
+
+/**
+ * 共通Markdownレンダラー（slack-markdown.js）のゴールデンテスト
+ *
+ *   node --test shared/test/
+ *
+ * fixtures/slack-markdown/<ケース名>.md を renderAnswerMessages で変換し、同じ名前の .json
+ * （投稿するメッセージごとの text と blocks）と一致することを確認します。
+ * レンダラーの出力を意図して変えた場合は、UPDATE_GOLDEN=1 を付けて実行すると .json を作り直します。
+ * 作り直した .json は差分を確認してからコミットしてください。
+ */
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'slack-markdown');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+const cases = fs.readdirSync(FIXTURES_DIR)
+    .filter(name => name.endsWith('.md'))
+    .map(name => path.basename(name, '.md'))
+    .sort();
+
+for (const name of cases) {
+    test(`slack-markdown: ${name}`, () => {
+        const markdown = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.md`), 'utf8');
+        const expectedPath = path.join(FIXTURES_DIR, `${name}.json`);
+        const actual = renderAnswerMessages(markdown);
+
+        if (UPDATE_GOLDEN) {
+            fs.writeFileSync(expectedPath, `${JSON.stringify(actual, null, 2)}\n`, 'utf8');
+            return;
+        }
+        assert.ok(fs.existsSync(expectedPath), `${name}.json がありません（UPDATE_GOLDEN=1 で作成してください）`);
+        assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(expectedPath, 'utf8')));
+    });
+}
+
+// 分割のケースは、期待値の .json を作り直した時にも上限を守っていることを確認する
+test('slack-markdown: 分割後の各メッセージがSlackの上限に収まる', () => {
+    for (const name of cases) {
+        const markdown = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.md`), 'utf8');
+        for (const message of renderAnswerMessages(markdown)) {
+            assert.ok(message.blocks.length <= 50, `${name}: ブロック数が50を超えています (${message.blocks.length})`);
+            assert.ok(message.text.length <= 3000, `${name}: textが3000文字を超えています (${message.text.length})`);
+            for (const block of message.blocks) {
+                if (block.type === 'header') {
+                    assert.ok(block.text.text.length <= 150, `${name}: 見出しが150文字を超えています`);
+                }
+            }
+        }
+    }
+    assert.ok(renderAnswerMessages(fs.readFileSync(path.join(FIXTURES_DIR, 'split-3000-chars.md'), 'utf8')).length > 1);
+    assert.ok(renderAnswerMessages(fs.readFileSync(path.join(FIXTURES_DIR, 'split-50-blocks.md'), 'utf8')).length > 1);
+});
@@ -2,18 +2,25 @@ const { App } = require('@slack/bolt');
 const axios = require('axios');
 require('dotenv').config();
 
+// オフライン検証用のリプレイモード（shared/replay）では、Slackに接続せずモックのWeb APIを使う
+const isReplayMode = process.env.BOT_REPLAY_MODE === 'true';
+
 const app = new App({
   token: process.env.SLACK_BOT_TOKEN,
   signingSecret: process.env.SLACK_SIGNING_SECRET,
   appToken: process.env.SLACK_APP_TOKEN,
   socketMode: true,
+  ...(process.env.SLACK_API_URL ? { clientOptions: { slackApiUrl: process.env.SLACK_API_URL } } : {})
 });
 
 // botユーザーIDの取得（メンション除去用）
 let botUserId;
-(async () => {
-  const authRes = await app.client.auth.test({ token: process.env.SLACK_BOT_TOKEN });
+const botUserIdReady = app.client.auth.test({ token: process.env.SLACK_BOT_TOKEN }).then(authRes => {
   botUserId = authRes.user_id;
+});
+(async () => {
+  await botUserIdReady;
+  if (isReplayMode) return;
   await app.start();
   console.log('⚡️ Bolt app is running!');
 })();
@@ -39,7 +46,7 @@ setInterval(() => {
 }, 60 * 60 * 6000); // 6時間ごとにクリーンアップ処理
 
 app.event('app_mention', async ({ event, say }) => {
-  if (!botUserId) return;
+  await botUserIdReady;
 
   // Slackでの「スレッドID」を取得
   const thread_ts = event.thread_ts || event.ts;
@@ -95,4 +102,7 @@ app.event('app_mention', async ({ event, say }) => {
       thread_ts: thread_ts
     });
   }
-});
\ No newline at end of file
+});
+
+// リプレイハーネス（shared/replay）からイベントを流し込むために公開する
+module.exports = { app };
@@ -2,11 +2,18 @@ import 'dotenv/config';
 import pkg from '@slack/bolt';
 const { App } = pkg;
 import fetch from 'node-fetch';
+import { readDifyStream } from '../shared/dify-sse-parser.js';
+
+// オフライン検証用のリプレイモード（shared/replay）では、Slackに接続せずモックのWeb APIを使う
+const isReplayMode = process.env.BOT_REPLAY_MODE === 'true';
+
+const DIFY_BASE_URL = process.env.DIFY_BASE_URL || 'https://dify.app.uzabase.com/v1';
 
 const app = new App({
   socketMode: true,
   appToken: process.env.SLACK_APP_TOKEN,
-  token: process.env.SLACK_BOT_TOKEN
+  token: process.env.SLACK_BOT_TOKEN,
+  ...(process.env.SLACK_API_URL ? { clientOptions: { slackApiUrl: process.env.SLACK_API_URL } } : {})
 });
 
 // 会話IDを一時的に保存するためのメモリ上のストア
@@ -36,7 +43,7 @@ app.event('app_mention', async ({ event, client }) => {
   console.log(`[INFO] Difyへの質問: "${userText}", 会話ID: ${conversationId || '（新規）'}`);
 
   try {
-    const response = await fetch("https://dify.app.uzabase.com/v1/chat-messages", {
+    const response = await fetch(`${DIFY_BASE_URL}/chat-messages`, {
       method: "POST",
       headers: { "Content-Type": "application/json", "Authorization": `Bearer ${process.env.DIFY_API_KEY}`},
       body: JSON.stringify({
@@ -52,16 +59,12 @@ app.event('app_mention', async ({ event, client }) => {
 
     let fullAnswer = "";
     let newConversationId = "";
-    for await (const chunk of response.body) {
-      const chunkStr = chunk.toString();
-      const lines = chunkStr.split('\n').filter(line => line.startsWith('data: '));
-      for (const line of lines) {
-        try {
-          const jsonData = JSON.parse(line.substring(6));
-          if (jsonData.answer) { fullAnswer += jsonData.answer; }
-          if (jsonData.conversation_id && !newConversationId) { newConversationId = jsonData.conversation_id; }
-        } catch (e) { /* パースエラーは無視 */ }
+    for await (const data of readDifyStream(response.body)) {
+      if (data.event === 'error') {
+        throw new Error(`Difyストリームエラー: ${data.code || data.status || ''} ${data.message || ''}`.trim());
       }
+      if ((data.event === 'message' || data.event === 'agent_message') && data.answer) { fullAnswer += data.answer; }
+      if (data.conversation_id && !newConversationId) { newConversationId = data.conversation_id; }
     }
 
     if (newConversationId) {
@@ -96,6 +99,10 @@ process.on('uncaughtException', (err) => {
 });
 
 (async () => {
+  if (isReplayMode) {
+    console.log('[INFO] リプレイモードのため、Slackには接続しません。');
+    return;
+  }
   try {
     await app.start();
     console.log('⚡️ 本番用Dify連携ボットが起動しました！！');
@@ -104,3 +111,6 @@ process.on('uncaughtException', (err) => {
     process.exit(1);
   }
 })();
+
+// リプレイハーネス（shared/replay）からイベントを流し込むために公開する
+export { app };
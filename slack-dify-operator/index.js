@@ -9,6 +9,8 @@ import axios from 'axios';
 import { S3Client } from '@aws-sdk/client-s3';
 import { Upload } from '@aws-sdk/lib-storage';
 import { Readable } from 'stream';
+import { readDifyStream } from '../shared/dify-sse-parser.js';
+import { renderAnswerMessages } from '../shared/slack-markdown.js';
 
 // AWS S3クライアントの初期化
 const s3Client = new S3Client({
@@ -19,11 +21,17 @@ const s3Client = new S3Client({
     },
 });
 
+// オフライン検証用のリプレイモード（shared/replay）では、Slackに接続せずモックのWeb APIを使う
+const isReplayMode = process.env.BOT_REPLAY_MODE === 'true';
+
+const DIFY_BASE_URL = process.env.DIFY_BASE_URL || 'https://dify.app.uzabase.com/v1';
+
 const app = new App({
     socketMode: true,
     appToken: process.env.SLACK_APP_TOKEN,
     token: process.env.SLACK_BOT_TOKEN,
     logLevel: LogLevel.DEBUG, // デバッグレベルのログを有効化
+    ...(process.env.SLACK_API_URL ? { clientOptions: { slackApiUrl: process.env.SLACK_API_URL } } : {}),
 });
 
 // 会話IDを一時的に保存するためのメモリ上のストア
@@ -91,7 +99,7 @@ async function callDifyChatApi({ event, client, overrideText }) {
     try {
         startParentCheck(); // 親スレッドチェックを開始
 
-        const response = await fetch("https://dify.app.uzabase.com/v1/chat-messages", {
+        const response = await fetch(`${DIFY_BASE_URL}/chat-messages`, {
             method: "POST",
             headers: { "Content-Type": "application/json", "Authorization": `Bearer ${process.env.DIFY_API_KEY}` },
             body: JSON.stringify({
@@ -115,35 +123,28 @@ async function callDifyChatApi({ event, client, overrideText }) {
         const updateInterval = 2000; // 2秒ごとにSlackを更新
 
         // ストリーミングレスポンスの処理
-        for await (const chunk of response.body) {
+        for await (const data of readDifyStream(response.body)) {
             if (parentDeleted) {
                 throw new Error('親スレッドが削除されたため投稿を中断します');
             }
-            const chunkStr = chunk.toString();
-            const lines = chunkStr.split('\n').filter(line => line.startsWith('data: '));
-            for (const line of lines) {
-                try {
-                    const jsonData = JSON.parse(line.substring(6));
-                    if (jsonData.answer) { fullAnswer += jsonData.answer; }
-                    if (jsonData.conversation_id && !newConversationId) { newConversationId = jsonData.conversation_id; }
-                } catch (e) {
-                    // JSONパースエラーは無視するが、デバッグのためにログ出力しても良い
-                    // console.warn('[WARN] DifyストリーミングJSONパースエラー:', e.message, 'Line:', line);
-                }
+            if (data.event === 'error') {
+                throw new Error(`Difyストリームエラー: ${data.code || data.status || ''} ${data.message || ''}`.trim());
             }
+            if ((data.event === 'message' || data.event === 'agent_message') && data.answer) { fullAnswer += data.answer; }
+            if (data.conversation_id && !newConversationId) { newConversationId = data.conversation_id; }
             // 2秒ごとにSlackメッセージを更新（fullAnswerが空の間は更新しない）
             if (Date.now() - lastUpdateTime > updateInterval && !parentDeleted) {
                 if (fullAnswer.trim().length > 0) {
-                    const answerText = formatForSlack(fullAnswer.trim());
-                    const messages = splitMessage(answerText);
-                    if (messages[0] !== lastUpdateText) {
+                    const messages = renderAnswerMessages(fullAnswer.trim(), { maxChars: 3900 });
+                    if (messages[0].text !== lastUpdateText) {
                         await client.chat.update({
                             channel: event.channel,
                             ts: pending.ts,
-                            text: messages[0],
+                            text: messages[0].text,
+                            blocks: messages[0].blocks,
                             thread_ts: threadTs
                         });
-                        lastUpdateText = messages[0];
+                        lastUpdateText = messages[0].text;
                     }
                     lastUpdateTime = Date.now();
                 }
@@ -156,25 +157,26 @@ async function callDifyChatApi({ event, client, overrideText }) {
         }
 
         // 最終的な回答を分割して投稿
-        const answerText = formatForSlack(fullAnswer.trim() || "（AIから有効な回答を得られませんでした）");
-        const messages = splitMessage(answerText);
+        const messages = renderAnswerMessages(fullAnswer.trim() || "（AIから有効な回答を得られませんでした）", { maxChars: 3900 });
 
         // 1つ目は仮メッセージを上書き
         if (!parentDeleted) {
             await client.chat.update({
                 channel: event.channel,
                 ts: pending.ts,
-                text: messages[0],
+                text: messages[0].text,
+                blocks: messages[0].blocks,
                 thread_ts: threadTs
             });
         }
 
-        // 2つ目以降も必ず3900文字以内で投稿
+        // 2つ目以降もブロック数・文字数の上限以内で投稿
         for (let i = 1; i < messages.length; i++) {
             if (parentDeleted) break;
             await client.chat.postMessage({
                 channel: event.channel,
-                text: messages[i],
+                text: messages[i].text,
+                blocks: messages[i].blocks,
                 thread_ts: threadTs
             });
         }
@@ -196,46 +198,6 @@ async function callDifyChatApi({ event, client, overrideText }) {
     }
 }
 
-// Slackの投稿上限でメッセージを分割する関数
-function splitMessage(text, maxBytes = 3900) {
-    const result = [];
-    let buffer = '';
-    let bufferBytes = 0;
-
-    for (const char of text) {
-        const charBytes = Buffer.byteLength(char, 'utf8');
-        if (bufferBytes + charBytes > maxBytes) {
-            result.push(buffer);
-            buffer = '';
-            bufferBytes = 0;
-        }
-        buffer += char;
-        bufferBytes += charBytes;
-    }
-    if (buffer) {
-        result.push(buffer);
-    }
-    return result;
-}
-
-// DifyのMarkdownをSlack向けに整形する関数
-function formatForSlack(text) {
-    return text
-        // 箇条書きの「* 」または「- 」をSlackの「- 」に変換
-        .replace(/^[*-] (.*)$/gm, '- $1')
-        // Markdown太字「**text**」をSlack太字「*text*」に変換（複数行・複数箇所対応）
-        .replace(/\*\*([^\*]+?)\*\*/g, '*$1*')
-        // 6～1個の#で始まる行をすべて太字に
-        .replace(/^###### (.*)$/gm, '*$1*')
-        .replace(/^##### (.*)$/gm, '*$1*')
-        .replace(/^#### (.*)$/gm, '*$1*')
-        .replace(/^### (.*)$/gm, '*$1*')
-        .replace(/^## (.*)$/gm, '*$1*')
-        .replace(/^# (.*)$/gm, '*$1*')
-        // 区切り線「***」を削除
-        .replace(/^[*]{3,}$/gm, '');
-}
-
 // Slackからファイルをダウンロードする関数
 async function downloadFile(fileUrl, token) {
     try {
@@ -357,6 +319,10 @@ app.receiver.client.on('disconnected', (event) => {
 });
 
 (async () => {
+    if (isReplayMode) {
+        console.log('[INFO] リプレイモードのため、Slackには接続しません。');
+        return;
+    }
     try {
         await app.start();
         console.log('⚡️ 本番用Dify連携ボットが起動しました！！');
@@ -371,3 +337,6 @@ process.on('uncaughtException', (err) => {
     console.error('[FATAL] 未処理例外:', err);
     process.exit(1);
 });
+
+// リプレイハーネス（shared/replay）からイベントを流し込むために公開する
+export { app, callDifyChatApi };
@@ -0,0 +1,142 @@
+import { markdownToMrkdwn, escapeSlackText } from '../shared/slack-markdown.js';
+import { ANSWER_LANGUAGES } from './user-preferences.js';
+
+/**
+ * OpsボットのApp Homeタブと「新しく質問する」モーダルのビューを組み立てるモジュール
+ */
+
+const HOME_RECENT_QUESTIONS_LIMIT = 10;
+
+/**
+ * 日時を日本時間で表示する文字列にする関数
+ * @param {number|string} value - ミリ秒のタイムスタンプ、秒のUNIX時間（Difyの created_at など）、または日時の文字列
+ * @returns {string}
+ */
+function formatDateTime(value) {
+    const date = typeof value === 'number' && value < 1e12 ? new Date(value * 1000) : new Date(value);
+    return date.toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' });
+}
+
+function languageOption(language) {
+    return { "text": { "type": "plain_text", "text": ANSWER_LANGUAGES[language].label }, "value": language };
+}
+
+/**
+ * App Homeタブのビューを作成する関数
+ * @param {object} params
+ * @param {object} params.preferences - ユーザー設定（language, answerInDm）
+ * @param {Array<object>} params.recentQuestions - 最近の質問（{ question, permalink, updatedAt, messageCount }、新しい順）
+ * @param {string} [params.openingStatement] - Difyアプリの開始メッセージ（使い方の案内として表示）
+ * @param {Array<string>} [params.suggestedQuestions] - Difyアプリのおすすめの質問
+ * @returns {object} views.publish に渡すhomeビュー
+ */
+function buildHomeView({ preferences, recentQuestions, openingStatement, suggestedQuestions = [] }) {
+    const blocks = [
+        { "type": "header", "text": { "type": "plain_text", "text": "Opsボット", "emoji": true } },
+        {
+            "type": "section",
+            "text": { "type": "mrkdwn", "text": "チャンネルでボットをメンションするか、このアプリにDMを送ると、AIが社内のナレッジをもとに回答します。" },
+            "accessory": {
+                "type": "button",
+                "text": { "type": "plain_text", "text": "✏️ 新しく質問する", "emoji": true },
+                "style": "primary",
+                "action_id": "home_new_question"
+            }
+        },
+    ];
+
+    // 使い方の案内（Difyアプリの開始メッセージ）
+    if (openingStatement || suggestedQuestions.length > 0) {
+        blocks.push({ "type": "divider" });
+        blocks.push({ "type": "section", "text": { "type": "mrkdwn", "text": "*📖 使い方*" } });
+        if (openingStatement) {
+            blocks.push({ "type": "section", "text": { "type": "mrkdwn", "text": markdownToMrkdwn(openingStatement).slice(0, 3000) } });
+        }
+        if (suggestedQuestions.length > 0) {
+            blocks.push({
+                "type": "context",
+                "elements": [{ "type": "mrkdwn", "text": `*質問の例*\n${suggestedQuestions.slice(0, 5).map(question => `• ${escapeSlackText(question)}`).join('\n')}` }]
+            });
+        }
+    }
+
+    // 設定
+    blocks.push({ "type": "divider" });
+    blocks.push({ "type": "section", "text": { "type": "mrkdwn", "text": "*⚙️ 設定*" } });
+    blocks.push({
+        "type": "section",
+        "block_id": "home_pref_language",
+        "text": { "type": "mrkdwn", "text": "回答の言語" },
+        "accessory": {
+            "type": "static_select",
+            "action_id": "home_pref_language",
+            "options": Object.keys(ANSWER_LANGUAGES).map(languageOption),
+            "initial_option": languageOption(ANSWER_LANGUAGES[preferences.language] ? preferences.language : 'auto')
+        }
+    });
+    const answerInDmOption = {
+        "text": { "type": "mrkdwn", "text": "チャンネルでの回答をDMでも受け取る" },
+        "value": "answer_in_dm"
+    };
+    blocks.push({
+        "type": "actions",
+        "block_id": "home_pref_answer_in_dm",
+        "elements": [
+            {
+                "type": "checkboxes",
+                "action_id": "home_pref_answer_in_dm",
+                "options": [answerInDmOption],
+                ...(preferences.answerInDm ? { "initial_options": [answerInDmOption] } : {})
+            }
+        ]
+    });
+
+    // 最近の質問
+    blocks.push({ "type": "divider" });
+    blocks.push({ "type": "section", "text": { "type": "mrkdwn", "text": "*🕘 最近の質問*" } });
+    if (recentQuestions.length === 0) {
+        blocks.push({ "type": "context", "elements": [{ "type": "mrkdwn", "text": "まだ質問はありません。" }] });
+    } else {
+        const lines = recentQuestions.slice(0, HOME_RECENT_QUESTIONS_LIMIT).map(({ question, permalink, updatedAt, messageCount }) => {
+            const title = escapeSlackText(question || '（ファイルのみの質問）').replace(/\s+/g, ' ').slice(0, 60);
+            const link = permalink ? `<${permalink}|${title}>` : title;
+            return `• ${link}　_${formatDateTime(updatedAt)}${messageCount ? `・${messageCount}回のやり取り` : ''}_`;
+        });
+        blocks.push({ "type": "section", "text": { "type": "mrkdwn", "text": lines.join('\n') } });
+    }
+
+    return { "type": "home", "blocks": blocks };
+}
+
+/**
+ * 「新しく質問する」モーダルのビューを作成する関数
+ * @returns {object} views.open に渡すモーダルビュー
+ */
+function buildNewQuestionModal() {
+    return {
+        "type": "modal",
+        "callback_id": "home_new_question_modal",
+        "title": { "type": "plain_text", "text": "新しく質問する" },
+        "submit": { "type": "plain_text", "text": "質問する" },
+        "close": { "type": "plain_text", "text": "キャンセル" },
+        "blocks": [
+            {
+                "type": "input",
+                "block_id": "question",
+                "label": { "type": "plain_text", "text": "質問内容" },
+                "element": {
+                    "type": "plain_text_input",
+                    "action_id": "question_text",
+                    "multiline": true,
+                    "placeholder": { "type": "plain_text", "text": "例: 経費精算の締め日はいつですか？" }
+                }
+            },
+            {
+                "type": "context",
+                "elements": [{ "type": "mrkdwn", "text": "回答はこのアプリとのDMに届きます。" }]
+            }
+        ]
+    };
+}
+
+export { buildHomeView, buildNewQuestionModal, formatDateTime };
@@ -0,0 +1,111 @@
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { difyHeaders } from './dify-routes.js';
+
+/**
+ * 音声・動画の添付ファイルをDifyの audio-to-text API で文字起こしするモジュール
+ *
+ * 動画や対応していない形式の音声、サイズの大きい音声は、ffmpegで音声だけを取り出して
+ * モノラルのmp3に変換してから送信します（ffmpegのパスは FFMPEG_PATH で指定、既定: ffmpeg）。
+ */
+
+const execFileAsync = promisify(execFile);
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = 5 * 60 * 1000; // 5分
+// Difyの audio-to-text が受け付ける形式とサイズの上限
+const TRANSCRIBABLE_EXTENSIONS = new Set(['mp3', 'mp4', 'mpeg', 'mpga', 'm4a', 'wav', 'webm']);
+const TRANSCRIBE_SIZE_LIMIT = 15 * 1024 * 1024;
+// 音声の抽出時に試すビットレート（上限を超えた場合は低いビットレートでやり直す）
+const EXTRACT_BITRATES = ['64k', '32k'];
+
+/**
+ * ffmpegで音声だけを取り出し、文字起こし用のモノラルmp3に変換する関数
+ * @param {Buffer} buffer - 元の音声・動画ファイル
+ * @param {string} fileName - 元のファイル名（拡張子の判定に使う）
+ * @param {string} bitrate - 変換後のビットレート
+ * @returns {Promise<Buffer>} mp3のBuffer
+ */
+async function extractAudio(buffer, fileName, bitrate) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ops-bot-audio-'));
+    const inputPath = path.join(workDir, `input${path.extname(fileName) || '.bin'}`);
+    const outputPath = path.join(workDir, 'output.mp3');
+    try {
+        await fs.writeFile(inputPath, buffer);
+        await execFileAsync(FFMPEG_PATH, [
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-i', inputPath,
+            '-vn', '-ac', '1', '-ar', '16000', '-b:a', bitrate,
+            outputPath
+        ], { timeout: FFMPEG_TIMEOUT_MS });
+        return await fs.readFile(outputPath);
+    } catch (e) {
+        if (e.code === 'ENOENT' && e.path === FFMPEG_PATH) {
+            throw new Error(`ffmpegが見つかりません（FFMPEG_PATH: ${FFMPEG_PATH}）`);
+        }
+        throw e;
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Difyの audio-to-text API に音声を送信する関数
+ * @param {Buffer} buffer - 音声ファイル
+ * @param {string} fileName - ファイル名
+ * @param {object} route - 送信先のDifyアプリのルート
+ * @param {string} user - SlackユーザーID
+ * @returns {Promise<string>} 文字起こしのテキスト
+ */
+async function requestDifyAudioToText(buffer, fileName, route, user) {
+    const formData = new FormData();
+    formData.append('user', user);
+    formData.append('file', buffer, { filename: fileName });
+
+    const response = await fetch(`${route.baseUrl}/audio-to-text`, {
+        method: 'POST',
+        headers: difyHeaders(route, formData.getHeaders()),
+        body: formData
+    });
+    if (!response.ok) {
+        const errorBody = await response.text();
+        throw new Error(`Dify API Error (audio-to-text): Status ${response.status}, Body: ${errorBody}`);
+    }
+    const result = await response.json();
+    return (result.text || '').trim();
+}
+
+/**
+ * 音声・動画ファイルを文字起こしする関数
+ * @param {object} params
+ * @param {Buffer} params.buffer - 音声・動画ファイル
+ * @param {string} params.fileName - ファイル名
+ * @param {string} params.type - Difyのファイルタイプ（'audio' または 'video'）
+ * @param {object} params.route - 送信先のDifyアプリのルート
+ * @param {string} params.user - SlackユーザーID
+ * @returns {Promise<string>} 文字起こしのテキスト
+ */
+async function transcribeMedia({ buffer, fileName, type, route, user }) {
+    const ext = path.extname(fileName).slice(1).toLowerCase();
+    if (type === 'audio' && TRANSCRIBABLE_EXTENSIONS.has(ext) && buffer.length <= TRANSCRIBE_SIZE_LIMIT) {
+        return requestDifyAudioToText(buffer, fileName, route, user);
+    }
+
+    // 動画・未対応の形式・サイズの大きい音声は、音声だけを取り出して小さくしてから送る
+    const baseName = path.basename(fileName, path.extname(fileName));
+    for (const bitrate of EXTRACT_BITRATES) {
+        const audio = await extractAudio(buffer, fileName, bitrate);
+        if (audio.length <= TRANSCRIBE_SIZE_LIMIT) {
+            console.log(`[INFO] ${fileName} から音声を抽出しました (${bitrate}, ${Math.ceil(audio.length / 1024)}KB)`);
+            return requestDifyAudioToText(audio, `${baseName}.mp3`, route, user);
+        }
+    }
+    throw new Error('音声が長すぎるため文字起こしできません');
+}
+
+export { transcribeMedia };
@@ -0,0 +1,216 @@
+import fs from 'fs/promises';
+import { writeJsonAtomic } from '../shared/json-file.js';
+
+/**
+ * Slackスレッド(`${channel}-${threadTs}`)とDifyのconversation_idの対応を保持するストア
+ *
+ * どのストアも以下の同じインターフェースを持つため、callDifyChatApi側は保存先を意識せずに利用できます。
+ *   - get(key)          : レコード（{ conversationId, createdAt, updatedAt, ... }）または null を返す
+ *   - set(key, values)  : 既存レコードに values をマージして保存し、保存後のレコードを返す
+ *   - delete(key)       : レコードを削除する
+ *   - entries()         : 有効期限内の [key, record] の配列を返す
+ *   - flush()           : 未書き込みの変更を永続化する（メモリストアでは何もしない）
+ */
+
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30日
+const DEFAULT_MAX_ENTRIES = 5000;
+
+/**
+ * メモリ上でTTLと件数上限を管理する基本ストアを作成する関数
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] - 最終更新からレコードが失効するまでのミリ秒
+ * @param {number} [options.maxEntries] - 保持する最大件数（超えた分は最終更新が古い順に削除）
+ * @param {Function} [options.onChange] - レコードが変更された時に呼ばれるコールバック
+ * @returns {object} ストア
+ */
+function createMemoryConversationStore({ ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES, onChange = () => {} } = {}) {
+    const records = new Map();
+
+    function isExpired(record, now = Date.now()) {
+        return ttlMs > 0 && now - record.updatedAt > ttlMs;
+    }
+
+    // 期限切れのレコードを削除し、上限を超えた分を古い順に削除する
+    function sweep() {
+        const now = Date.now();
+        let changed = false;
+        for (const [key, record] of records) {
+            if (isExpired(record, now)) {
+                records.delete(key);
+                changed = true;
+            }
+        }
+        if (maxEntries > 0 && records.size > maxEntries) {
+            const sorted = [...records.entries()].sort((a, b) => a[1].updatedAt - b[1].updatedAt);
+            for (const [key] of sorted.slice(0, records.size - maxEntries)) {
+                records.delete(key);
+            }
+            changed = true;
+        }
+        return changed;
+    }
+
+    return {
+        records,
+        sweep,
+        async get(key) {
+            const record = records.get(key);
+            if (!record) return null;
+            if (isExpired(record)) {
+                records.delete(key);
+                onChange();
+                return null;
+            }
+            return { ...record };
+        },
+        async set(key, values) {
+            const now = Date.now();
+            const current = records.get(key);
+            const record = {
+                ...(current && !isExpired(current, now) ? current : { createdAt: now }),
+                ...values,
+                updatedAt: now,
+            };
+            // Mapの挿入順を最終更新順に保つため一度削除してから追加する
+            records.delete(key);
+            records.set(key, record);
+            sweep();
+            onChange();
+            return { ...record };
+        },
+        async delete(key) {
+            const existed = records.delete(key);
+            if (existed) onChange();
+            return existed;
+        },
+        async entries() {
+            if (sweep()) onChange();
+            return [...records.entries()].map(([key, record]) => [key, { ...record }]);
+        },
+        async flush() {},
+    };
+}
+
+/**
+ * JSONファイルに永続化するストアを作成する関数
+ * 起動時にファイルを読み込み、変更があるたびに一時ファイル経由で原子的に書き戻します。
+ * @param {object} options
+ * @param {string} options.filePath - 保存先のJSONファイルパス
+ * @param {number} [options.ttlMs] - 最終更新からレコードが失効するまでのミリ秒
+ * @param {number} [options.maxEntries] - 保持する最大件数
+ * @param {number} [options.writeDelayMs] - 変更をまとめて書き込むまでの待機時間
+ * @returns {object} ストア
+ */
+function createFileConversationStore({ filePath, ttlMs, maxEntries, writeDelayMs = 500 }) {
+    let writeTimer = null;
+    let writing = Promise.resolve();
+    let loaded = null;
+
+    const memory = createMemoryConversationStore({ ttlMs, maxEntries, onChange: scheduleWrite });
+
+    async function load() {
+        try {
+            const raw = await fs.readFile(filePath, 'utf8');
+            const data = JSON.parse(raw);
+            for (const [key, record] of Object.entries(data.records || {})) {
+                if (record && record.conversationId) {
+                    memory.records.set(key, record);
+                }
+            }
+            // 保存時の順序に関わらず、最終更新が古いものから並べ直す
+            const sorted = [...memory.records.entries()].sort((a, b) => a[1].updatedAt - b[1].updatedAt);
+            memory.records.clear();
+            for (const [key, record] of sorted) memory.records.set(key, record);
+
+            if (memory.sweep()) scheduleWrite();
+            console.log(`[INFO] 会話ストアを読み込みました: ${memory.records.size}件 (${filePath})`);
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                console.log(`[INFO] 会話ストアのファイルが存在しないため新規作成します: ${filePath}`);
+            } else {
+                console.error(`[ERROR] 会話ストアの読み込みに失敗しました。空のストアで起動します (${filePath}):`, e);
+            }
+        }
+    }
+
+    function ensureLoaded() {
+        if (!loaded) loaded = load();
+        return loaded;
+    }
+
+    function scheduleWrite() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(() => {
+            writeTimer = null;
+            writing = writing.then(writeToDisk);
+        }, writeDelayMs);
+    }
+
+    async function writeToDisk() {
+        try {
+            await writeJsonAtomic(filePath, { version: 1, records: Object.fromEntries(memory.records) });
+        } catch (e) {
+            console.error(`[ERROR] 会話ストアの書き込みに失敗しました (${filePath}):`, e);
+        }
+    }
+
+    return {
+        async get(key) {
+            await ensureLoaded();
+            return memory.get(key);
+        },
+        async set(key, values) {
+            await ensureLoaded();
+            return memory.set(key, values);
+        },
+        async delete(key) {
+            await ensureLoaded();
+            return memory.delete(key);
+        },
+        async entries() {
+            await ensureLoaded();
+            return memory.entries();
+        },
+        async flush() {
+            await ensureLoaded();
+            if (writeTimer) {
+                clearTimeout(writeTimer);
+                writeTimer = null;
+                writing = writing.then(writeToDisk);
+            }
+            await writing;
+        },
+    };
+}
+
+/**
+ * 環境変数の設定に応じて会話ストアを作成する関数
+ *   CONVERSATION_STORE_TYPE        : 'file'（既定）または 'memory'
+ *   CONVERSATION_STORE_PATH        : fileストアの保存先（既定: ./.data/conversations.json）
+ *   CONVERSATION_TTL_DAYS          : 最終更新から失効するまでの日数（既定: 30、0で無期限）
+ *   CONVERSATION_STORE_MAX_ENTRIES : 保持する最大件数（既定: 5000、0で無制限）
+ * @param {object} [env] - 環境変数オブジェクト
+ * @returns {object} ストア
+ */
+function createConversationStore(env = process.env) {
+    const type = env.CONVERSATION_STORE_TYPE || 'file';
+    const ttlDays = env.CONVERSATION_TTL_DAYS !== undefined ? Number(env.CONVERSATION_TTL_DAYS) : null;
+    const ttlMs = ttlDays === null || Number.isNaN(ttlDays) ? DEFAULT_TTL_MS : ttlDays * 24 * 60 * 60 * 1000;
+    const maxEntries = env.CONVERSATION_STORE_MAX_ENTRIES !== undefined
+        ? Number(env.CONVERSATION_STORE_MAX_ENTRIES) || 0
+        : DEFAULT_MAX_ENTRIES;
+
+    if (type === 'memory') {
+        console.log('[INFO] 会話ストア: メモリ（再起動すると会話IDは失われます）');
+        return createMemoryConversationStore({ ttlMs, maxEntries });
+    }
+    if (type !== 'file') {
+        console.warn(`[WARN] 未対応のCONVERSATION_STORE_TYPE(${type})のため、fileストアを使用します。`);
+    }
+
+    const filePath = env.CONVERSATION_STORE_PATH || './.data/conversations.json';
+    console.log(`[INFO] 会話ストア: ファイル (${filePath})`);
+    return createFileConversationStore({ filePath, ttlMs, maxEntries });
+}
+
+export { createConversationStore, createMemoryConversationStore, createFileConversationStore };
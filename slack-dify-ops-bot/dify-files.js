@@ -0,0 +1,132 @@
+import fetch from 'node-fetch';
+import path from 'path';
+
+/**
+ * Difyのチャットフローが出力したファイル（グラフ画像・生成したCSVなど）を
+ * Slackのスレッドにアップロードするモジュール
+ *
+ * ストリームの message_file イベントと、message_end の files から対象のファイルを集め、
+ * 回答の投稿後に files.uploadV2 でスレッドに添付します（Slackアプリに files:write スコープが必要）。
+ * ダウンロードやアップロードに失敗したファイルは、DifyのURLへのリンクをスレッドに投稿します。
+ */
+
+/**
+ * Difyのストリームイベントから出力ファイルを取り出す関数
+ * @param {object} data - Difyのイベント
+ * @returns {Array<object>} { id, url, filename, type } の配列（ファイルがなければ空配列）
+ */
+function extractDifyFiles(data) {
+    let files = [];
+    if (data.event === 'message_file') {
+        // ユーザーがアップロードしたファイルも通知されるため、アシスタントの出力だけを対象にする
+        if (data.belongs_to && data.belongs_to !== 'assistant') return [];
+        files = [data];
+    } else if (data.event === 'message_end') {
+        files = data.files || (data.metadata && data.metadata.files) || [];
+    }
+    return files
+        .filter(file => file && (file.url || file.remote_url))
+        .map(file => {
+            const url = file.url || file.remote_url;
+            return {
+                id: file.id || file.related_id || url.split('?')[0],
+                url,
+                filename: file.filename || file.name || decodeURIComponent(path.basename(url.split('?')[0])) || 'dify-file',
+                type: file.type || 'document',
+            };
+        });
+}
+
+/**
+ * 出力ファイルを重複なく溜めておくオブジェクトを作成する関数
+ * @returns {{add: function(object): void, files: Array<object>}}
+ *   add: Difyのイベントを渡すと、含まれるファイルを追加する
+ */
+function createDifyFileCollector() {
+    const files = [];
+    const seen = new Set();
+    return {
+        files,
+        add(data) {
+            for (const file of extractDifyFiles(data)) {
+                if (seen.has(file.id)) continue;
+                seen.add(file.id);
+                files.push(file);
+            }
+        },
+    };
+}
+
+// Difyが返す相対パス（/files/tools/...）をDifyのホストの絶対URLにする
+function toAbsoluteUrl(url, route) {
+    return new URL(url, new URL(route.baseUrl).origin).toString();
+}
+
+async function downloadDifyFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Dify file download error: Status ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Difyの出力ファイルをダウンロードしてSlackのスレッドにアップロードする関数
+ * 失敗したファイルはDifyのダウンロードリンクをスレッドに投稿する（リンクには有効期限があります）
+ * @param {object} params
+ * @param {object} params.client - Slack WebClient
+ * @param {string} params.channel - チャンネルID
+ * @param {string} params.threadTs - 投稿先スレッドのts
+ * @param {Array<object>} params.files - createDifyFileCollectorで集めたファイル
+ * @param {object} params.route - 回答したDifyアプリのルート
+ * @returns {Promise<{uploaded: number, failed: number}>} アップロードできた件数と失敗した件数
+ */
+async function postDifyFilesToThread({ client, channel, threadTs, files, route }) {
+    if (!files || files.length === 0) return { uploaded: 0, failed: 0 };
+
+    const fileUploads = [];
+    const failed = [];
+    for (const file of files) {
+        const url = toAbsoluteUrl(file.url, route);
+        try {
+            fileUploads.push({ file: await downloadDifyFile(url), filename: file.filename, url });
+        } catch (e) {
+            console.warn(`[WARN] Difyの出力ファイルのダウンロードに失敗しました (${file.filename}):`, e.message);
+            failed.push({ filename: file.filename, url });
+        }
+    }
+
+    if (fileUploads.length > 0) {
+        try {
+            await client.files.uploadV2({
+                channel_id: channel,
+                thread_ts: threadTs,
+                initial_comment: '📎 回答で作成されたファイルです。',
+                file_uploads: fileUploads.map(({ file, filename }) => ({ file, filename })),
+            });
+            console.log(`[INFO] Difyの出力ファイル${fileUploads.length}件をスレッド(${threadTs})にアップロードしました。`);
+        } catch (e) {
+            console.warn('[WARN] Difyの出力ファイルのSlackへのアップロードに失敗しました:', e.data ? e.data.error : e.message);
+            failed.push(...fileUploads.map(({ filename, url }) => ({ filename, url })));
+            fileUploads.length = 0;
+        }
+    }
+
+    if (failed.length > 0) {
+        const links = failed.map(({ filename, url }) => `• <${url}|${filename.replace(/[<>|]/g, '')}>`).join('\n');
+        const text = `📎 回答で作成されたファイルをSlackに添付できませんでした。以下のリンクからダウンロードしてください（リンクには有効期限があります）。\n${links}`;
+        try {
+            await client.chat.postMessage({
+                channel,
+                thread_ts: threadTs,
+                text,
+                blocks: [{ "type": "context", "elements": [{ "type": "mrkdwn", "text": text }] }]
+            });
+        } catch (e) {
+            console.warn('[WARN] 出力ファイルのリンクの投稿に失敗しました:', e.data ? e.data.error : e.message);
+        }
+    }
+    return { uploaded: fileUploads.length, failed: failed.length };
+}
+
+export { createDifyFileCollector, postDifyFilesToThread };
@@ -0,0 +1,36 @@
+import fetch from 'node-fetch';
+import { difyHeaders } from './dify-routes.js';
+
+/**
+ * Difyアプリの設定（/parameters）を取得するモジュール
+ * 開始メッセージ・おすすめの質問・ファイルアップロード設定などを含み、ルートごとに10分間キャッシュします。
+ */
+
+const PARAMETERS_CACHE_TTL_MS = 10 * 60 * 1000; // 10分
+
+// ルート名 -> { parameters, cachedAt }
+const parametersCache = new Map();
+
+/**
+ * Difyアプリの /parameters を取得する関数
+ * @param {object} route - 取得するDifyアプリのルート
+ * @returns {Promise<object>} /parameters のレスポンス（opening_statement, suggested_questions, file_upload など）
+ */
+async function fetchDifyParameters(route) {
+    const cached = parametersCache.get(route.name);
+    if (cached && Date.now() - cached.cachedAt < PARAMETERS_CACHE_TTL_MS) {
+        return cached.parameters;
+    }
+    const response = await fetch(`${route.baseUrl}/parameters`, {
+        headers: difyHeaders(route)
+    });
+    if (!response.ok) {
+        const errorBody = await response.text();
+        throw new Error(`Dify API Error (parameters): Status ${response.status}, Body: ${errorBody}`);
+    }
+    const parameters = await response.json();
+    parametersCache.set(route.name, { parameters, cachedAt: Date.now() });
+    return parameters;
+}
+
+export { fetchDifyParameters };
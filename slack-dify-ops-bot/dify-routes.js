@@ -0,0 +1,132 @@
+import fs from 'fs';
+
+/**
+ * チャンネルごとに問い合わせ先のDifyアプリを切り替えるルーティング設定
+ *
+ * DIFY_ROUTES_PATH（既定: ./dify-routes.json）のJSONファイルを起動時に読み込みます。
+ * ファイルがない場合は DIFY_BASE_URL / DIFY_API_KEY の単一ルート（default）だけで動作します。
+ *
+ * {
+ *   "default": { "baseUrl": "https://dify.app.uzabase.com/v1", "apiKeyEnv": "DIFY_API_KEY" },
+ *   "routes": [
+ *     { "name": "fpa",   "channels": ["C01234567"], "apiKeyEnv": "DIFY_API_KEY_FPA", "inputs": { "team": "FP&A" } },
+ *     { "name": "legal", "channelNamePattern": "^legal-", "apiKeyEnv": "DIFY_API_KEY_LEGAL" },
+ *     { "name": "dm",    "dm": true, "apiKeyEnv": "DIFY_API_KEY_DM" }
+ *   ]
+ * }
+ *
+ * routes は上から順に評価し、最初に一致したルートを使います（どれにも一致しなければ default）。
+ * APIキーは設定ファイルに直接書かず、apiKeyEnv で環境変数名を指定してください（apiKey での直接指定も可）。
+ * baseUrl を省略したルートは default の baseUrl を、APIキーの指定がないルートは default のAPIキーを引き継ぎます。
+ * 設定例は dify-routes.sample.json を参照してください。
+ */
+
+const DEFAULT_BASE_URL = process.env.DIFY_BASE_URL || 'https://dify.app.uzabase.com/v1';
+const ROUTES_PATH = process.env.DIFY_ROUTES_PATH || './dify-routes.json';
+const CHANNEL_NAME_CACHE_TTL_MS = 60 * 60 * 1000; // 1時間
+
+// チャンネルID -> { name, fetchedAt } のキャッシュ（チャンネル名のパターン判定用）
+const channelNameCache = new Map();
+
+function normalizeRoute(config, fallback) {
+    // apiKey・apiKeyEnv のどちらも指定していないルートだけ default のAPIキーを引き継ぐ
+    const apiKey = config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : fallback && fallback.apiKey);
+    return {
+        name: config.name,
+        baseUrl: (config.baseUrl || (fallback && fallback.baseUrl) || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+        apiKey,
+        inputs: { ...(config.inputs || {}) },
+        channels: config.channels || [],
+        channelNamePattern: config.channelNamePattern ? new RegExp(config.channelNamePattern) : null,
+        dm: Boolean(config.dm),
+    };
+}
+
+function loadRoutes() {
+    let config = {};
+    try {
+        config = JSON.parse(fs.readFileSync(ROUTES_PATH, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            // 設定の誤りで意図しないDifyアプリに問い合わせないよう、起動時に停止させる
+            throw new Error(`Difyのルーティング設定(${ROUTES_PATH})を読み込めませんでした: ${e.message}`);
+        }
+    }
+
+    const defaultRoute = normalizeRoute({ apiKeyEnv: 'DIFY_API_KEY', ...(config.default || {}), name: 'default' });
+    const routes = (config.routes || []).map((route, index) => {
+        if (!route.name || route.name === 'default') {
+            throw new Error(`Difyのルーティング設定の routes[${index}] に name（default以外）を指定してください。`);
+        }
+        return normalizeRoute(route, defaultRoute);
+    });
+
+    for (const route of [defaultRoute, ...routes]) {
+        if (!route.apiKey) {
+            console.warn(`[WARN] Difyのルート(${route.name})のAPIキーが設定されていません。`);
+        }
+    }
+    console.log(`[INFO] Difyのルーティング設定: ${routes.length > 0 ? routes.map(route => route.name).join(', ') + ', ' : ''}default`);
+    return { defaultRoute, routes };
+}
+
+const { defaultRoute, routes } = loadRoutes();
+
+async function getChannelName(client, channel) {
+    const cached = channelNameCache.get(channel);
+    if (cached && Date.now() - cached.fetchedAt < CHANNEL_NAME_CACHE_TTL_MS) return cached.name;
+    try {
+        const res = await client.conversations.info({ channel });
+        const name = res.channel.name || '';
+        channelNameCache.set(channel, { name, fetchedAt: Date.now() });
+        return name;
+    } catch (e) {
+        console.warn(`[WARN] チャンネル名の取得に失敗しました (${channel}):`, e.data ? e.data.error : e.message);
+        return '';
+    }
+}
+
+/**
+ * イベントが届いたチャンネルに対応するDifyのルートを決定する関数
+ * @param {object} params
+ * @param {object} params.client - Slack WebClient
+ * @param {string} params.channel - チャンネルID
+ * @param {string} [params.channelType] - イベントのchannel_type（'im' ならDM）
+ * @returns {Promise<object>} ルート（{ name, baseUrl, apiKey, inputs }）
+ */
+async function resolveDifyRoute({ client, channel, channelType }) {
+    const isDirectMessage = channelType === 'im' || (channel || '').startsWith('D');
+    let channelName = null;
+
+    for (const route of routes) {
+        if (route.channels.includes(channel)) return route;
+        if (route.dm && isDirectMessage) return route;
+        if (route.channelNamePattern && !isDirectMessage) {
+            if (channelName === null) channelName = await getChannelName(client, channel);
+            if (channelName && route.channelNamePattern.test(channelName)) return route;
+        }
+    }
+    return defaultRoute;
+}
+
+/**
+ * ルート名からルートを取得する関数（ボタン操作など、イベント後にルートを引き直す場合に使う）
+ * 設定から削除された名前の場合は default を返す
+ * @param {string} [name] - ルート名
+ * @returns {object} ルート
+ */
+function getDifyRoute(name) {
+    return routes.find(route => route.name === name) || defaultRoute;
+}
+
+/**
+ * ルートのDify APIに送るリクエストヘッダーを作成する関数
+ * @param {object} route - ルート
+ * @param {object} [headers] - 追加するヘッダー
+ * @returns {object} Authorizationヘッダーを含むヘッダー
+ */
+function difyHeaders(route, headers = {}) {
+    return { ...headers, 'Authorization': `Bearer ${route.apiKey}` };
+}
+
+export { resolveDifyRoute, getDifyRoute, difyHeaders };
@@ -0,0 +1,147 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { writeJsonAtomic } from '../shared/json-file.js';
+
+/**
+ * Slackのイベント（メンション・DM）を二重に処理しないための重複排除ストア
+ *
+ * 同じメッセージを `${channel}-${ts}` のキーで管理するため、メンションとDMの両方の経路で
+ * 届いた同一メッセージにも一度だけ回答します。状態はJSONファイルに保存し、
+ *   - processing: 回答中（どのプロセスが処理しているかをbootIdで記録）
+ *   - done      : 回答済み
+ * のレコードをTTLで失効させます。プロセスが回答の途中で落ちた場合、起動時の掃除で
+ * 前回プロセスの processing レコードを削除するため、Slackの再送で回答をやり直せます。
+ *
+ *   DEDUPE_STORE_PATH  : 保存先（既定: ./.data/processed-events.json）
+ *   DEDUPE_TTL_MINUTES : 回答済みのイベントを覚えておく時間（既定: 60分）
+ */
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // 60分（Slackの再送は数分以内に行われる）
+const PROCESSING_TIMEOUT_MS = 15 * 60 * 1000; // これより長く processing のままのレコードは失敗とみなす
+
+/**
+ * 重複排除ストアを作成する関数
+ * @param {object} [options]
+ * @param {string} [options.filePath] - 保存先のJSONファイルパス
+ * @param {number} [options.ttlMs] - 回答済みのレコードが失効するまでのミリ秒
+ * @param {number} [options.writeDelayMs] - 変更をまとめて書き込むまでの待機時間
+ * @returns {object} { claim, complete, release, flush }
+ */
+function createEventDeduper({
+    filePath = process.env.DEDUPE_STORE_PATH || './.data/processed-events.json',
+    ttlMs = (Number(process.env.DEDUPE_TTL_MINUTES) || 0) * 60 * 1000 || DEFAULT_TTL_MS,
+    writeDelayMs = 500,
+} = {}) {
+    // このプロセスを識別するID（前回プロセスの処理中レコードと区別する）
+    const bootId = crypto.randomUUID();
+    const records = new Map(); // key -> { status, bootId, updatedAt, retryNum }
+    let writeTimer = null;
+    let writing = Promise.resolve();
+    let loaded = null;
+
+    function isStale(record, now = Date.now()) {
+        if (record.status === 'processing') {
+            return record.bootId !== bootId || now - record.updatedAt > PROCESSING_TIMEOUT_MS;
+        }
+        return now - record.updatedAt > ttlMs;
+    }
+
+    function sweep() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, record] of records) {
+            if (isStale(record, now)) {
+                records.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async function load() {
+        try {
+            const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            for (const [key, record] of Object.entries(data.records || {})) {
+                records.set(key, record);
+            }
+            const removed = sweep();
+            if (removed > 0) scheduleWrite();
+            console.log(`[INFO] 重複排除ストアを読み込みました: ${records.size}件（期限切れ・中断された${removed}件を削除）`);
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`[ERROR] 重複排除ストアの読み込みに失敗しました。空の状態で起動します (${filePath}):`, e);
+            }
+        }
+    }
+
+    function ensureLoaded() {
+        if (!loaded) loaded = load();
+        return loaded;
+    }
+
+    function scheduleWrite() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(() => {
+            writeTimer = null;
+            writing = writing.then(writeToDisk);
+        }, writeDelayMs);
+    }
+
+    async function writeToDisk() {
+        sweep();
+        try {
+            await writeJsonAtomic(filePath, { version: 1, records: Object.fromEntries(records) });
+        } catch (e) {
+            console.error(`[ERROR] 重複排除ストアの書き込みに失敗しました (${filePath}):`, e);
+        }
+    }
+
+    function update(key, values) {
+        records.set(key, { ...records.get(key), ...values, updatedAt: Date.now() });
+        scheduleWrite();
+    }
+
+    // 起動時に前回プロセスの残骸を掃除する
+    ensureLoaded();
+
+    return {
+        /**
+         * イベントの処理権を取得する
+         * @param {string} key - `${channel}-${ts}`
+         * @param {object} [retry] - Boltのcontext.retryNum / context.retryReason
+         * @returns {Promise<{claimed: boolean, reason?: string}>} 処理してよい場合は claimed: true
+         */
+        async claim(key, { retryNum, retryReason } = {}) {
+            await ensureLoaded();
+            // 読み込みの待機後は同期的に判定と登録を行い、同時に届いた再送と競合しないようにする
+            const existing = records.get(key);
+            if (existing && !isStale(existing)) {
+                return { claimed: false, reason: existing.status === 'done' ? '回答済み' : `回答中（再送理由: ${retryReason || 'なし'}）` };
+            }
+            if (existing) {
+                console.log(`[INFO] 中断された処理(${key})をやり直します。再送回数: ${retryNum || 0}`);
+            }
+            update(key, { status: 'processing', bootId, retryNum: retryNum || 0 });
+            return { claimed: true };
+        },
+        // 回答が完了したイベントとして記録する（TTLの間は再送されても処理しない）
+        complete(key) {
+            update(key, { status: 'done' });
+        },
+        // 処理を諦めたイベントの記録を消し、Slackの再送で再び処理できるようにする
+        release(key) {
+            if (records.delete(key)) scheduleWrite();
+        },
+        async flush() {
+            await ensureLoaded();
+            if (writeTimer) {
+                clearTimeout(writeTimer);
+                writeTimer = null;
+                writing = writing.then(writeToDisk);
+            }
+            await writing;
+        },
+    };
+}
+
+export { createEventDeduper };
@@ -0,0 +1,36 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * ボット回答への👍/👎評価をチャンネルごとのJSON Lines形式でローカルに記録するモジュール
+ * 保存先: `${FEEDBACK_LOG_DIR}/${channel}.jsonl`（既定: ./.data/feedback）
+ */
+
+const FEEDBACK_LOG_DIR = process.env.FEEDBACK_LOG_DIR || './.data/feedback';
+
+function getLogFilePath(channel) {
+    return path.join(FEEDBACK_LOG_DIR, `${String(channel).replace(/[^a-zA-Z0-9_-]/g, '_')}.jsonl`);
+}
+
+/**
+ * 評価を1件追記する関数
+ * @param {object} entry
+ * @param {string} entry.channel - 回答が投稿されたチャンネルID
+ * @param {string} entry.messageTs - 評価ボタンが付いたSlackメッセージのts
+ * @param {string} entry.difyMessageId - Difyのmessage_id
+ * @param {string} entry.rating - 'like' または 'dislike'
+ * @param {string} entry.ratedBy - 評価したSlackユーザーID
+ * @param {string} [entry.reason] - 👎時に入力された「どこが違ったか」
+ */
+async function appendFeedback(entry) {
+    const record = { ...entry, ratedAt: new Date().toISOString() };
+    try {
+        await fs.mkdir(FEEDBACK_LOG_DIR, { recursive: true });
+        await fs.appendFile(getLogFilePath(entry.channel), JSON.stringify(record) + '\n', 'utf8');
+    } catch (e) {
+        // ログの記録に失敗してもDifyへの送信やSlackの表示は継続させる
+        console.error(`[ERROR] フィードバックログの書き込みに失敗しました (${entry.channel}):`, e);
+    }
+}
+
+export { appendFeedback };
@@ -0,0 +1,545 @@
+import path from 'path';
+import mammoth from 'mammoth';
+import JSZip from 'jszip';
+import sharp from 'sharp';
+import { escapeSlackText } from '../shared/slack-markdown.js';
+import { getDifyFileType } from '../shared/dify-files.js';
+import { fetchDifyParameters } from './dify-parameters.js';
+import { transcribeMedia } from './audio-transcriber.js';
+
+/**
+ * Slackの添付ファイルをDifyへアップロードする前に検査・変換する前処理モジュール
+ *
+ * Difyアプリのファイルアップロード設定（許可する種別・拡張子・件数・サイズ）を取得し、ファイルごとに
+ *   - accepted : そのまま送信する
+ *   - converted: xlsx/csv/docx/pptxはテキスト文書に、大きな画像は縮小してから送信する
+ *   - transcribed: 音声・動画（Slackのクリップを含む）はDifyで文字起こしし、テキスト文書として送信する
+ *   - skipped  : 設定で許可されていない、サイズ超過、変換失敗などの理由で送信しない
+ * のいずれかに振り分けます。
+ */
+
+const FILE_INPUT_VARIABLE = 'uploaded_files'; // callDifyChatApiがファイルを渡すinputsの変数名
+const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 2048; // 縮小後の長辺(px)
+const MB = 1024 * 1024;
+// 音声・動画を文字起こしするか（false にすると他のファイルと同様にそのまま送信する）
+const TRANSCRIBE_MEDIA = process.env.TRANSCRIBE_MEDIA !== 'false';
+// 文字起こしのためにダウンロードする音声・動画の上限
+const TRANSCRIBE_MAX_BYTES = (Number(process.env.TRANSCRIBE_MAX_MB) || 200) * MB;
+// xlsx/docx/pptx（zip）を展開したサイズの上限（圧縮率の極端なファイルでメモリを使い切らないため）
+const ZIP_MAX_UNCOMPRESSED_BYTES = (Number(process.env.ZIP_MAX_UNCOMPRESSED_MB) || 100) * MB;
+
+// 前処理の結果の表示で、1ファイルのファイル名・理由を切り詰める長さと、表示全体の上限（Slackのテキストの上限）
+const REPORT_NAME_MAX_CHARS = 100;
+const REPORT_REASON_MAX_CHARS = 200;
+const REPORT_TEXT_MAX_CHARS = 3000;
+
+// Difyのsystem_parametersの既定値（MB）。/parametersが古いバージョンで返さない場合に使う
+const DEFAULT_SIZE_LIMITS_MB = { document: 15, image: 10, audio: 50, video: 100 };
+
+// テキスト文書に変換してから送信する拡張子（xlsなど、ここにない文書はそのまま送信する）
+const TEXT_EXTRACTORS = {
+    xlsx: extractSpreadsheetText,
+    csv: extractCsvText,
+    docx: extractDocxText,
+    pptx: extractPptxText,
+};
+
+// 縮小の対象にする画像の拡張子（gifやsvgはアニメーション・ベクターのためそのまま扱う）
+const RESIZABLE_IMAGE_EXTENSIONS = new Set(['jpg', 'jpeg', 'png', 'webp']);
+
+function getExtension(fileName) {
+    return path.extname(fileName || '').slice(1).toLowerCase();
+}
+
+/**
+ * Slackのファイルをダウンロードする時のURLを返す関数
+ * Slackのクリップ（録音・録画）は url_private_download がない場合があるため、mp4 の変換版も使う
+ * @param {object} file - Slackのファイルオブジェクト
+ * @returns {string|undefined} ダウンロードURL
+ */
+function getSlackDownloadUrl(file) {
+    return file.url_private_download || file.mp4 || file.url_private;
+}
+
+function truncateText(text, maxChars) {
+    return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+}
+
+function formatSize(bytes) {
+    return bytes >= MB ? `${(bytes / MB).toFixed(1)}MB` : `${Math.ceil(bytes / 1024)}KB`;
+}
+
+/**
+ * Difyの /parameters のレスポンスから、前処理で使うアップロード設定を取り出す関数
+ * ファイル入力変数（uploaded_files）の設定を優先し、なければアプリ全体のfile_upload設定を使う
+ * @param {object} parameters - /parameters のレスポンス
+ * @returns {object} { enabled, allowedTypes, allowedExtensions, maxFiles, sizeLimits }
+ */
+function normalizeUploadSettings(parameters) {
+    const fileListInput = (parameters.user_input_form || [])
+        .map(item => item['file-list'] || item['file'])
+        .find(input => input && input.variable === FILE_INPUT_VARIABLE);
+    const fileUpload = parameters.file_upload || {};
+    const source = fileListInput || fileUpload;
+
+    const systemParameters = parameters.system_parameters || {};
+    const sizeLimitsMb = {
+        document: systemParameters.file_size_limit || DEFAULT_SIZE_LIMITS_MB.document,
+        image: systemParameters.image_file_size_limit || DEFAULT_SIZE_LIMITS_MB.image,
+        audio: systemParameters.audio_file_size_limit || DEFAULT_SIZE_LIMITS_MB.audio,
+        video: systemParameters.video_file_size_limit || DEFAULT_SIZE_LIMITS_MB.video,
+    };
+
+    return {
+        enabled: Boolean(fileListInput) || fileUpload.enabled !== false,
+        allowedTypes: source.allowed_file_types || null,
+        allowedExtensions: (source.allowed_file_extensions || []).map(ext => ext.replace(/^\./, '').toLowerCase()),
+        maxFiles: (fileListInput ? fileListInput.max_length : fileUpload.number_limits) || null,
+        sizeLimits: Object.fromEntries(Object.entries(sizeLimitsMb).map(([type, mb]) => [type, mb * MB])),
+    };
+}
+
+/**
+ * Difyアプリのファイルアップロード設定を取得する関数（/parametersは10分間キャッシュされる）
+ * 取得に失敗した場合はnullを返し、呼び出し側では種別・件数の検査を行わずに既定のサイズ上限だけで判定する
+ * @param {object} route - 設定を取得するDifyアプリのルート
+ * @returns {Promise<object|null>} 前処理用のアップロード設定
+ */
+async function fetchDifyUploadSettings(route) {
+    try {
+        return normalizeUploadSettings(await fetchDifyParameters(route));
+    } catch (e) {
+        console.warn('[WARN] Difyのファイルアップロード設定を取得できませんでした。既定の上限で検査します:', e.message);
+        return null;
+    }
+}
+
+/**
+ * 指定したファイル種別・拡張子がアップロード設定で許可されているかを判定する関数
+ * @returns {boolean}
+ */
+function isAllowed(settings, type, ext) {
+    if (!settings) return true;
+    if (!settings.enabled) return false;
+    if (!settings.allowedTypes) return true;
+    if (settings.allowedTypes.includes(type)) return true;
+    return settings.allowedTypes.includes('custom') && settings.allowedExtensions.includes(ext);
+}
+
+// Excelなどで作られたShift_JISのCSVも読めるよう、UTF-8として壊れている場合はShift_JISで読み直す
+function decodeText(buffer) {
+    const utf8 = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (!utf8.includes('\uFFFD')) return utf8;
+    try {
+        return new TextDecoder('shift_jis').decode(buffer);
+    } catch (e) {
+        return utf8;
+    }
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+// 前処理を中止し、理由を添えてスキップとして報告するためのエラー
+function createSkipError(reason) {
+    const error = new Error(reason);
+    error.skipReason = reason;
+    return error;
+}
+
+/**
+ * xlsx/docx/pptx（zip）を開く関数
+ * zipに記録されたサイズは偽ることができるため、実際に展開したサイズを数え、合計が上限を超えたところで打ち切ります。
+ * @param {Buffer} buffer - ファイルの中身
+ * @returns {Promise<{zip: JSZip, readText: function(string): Promise<string|null>, checkTotalSize: function(): Promise<void>}>}
+ */
+async function openZip(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    let remaining = ZIP_MAX_UNCOMPRESSED_BYTES;
+
+    // エントリを展開しながら、チャンクを onData に渡す
+    function inflate(entry, onData) {
+        return new Promise((resolve, reject) => {
+            const stream = entry.internalStream('uint8array');
+            stream
+                .on('data', chunk => {
+                    remaining -= chunk.length;
+                    if (remaining < 0) {
+                        stream.pause();
+                        reject(createSkipError(`展開後のサイズが上限(${formatSize(ZIP_MAX_UNCOMPRESSED_BYTES)})を超えています`));
+                        return;
+                    }
+                    onData(chunk);
+                })
+                .on('error', reject)
+                .on('end', resolve)
+                .resume();
+        });
+    }
+
+    async function readText(name) {
+        const entry = zip.file(name);
+        if (!entry) return null;
+        const chunks = [];
+        await inflate(entry, chunk => chunks.push(Buffer.from(chunk)));
+        return Buffer.concat(chunks).toString('utf8');
+    }
+
+    // すべてのエントリを展開してサイズだけを確かめる（中身をまとめて展開するライブラリに渡す前に使う）
+    async function checkTotalSize() {
+        for (const entry of Object.values(zip.files)) {
+            if (!entry.dir) await inflate(entry, () => {});
+        }
+    }
+
+    return { zip, readText, checkTotalSize };
+}
+
+// Excelの組み込みの表示形式のうち、日付・時刻のもの（numFmtId）
+const EXCEL_DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function getXmlAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeXmlEntities(match[1]) : null;
+}
+
+// 共有文字列(<si>)やインライン文字列(<is>)のテキストを、書式の区切り(<r>)をまたいでつなげる（ふりがなは除く）
+function getRichText(xml) {
+    return (xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t(?:\s[^>]*)?>[^<]*<\/t>/g) || [])
+        .map(t => decodeXmlEntities(t.replace(/<[^>]+>/g, '')))
+        .join('');
+}
+
+// 日付・時刻の表示形式が設定されたセルのスタイル番号を返す
+function getDateStyleIndexes(stylesXml) {
+    const customFormats = new Map();
+    for (const tag of stylesXml.match(/<numFmt\b[^>]*>/g) || []) {
+        customFormats.set(Number(getXmlAttribute(tag, 'numFmtId')), getXmlAttribute(tag, 'formatCode') || '');
+    }
+    const isDateFormat = id => EXCEL_DATE_FORMAT_IDS.has(id)
+        || (customFormats.has(id) && /[ymdhs]/i.test(customFormats.get(id).replace(/"[^"]*"|\[[^\]]*\]/g, '')));
+
+    const cellXfs = (stylesXml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/) || [''])[0];
+    const indexes = new Set();
+    (cellXfs.match(/<xf\b[^>]*>/g) || []).forEach((tag, index) => {
+        if (isDateFormat(Number(getXmlAttribute(tag, 'numFmtId')))) indexes.add(index);
+    });
+    return indexes;
+}
+
+// Excelのシリアル値（1900年基準）を日付の文字列にする
+function formatExcelDate(serial) {
+    const date = new Date(Math.round((serial - 25569) * 86400 * 1000));
+    if (Number.isNaN(date.getTime())) return String(serial);
+    const iso = date.toISOString();
+    if (serial < 1) return iso.slice(11, 19); // 時刻だけのセル
+    return Number.isInteger(serial) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+}
+
+// セル番号（B12 など）の列を0から始まる番号にする
+function getColumnIndex(ref) {
+    const letters = (ref || '').match(/^[A-Z]+/);
+    if (!letters) return null;
+    return [...letters[0]].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function toCsvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// シートのXMLを、空の行を除いたCSVにする
+function sheetXmlToCsv(xml, sharedStrings, dateStyles) {
+    const lines = [];
+    for (const [, rowXml] of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        const row = [];
+        for (const [, attributes, body = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const type = getXmlAttribute(attributes, 't');
+            const valueMatch = body.match(/<v(?:\s[^>]*)?>([^<]*)<\/v>/);
+            const raw = valueMatch ? decodeXmlEntities(valueMatch[1]) : '';
+            let value;
+            if (type === 's') value = sharedStrings[Number(raw)] || '';
+            else if (type === 'inlineStr') value = getRichText(body);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else if (raw !== '' && !type && dateStyles.has(Number(getXmlAttribute(attributes, 's')))) value = formatExcelDate(Number(raw));
+            else value = raw;
+
+            const column = getColumnIndex(getXmlAttribute(attributes, 'r'));
+            row[column === null ? row.length : column] = value;
+        }
+        const fields = Array.from(row, value => toCsvField(value || ''));
+        while (fields.length > 0 && fields[fields.length - 1] === '') fields.pop();
+        if (fields.length > 0) lines.push(fields.join(','));
+    }
+    return lines.join('\n');
+}
+
+// xlsxの各シートをCSVにする（シートの順序・名前は workbook.xml から、中身は関連付けられたXMLから読む）
+async function extractSpreadsheetText(buffer) {
+    const { readText } = await openZip(buffer);
+    const workbookXml = await readText('xl/workbook.xml');
+    if (!workbookXml) throw new Error('xl/workbook.xml がありません');
+    const relsXml = (await readText('xl/_rels/workbook.xml.rels')) || '';
+    const targets = new Map((relsXml.match(/<Relationship\b[^>]*>/g) || [])
+        .map(tag => [getXmlAttribute(tag, 'Id'), getXmlAttribute(tag, 'Target')]));
+    const sharedStrings = ((await readText('xl/sharedStrings.xml')) || '').match(/<si\b[\s\S]*?<\/si>/g) || [];
+    const dateStyles = getDateStyleIndexes((await readText('xl/styles.xml')) || '');
+    const sharedTexts = sharedStrings.map(getRichText);
+
+    const sheets = [];
+    for (const tag of workbookXml.match(/<sheet\b[^>]*>/g) || []) {
+        const target = targets.get(getXmlAttribute(tag, 'r:id'));
+        if (!target) continue;
+        const sheetPath = target.startsWith('/') ? target.slice(1) : path.posix.normalize(`xl/${target}`);
+        const sheetXml = await readText(sheetPath);
+        if (!sheetXml || !sheetXml.includes('<sheetData')) continue; // グラフだけのシートなど
+        sheets.push(`## シート: ${getXmlAttribute(tag, 'name')}\n${sheetXmlToCsv(sheetXml, sharedTexts, dateStyles).trim()}`);
+    }
+    return sheets.join('\n\n');
+}
+
+async function extractCsvText(buffer) {
+    return decodeText(buffer);
+}
+
+async function extractDocxText(buffer) {
+    // mammoth は中身をまとめて展開するため、先に展開しながらサイズを確認する
+    const { checkTotalSize } = await openZip(buffer);
+    await checkTotalSize();
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value;
+}
+
+async function extractPptxText(buffer) {
+    const { zip, readText } = await openZip(buffer);
+    const slidePaths = Object.keys(zip.files)
+        .map(name => ({ name, match: name.match(/^ppt\/slides\/slide(\d+)\.xml$/) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
+
+    const slides = [];
+    for (const { name, match } of slidePaths) {
+        const xml = await readText(name);
+        // 段落(<a:p>)ごとにテキスト(<a:t>)をつなげて1行にする
+        const paragraphs = (xml.match(/<a:p>[\s\S]*?<\/a:p>/g) || [])
+            .map(p => (p.match(/<a:t>([^<]*)<\/a:t>/g) || []).map(t => decodeXmlEntities(t.replace(/<\/?a:t>/g, ''))).join(''))
+            .filter(line => line.trim() !== '');
+        slides.push(`## スライド ${match[1]}\n${paragraphs.join('\n')}`);
+    }
+    return slides.join('\n\n');
+}
+
+/**
+ * 画像を長辺IMAGE_MAX_DIMENSION以内、かつサイズ上限以内に縮小する関数
+ * @returns {Promise<{buffer: Buffer, fileName: string}|null>} 縮小した画像（縮小が不要な場合はnull）
+ */
+async function downscaleImage(buffer, fileName, sizeLimit) {
+    const metadata = await sharp(buffer).metadata();
+    const longestSide = Math.max(metadata.width || 0, metadata.height || 0);
+    if (longestSide <= IMAGE_MAX_DIMENSION && buffer.length <= sizeLimit) return null;
+
+    let resized = await sharp(buffer)
+        .rotate() // EXIFの向きを反映してから縮小する
+        .resize({ width: IMAGE_MAX_DIMENSION, height: IMAGE_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+        .toBuffer();
+    if (resized.length <= sizeLimit) return { buffer: resized, fileName };
+
+    // 縮小してもまだ大きい場合はJPEGに再圧縮する
+    resized = await sharp(resized).flatten({ background: '#ffffff' }).jpeg({ quality: 80 }).toBuffer();
+    return { buffer: resized, fileName: `${path.basename(fileName, path.extname(fileName))}.jpg` };
+}
+
+/**
+ * 音声・動画を文字起こしし、テキスト文書として送信する結果を作成する関数
+ * 文書ファイルを受け付けないアプリの場合は upload を付けず、呼び出し側で質問文に含める
+ * @returns {Promise<object>} { name, status: 'transcribed', reason, transcript, upload? }
+ */
+async function transcribeFile(file, name, type, settings, download, route, user) {
+    if (file.size && file.size > TRANSCRIBE_MAX_BYTES) {
+        return { name, status: 'skipped', reason: `文字起こしできるサイズ(${formatSize(TRANSCRIBE_MAX_BYTES)})を超えています` };
+    }
+    const buffer = await download(file);
+    // Slackのクリップはファイル名に拡張子がない場合があるため、MIMEタイプから補う
+    const fileName = getExtension(name) ? name : `${name}.${(file.mimetype || '').split('/')[1] || 'mp4'}`;
+    const transcript = await transcribeMedia({ buffer, fileName, type, route, user });
+    if (!transcript) {
+        return { name, status: 'skipped', reason: '音声を認識できませんでした' };
+    }
+    const result = { name, status: 'transcribed', reason: `${transcript.length}文字`, transcript };
+    if (isAllowed(settings, 'document', 'txt')) {
+        result.upload = {
+            buffer: Buffer.from(transcript, 'utf8'),
+            fileName: `${path.basename(name, path.extname(name))}_文字起こし.txt`,
+            type: 'document',
+        };
+    }
+    return result;
+}
+
+/**
+ * 1ファイルを検査・変換する関数
+ * @returns {Promise<object>} { name, status, reason, transcript?, upload?: { buffer, fileName, type } }
+ */
+async function preprocessFile(file, settings, download, route, user) {
+    const name = file.name || file.title || 'file';
+    const ext = getExtension(name);
+    const sizeLimits = settings ? settings.sizeLimits : Object.fromEntries(Object.entries(DEFAULT_SIZE_LIMITS_MB).map(([type, mb]) => [type, mb * MB]));
+    const extractor = TEXT_EXTRACTORS[ext];
+
+    if (!getSlackDownloadUrl(file)) {
+        return { name, status: 'skipped', reason: 'ダウンロードURLがありません' };
+    }
+
+    const mediaType = getDifyFileType(file.mimetype, name);
+    if (TRANSCRIBE_MEDIA && (mediaType === 'audio' || mediaType === 'video')) {
+        return transcribeFile(file, name, mediaType, settings, download, route, user);
+    }
+
+    // アップロードが無効なアプリでも、音声・動画の文字起こしは質問文に含めて送れるため、この判定は文字起こしの後に行う
+    if (settings && !settings.enabled) {
+        return { name, status: 'skipped', reason: 'このアプリではファイルのアップロードが無効になっています' };
+    }
+
+    if (extractor) {
+        if (!isAllowed(settings, 'document', 'txt')) {
+            return { name, status: 'skipped', reason: 'このアプリでは文書ファイルを受け付けていません' };
+        }
+        // 変換前のファイルも文書の上限で判定し、上限を超えるファイルはダウンロードしない
+        if (file.size && file.size > sizeLimits.document) {
+            return { name, status: 'skipped', reason: `ファイルサイズ(${formatSize(file.size)})が上限(${formatSize(sizeLimits.document)})を超えています` };
+        }
+        const buffer = await download(file);
+        if (buffer.length > sizeLimits.document) {
+            return { name, status: 'skipped', reason: `ファイルサイズ(${formatSize(buffer.length)})が上限(${formatSize(sizeLimits.document)})を超えています` };
+        }
+        const text = (await extractor(buffer, ext)).trim();
+        if (!text) {
+            return { name, status: 'skipped', reason: 'テキストを抽出できませんでした' };
+        }
+        const textBuffer = Buffer.from(text, 'utf8');
+        if (textBuffer.length > sizeLimits.document) {
+            return { name, status: 'skipped', reason: `抽出したテキストが上限(${formatSize(sizeLimits.document)})を超えています` };
+        }
+        return {
+            name,
+            status: 'converted',
+            reason: `${ext.toUpperCase()} → テキスト`,
+            upload: { buffer: textBuffer, fileName: `${path.basename(name, path.extname(name))}.txt`, type: 'document' },
+        };
+    }
+
+    const type = getDifyFileType(file.mimetype, name);
+    if (!isAllowed(settings, type, ext)) {
+        return { name, status: 'skipped', reason: `このアプリでは${ext ? `.${ext}` : 'この形式の'}ファイルを受け付けていません` };
+    }
+
+    const sizeLimit = sizeLimits[type];
+    if (type === 'image' && RESIZABLE_IMAGE_EXTENSIONS.has(ext)) {
+        const buffer = await download(file);
+        const resized = await downscaleImage(buffer, name, sizeLimit);
+        if (!resized) {
+            return { name, status: 'accepted', upload: { buffer, fileName: name, type } };
+        }
+        if (resized.buffer.length > sizeLimit) {
+            return { name, status: 'skipped', reason: `縮小しても上限(${formatSize(sizeLimit)})を超えています` };
+        }
+        return {
+            name,
+            status: 'converted',
+            reason: `画像を縮小 (${formatSize(buffer.length)} → ${formatSize(resized.buffer.length)})`,
+            upload: { buffer: resized.buffer, fileName: resized.fileName, type },
+        };
+    }
+
+    // Slackが通知するサイズで判定し、上限を超えるファイルはダウンロードしない
+    if (file.size && file.size > sizeLimit) {
+        return { name, status: 'skipped', reason: `ファイルサイズ(${formatSize(file.size)})が上限(${formatSize(sizeLimit)})を超えています` };
+    }
+    const buffer = await download(file);
+    if (buffer.length > sizeLimit) {
+        return { name, status: 'skipped', reason: `ファイルサイズ(${formatSize(buffer.length)})が上限(${formatSize(sizeLimit)})を超えています` };
+    }
+    return { name, status: 'accepted', upload: { buffer, fileName: name, type } };
+}
+
+/**
+ * Slackの添付ファイルをDifyのアップロード設定に沿って検査・変換する関数
+ * 1ファイルの失敗で全体を止めないよう、エラーはそのファイルのskippedとして報告する
+ * @param {Array<object>} files - Slackイベントのfiles
+ * @param {function(object): Promise<Buffer>} download - Slackのファイルオブジェクトを受け取り中身を返す関数
+ * @param {object} route - アップロード先のDifyアプリのルート
+ * @param {string} user - 質問したSlackユーザーID（文字起こしのリクエストに使う）
+ * @returns {Promise<Array<object>>} ファイルごとの結果（upload を持つものがアップロード対象、transcript は文字起こし）
+ */
+async function preprocessFiles(files, download, route, user) {
+    if (!files || files.length === 0) return [];
+    const settings = await fetchDifyUploadSettings(route);
+
+    const results = [];
+    for (const file of files) {
+        try {
+            results.push(await preprocessFile(file, settings, download, route, user));
+        } catch (e) {
+            console.error(`[ERROR] ファイルの前処理に失敗しました (${file.name}):`, e);
+            results.push({ name: file.name || 'file', status: 'skipped', reason: e.skipReason || '読み取りまたは変換に失敗しました' });
+        }
+    }
+
+    // 件数上限を超えた分は後ろから除外する
+    if (settings && settings.maxFiles) {
+        let uploadCount = 0;
+        for (const result of results) {
+            if (!result.upload) continue;
+            uploadCount++;
+            if (uploadCount > settings.maxFiles) {
+                delete result.upload;
+                result.status = 'skipped';
+                result.reason = `一度に送信できるファイルは${settings.maxFiles}件までです`;
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * 前処理の結果をスレッドに表示するcontextブロックを作成する関数
+ * 添付が多い場合は、Slackのテキストの上限に収まる件数だけ表示し、残りは「他N件」とまとめる
+ * @param {Array<object>} results - preprocessFilesの結果
+ * @returns {object} Slackのcontextブロック
+ */
+function createPreprocessReportBlock(results) {
+    const icons = { accepted: '✅', converted: '🔄', transcribed: '📝', skipped: '⚠️' };
+    const labels = { accepted: 'そのまま送信', converted: '変換して送信', transcribed: '文字起こしして送信', skipped: 'スキップ' };
+    const lines = results.map(result => {
+        // ファイル名（と、それを含む理由）はユーザーが付けたものなので、mrkdwnとして解釈されないようエスケープする
+        const detail = result.reason ? `（${escapeSlackText(truncateText(result.reason, REPORT_REASON_MAX_CHARS))}）` : '';
+        return `${icons[result.status]} ${escapeSlackText(truncateText(result.name, REPORT_NAME_MAX_CHARS))}: ${labels[result.status]}${detail}`;
+    });
+
+    let text = '📎 *添付ファイル*';
+    for (let i = 0; i < lines.length; i++) {
+        // 残りの件数の表示を付けても上限に収まる場合だけ、次の行を加える
+        const rest = lines.length - i - 1;
+        if (`${text}\n${lines[i]}${rest > 0 ? `\n…他${rest}件` : ''}`.length > REPORT_TEXT_MAX_CHARS) {
+            text += `\n…他${lines.length - i}件`;
+            break;
+        }
+        text += `\n${lines[i]}`;
+    }
+
+    return {
+        "type": "context",
+        "block_id": "file_preprocess_report",
+        "elements": [
+            { "type": "mrkdwn", "text": text }
+        ]
+    };
+}
+
+export { preprocessFiles, createPreprocessReportBlock, getDifyFileType, getSlackDownloadUrl, fetchDifyUploadSettings };
@@ -6,21 +6,53 @@ import fetch from 'node-fetch';
 import { LogLevel } from '@slack/logger';
 import FormData from 'form-data'; // Difyへのファイルアップロードに必要
 import axios from 'axios'; // Slackからのファイルダウンロードに利用
-import fs from 'fs/promises'; // テスト用にfs/promisesをインポート
-import path from 'path'; // テスト用にpathをインポート
+import path from 'path';
+import { createConversationStore } from './conversation-store.js';
+import { appendFeedback } from './feedback-log.js';
+import { readDifyStream } from '../shared/dify-sse-parser.js';
+import { createWorkflowProgress } from './workflow-progress.js';
+import { renderAnswerMessages, escapeSlackText } from '../shared/slack-markdown.js';
+import { preprocessFiles, createPreprocessReportBlock, getSlackDownloadUrl } from './file-preprocessor.js';
+import { buildThreadTranscript, applyThreadTranscript } from './thread-context.js';
+import { createEventDeduper } from './event-deduper.js';
+import { resolveDifyRoute, getDifyRoute, difyHeaders } from './dify-routes.js';
+import { createDifyFileCollector, postDifyFilesToThread } from './dify-files.js';
+import { createRequestScheduler } from './request-scheduler.js';
+import { fetchDifyParameters } from './dify-parameters.js';
+import { createUserPreferences, getLanguageInstruction } from './user-preferences.js';
+import { buildHomeView, buildNewQuestionModal, formatDateTime } from './app-home.js';
+
+// オフライン検証用のリプレイモード（shared/replay）では、Slackに接続せずモックのWeb APIを使う
+const isReplayMode = process.env.BOT_REPLAY_MODE === 'true';
 
 const app = new App({
     socketMode: true,
     appToken: process.env.SLACK_APP_TOKEN,
     token: process.env.SLACK_BOT_TOKEN,
     logLevel: LogLevel.DEBUG,
+    ...(process.env.SLACK_API_URL ? { clientOptions: { slackApiUrl: process.env.SLACK_API_URL } } : {}),
 });
 
-// 短時間イベントIDをキャッシュするためのSet
-const processedEventIds = new Set();
+// 同じメッセージへの二重回答を防ぐ重複排除ストア（メンションとDMで共有し、再起動後も有効）
+const eventDeduper = createEventDeduper();
 
-// 会話IDを一時的に保存するためのメモリ上のストア
-const conversationStore = {};
+// スレッドとDifyの会話IDの対応を保存するストア（再起動後も会話を継続できるようファイルに永続化）
+const conversationStore = createConversationStore();
+
+// App Homeで設定するユーザーごとの設定（回答の言語・DMでの回答受け取り）
+const userPreferences = createUserPreferences();
+
+// Difyへの同時問い合わせ数とユーザー・チャンネルごとの利用回数を制限するスケジューラー
+const difyScheduler = createRequestScheduler();
+
+// ストリーミング中の回答を停止ボタンから操作するためのレジストリ
+const inFlightAnswers = new Map(); // 仮メッセージのts -> { controller, taskId, user, route, channel, threadTs, stopRequested, parentDeleted }
+
+// メッセージの削除イベントを受信したチャンネル（親メッセージの削除をイベントで検知できる）
+// 返信のあるメッセージの削除は message_deleted ではなく、tombstone に置き換わる message_changed として届く。
+// 削除イベントを一度も受信していないチャンネル（message.channels などを購読していない場合）だけ、ポーリングで削除を確認する
+const deletionEventChannels = new Set();
+const PARENT_CHECK_INTERVAL_MS = 30000;
 
 /**
  * Difyの回答テキストをSlackのBlock Kitの単一セクションブロックに変換する関数
@@ -39,6 +71,107 @@ function convertDifyAnswerToSlackBlocks(textContent) {
     ];
 }
 
+/**
+ * 回答への👍/👎ボタンのブロックを生成する関数
+ * @param {string} difyMessageId - Difyのmessage_id
+ * @param {string} askedBy - 質問したSlackユーザーID（Difyへは会話の所有者として送信する）
+ * @param {string} routeName - 回答したDifyアプリのルート名
+ * @returns {object} Slackのactionsブロック
+ */
+function createFeedbackBlock(difyMessageId, askedBy, routeName) {
+    const value = JSON.stringify({ messageId: difyMessageId, askedBy, route: routeName });
+    return {
+        "type": "actions",
+        "block_id": "answer_feedback",
+        "elements": [
+            {
+                "type": "button",
+                "text": { "type": "plain_text", "text": "👍", "emoji": true },
+                "action_id": "feedback_like",
+                "value": value
+            },
+            {
+                "type": "button",
+                "text": { "type": "plain_text", "text": "👎", "emoji": true },
+                "action_id": "feedback_dislike",
+                "value": value
+            }
+        ]
+    };
+}
+
+// 参照元の文書に含まれるSlackスレッド・NotionページのURLを抽出するための正規表現
+const SOURCE_URL_PATTERN = /https:\/\/(?:[\w-]+\.slack\.com\/archives\/[^\s<>|)]+|(?:www\.)?notion\.so\/[^\s<>|)]+|[\w-]+\.notion\.site\/[^\s<>|)]+)/;
+
+/**
+ * Difyのmessage_endイベントのretriever_resourcesから「参照元」のcontextブロックを生成する関数
+ * 同じ文書の複数セグメントは最もスコアの高いものにまとめます。
+ * @param {Array<object>} resources - metadata.retriever_resources
+ * @param {number} [maxItems=5] - 表示する参照元の最大件数
+ * @returns {object|null} Slackのcontextブロック（参照元がなければnull）
+ */
+function createRetrieverResourcesBlock(resources, maxItems = 5) {
+    if (!Array.isArray(resources) || resources.length === 0) return null;
+
+    const byDocument = new Map();
+    for (const resource of resources) {
+        const content = resource.content || '';
+        const threadMatch = content.match(/参照元スレッド:\s*(\S+)/);
+        const urlMatch = threadMatch || content.match(SOURCE_URL_PATTERN);
+        const item = {
+            datasetName: resource.dataset_name || '',
+            documentName: resource.document_name || '（名称不明の文書）',
+            score: typeof resource.score === 'number' ? resource.score : null,
+            url: urlMatch ? (urlMatch[1] || urlMatch[0]) : '',
+        };
+        const key = `${resource.document_id || item.documentName}-${item.url}`;
+        const current = byDocument.get(key);
+        if (!current || (item.score ?? 0) > (current.score ?? 0)) {
+            byDocument.set(key, item);
+        }
+    }
+
+    const lines = [...byDocument.values()]
+        .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+        .slice(0, maxItems)
+        .map((item, index) => {
+            const name = escapeSlackText(item.documentName);
+            const title = item.url ? `<${item.url}|${name.replace(/\|/g, '｜')}>` : name;
+            const details = [item.datasetName && escapeSlackText(item.datasetName), item.score !== null && `スコア ${item.score.toFixed(2)}`]
+                .filter(Boolean)
+                .join(' / ');
+            return `${index + 1}. ${title}${details ? `（${details}）` : ''}`;
+        });
+
+    return {
+        "type": "context",
+        "block_id": "retriever_resources",
+        "elements": [
+            { "type": "mrkdwn", "text": `📚 *参照元*\n${lines.join('\n')}`.substring(0, 3000) }
+        ]
+    };
+}
+
+/**
+ * ストリーミング中の仮メッセージに付ける「回答を停止」ボタンのブロックを生成する関数
+ * どの回答を停止するかは、ボタンが押されたメッセージ（仮メッセージ）のtsで判断する
+ * @returns {object} Slackのactionsブロック
+ */
+function createStopGeneratingBlock() {
+    return {
+        "type": "actions",
+        "block_id": "stop_generating",
+        "elements": [
+            {
+                "type": "button",
+                "text": { "type": "plain_text", "text": "⏹ 回答を停止", "emoji": true },
+                "style": "danger",
+                "action_id": "stop_generating"
+            }
+        ]
+    };
+}
+
 /**
  * DifyチャットAPIを呼び出し、Slackに回答を投稿する共通処理
  * @param {object} params - パラメータオブジェクト
@@ -46,8 +179,9 @@ function convertDifyAnswerToSlackBlocks(textContent) {
  * @param {object} params.client - Slack WebClient
  * @param {string} [params.overrideText] - Difyに送信するテキストをevent.textの代わりに上書きする場合
  * @param {Array<object>} [params.files] - Difyに送信するファイルオブジェクトの配列
+ * @param {object} params.route - 問い合わせ先のDifyアプリのルート（resolveDifyRouteの結果）
  */
-async function callDifyChatApi({ event, client, overrideText, files }) {
+async function callDifyChatApi({ event, client, overrideText, files, route }) {
     const userText = overrideText || (event.text || '').replace(/<@U[0-9A-Z]+>\s*/, '').trim();
     const threadTs = event.thread_ts || event.ts;
     const conversationKey = `${event.channel}-${threadTs}`;
@@ -57,17 +191,47 @@ async function callDifyChatApi({ event, client, overrideText, files }) {
         return;
     }
 
-    const conversationId = conversationStore[conversationKey] || "";
-    console.log(`[INFO] Difyへの質問: "${userText}", 会話ID: ${conversationId || '（新規）'}, ファイル数: ${files ? files.length : 0}`);
+    // 会話IDはDifyアプリごとに異なるため、保存時と同じルートの場合だけ会話を引き継ぐ
+    const storedRecord = await conversationStore.get(conversationKey);
+    const conversationRecord = storedRecord && (storedRecord.route || 'default') === route.name ? storedRecord : null;
+    const conversationId = conversationRecord ? conversationRecord.conversationId : "";
+    console.log(`[INFO] Difyへの質問: "${userText}", ルート: ${route.name}, 会話ID: ${conversationId || '（新規）'}, ファイル数: ${files ? files.length : 0}`);
+
+    // 既存のスレッドの途中で初めて呼ばれた場合は、それまでのやり取りを会話ログとして一緒に渡す
+    let threadTranscript = "";
+    if (!conversationId && event.thread_ts && event.thread_ts !== event.ts) {
+        try {
+            threadTranscript = await buildThreadTranscript({ client, channel: event.channel, threadTs, beforeTs: event.ts });
+            if (threadTranscript) console.log(`[INFO] スレッドの会話ログを付与します (${threadTranscript.length}文字)`);
+        } catch (e) {
+            console.warn('[WARN] スレッドの会話ログの取得に失敗したため、質問文のみで問い合わせます:', e.data ? e.data.error : e.message);
+        }
+    }
+    const preferences = await userPreferences.get(event.user);
+    const languageInstruction = getLanguageInstruction(preferences.language);
+    const difyRequest = applyThreadTranscript({
+        transcript: threadTranscript,
+        query: languageInstruction ? `${userText}\n${languageInstruction}` : userText,
+        inputs: { ...route.inputs, "uploaded_files": files || [] }
+    });
 
+    // 仮メッセージには最初から停止ボタンを付けておく
     const pending = await client.chat.postMessage({
         channel: event.channel,
         text: "回答準備中です。少々お待ちください。",
+        blocks: [
+            ...convertDifyAnswerToSlackBlocks("回答準備中です。少々お待ちください。"),
+            createStopGeneratingBlock()
+        ],
         thread_ts: threadTs
     });
 
-    let parentDeleted = false;
+    // 停止ボタンから中断できるよう、ストリーミングの状態を登録する
+    const inFlight = { controller: new AbortController(), taskId: "", user: event.user, route, channel: event.channel, threadTs, stopRequested: false, parentDeleted: false };
+    inFlightAnswers.set(pending.ts, inFlight);
+
     let parentCheckTimeout = null;
+    let schedulerSlot = null;
 
     async function checkParentDeleted() {
         try {
@@ -77,48 +241,73 @@ async function callDifyChatApi({ event, client, overrideText, files }) {
                 limit: 1
             });
             if (!replies.messages || replies.messages.length === 0) {
-                parentDeleted = true;
                 console.log(`[INFO] 親スレッド(${threadTs})が削除されたため投稿を停止します(ポーリング)。`);
-                if (parentCheckTimeout) clearTimeout(parentCheckTimeout);
+                await abortInFlightAnswer(inFlight);
             }
         } catch (e) {
             if (e.data && e.data.error === 'thread_not_found') {
-                parentDeleted = true;
                 console.log(`[INFO] 親スレッド(${threadTs})が見つからないため投稿を停止します(ポーリングエラー)。`);
-                if (parentCheckTimeout) clearTimeout(parentCheckTimeout);
+                await abortInFlightAnswer(inFlight);
             } else {
                 console.warn('[WARN] 親スレッド削除チェックで予期せぬエラー:', e);
             }
         }
     }
 
+    // 削除イベントが届くチャンネルでは、ポーリングせずにイベントで即座に中止する
     const checkPeriodically = async () => {
+        if (deletionEventChannels.has(event.channel)) return;
         await checkParentDeleted();
-        if (!parentDeleted) {
-            parentCheckTimeout = setTimeout(checkPeriodically, 30000);
+        if (!inFlight.parentDeleted) {
+            parentCheckTimeout = setTimeout(checkPeriodically, PARENT_CHECK_INTERVAL_MS);
         }
     };
 
+    async function deletePendingMessage() {
+        try {
+            await client.chat.delete({ channel: event.channel, ts: pending.ts });
+        } catch (deleteError) {
+            if (deleteError.data && deleteError.data.error !== 'message_not_found') {
+                console.warn('[WARN] 仮メッセージの削除に失敗しました:', deleteError.message);
+            }
+        }
+    }
+
     try {
-        await checkParentDeleted();
-        if (parentDeleted) {
+        // 同時に問い合わせできる数を超えている場合は、空くまで仮メッセージに順番を表示して待つ
+        schedulerSlot = await difyScheduler.acquire({
+            signal: inFlight.controller.signal,
+            onQueued: (position) => client.chat.update({
+                channel: event.channel,
+                ts: pending.ts,
+                text: `順番待ち: ${position}番目`,
+                blocks: [
+                    ...convertDifyAnswerToSlackBlocks(`⏳ 順番待ち: ${position}番目\n前の質問への回答が終わり次第、回答を始めます。`),
+                    createStopGeneratingBlock()
+                ]
+            })
+        });
+
+        if (!deletionEventChannels.has(event.channel)) await checkParentDeleted();
+        if (inFlight.parentDeleted) {
             console.log('[INFO] 処理開始前に親スレッドの削除を検知したため、処理を中止します。');
-            await client.chat.delete({ channel: event.channel, ts: pending.ts });
+            await deletePendingMessage();
             return;
         }
 
         checkPeriodically();
 
-        const response = await fetch("https://dify.app.uzabase.com/v1/chat-messages", {
+        const response = await fetch(`${route.baseUrl}/chat-messages`, {
             method: "POST",
-            headers: { "Content-Type": "application/json", "Authorization": `Bearer ${process.env.DIFY_API_KEY}` },
+            headers: difyHeaders(route, { "Content-Type": "application/json" }),
             body: JSON.stringify({
-                inputs: { "uploaded_files": files || [] },
-                query: userText,
+                inputs: difyRequest.inputs,
+                query: difyRequest.query,
                 response_mode: "streaming",
                 conversation_id: conversationId,
                 user: event.user
-            })
+            }),
+            signal: inFlight.controller.signal
         });
 
         if (!response.ok) {
@@ -128,43 +317,78 @@ async function callDifyChatApi({ event, client, overrideText, files }) {
 
         let fullAnswer = "";
         let newConversationId = "";
+        let difyMessageId = "";
+        let retrieverResources = [];
         let lastUpdateText = "";
         let lastUpdateTime = Date.now();
         const updateInterval = 2000;
+        // チャットフローのノード実行状況（回答テキストが届くまでの待ち時間に表示する）
+        const progress = createWorkflowProgress();
+        // チャットフローが出力したファイル（回答の投稿後にスレッドへ添付する）
+        const outputFiles = createDifyFileCollector();
 
-        for await (const chunk of response.body) {
-            if (parentDeleted) {
-                console.log('[INFO] ストリーミング中に親スレッドの削除を検知したため、処理を中断します。');
-                break;
-            }
-            const chunkStr = chunk.toString();
-            const lines = chunkStr.split('\n').filter(line => line.startsWith('data: '));
-            for (const line of lines) {
-                try {
-                    const jsonData = JSON.parse(line.substring(6));
-                    if (jsonData.answer) { fullAnswer += jsonData.answer; }
-                    if (jsonData.conversation_id && !newConversationId) { newConversationId = jsonData.conversation_id; }
-                } catch (e) { /* JSONパースエラーは無視 */ }
-            }
+        try {
+            for await (const data of readDifyStream(response.body)) {
+                if (inFlight.parentDeleted) {
+                    console.log('[INFO] ストリーミング中に親スレッドの削除を検知したため、処理を中断します。');
+                    break;
+                }
+                if (inFlight.stopRequested) break;
+
+                if (data.conversation_id && !newConversationId) { newConversationId = data.conversation_id; }
+                if (data.message_id && !difyMessageId) { difyMessageId = data.message_id; }
+                if (data.task_id && !inFlight.taskId) { inFlight.taskId = data.task_id; }
+
+                switch (data.event) {
+                    case 'message':
+                    case 'agent_message':
+                        if (data.answer) { fullAnswer += data.answer; }
+                        break;
+                    case 'message_replace':
+                        fullAnswer = data.answer || '';
+                        break;
+                    case 'message_file':
+                        outputFiles.add(data);
+                        break;
+                    case 'message_end':
+                        if (data.metadata && data.metadata.retriever_resources) {
+                            retrieverResources = data.metadata.retriever_resources;
+                        }
+                        outputFiles.add(data);
+                        break;
+                    case 'node_started':
+                    case 'node_finished':
+                        progress.handleEvent(data);
+                        break;
+                    case 'error':
+                        throw new Error(`Difyストリームエラー: ${data.code || data.status || ''} ${data.message || ''}`.trim());
+                }
 
-            if (Date.now() - lastUpdateTime > updateInterval && !parentDeleted) {
-                if (fullAnswer.trim().length > 0) {
-                    const answerText = formatForSlack(fullAnswer.trim());
-                    const messages = splitMessage(answerText);
-                    if (messages[0] !== lastUpdateText) {
+                // 回答テキストか進捗表示が変わっていれば仮メッセージを更新する
+                // （回答が届く前でもDifyは約10秒ごとにpingを送るため、経過時間の表示も進む）
+                if (Date.now() - lastUpdateTime > updateInterval && !inFlight.parentDeleted) {
+                    const preview = fullAnswer.trim().length > 0
+                        ? renderAnswerMessages(fullAnswer.trim())[0]
+                        : { text: "回答準備中です。少々お待ちください。", blocks: convertDifyAnswerToSlackBlocks("回答準備中です。少々お待ちください。") };
+                    const progressBlock = progress.toBlock();
+                    const updateKey = `${preview.text}\n${progressBlock ? progressBlock.elements[0].text : ''}`;
+                    if (updateKey !== lastUpdateText) {
+                        const blocks = [...preview.blocks];
+                        if (progressBlock) blocks.push(progressBlock);
+                        blocks.push(createStopGeneratingBlock());
                         try {
                             await client.chat.update({
                                 channel: event.channel,
                                 ts: pending.ts,
-                                text: messages[0],
-                                blocks: convertDifyAnswerToSlackBlocks(messages[0]),
+                                text: preview.text,
+                                blocks,
                                 thread_ts: threadTs
                             });
-                            lastUpdateText = messages[0];
+                            lastUpdateText = updateKey;
                         } catch (e) {
                             if (e.data && e.data.error === 'thread_not_found') {
-                                parentDeleted = true;
                                 console.log('[INFO] スレッド削除を検知 (chat.updateエラー)。ストリーミングを中断します。');
+                                await abortInFlightAnswer(inFlight);
                                 break;
                             } else {
                                 throw e;
@@ -174,37 +398,71 @@ async function callDifyChatApi({ event, client, overrideText, files }) {
                     lastUpdateTime = Date.now();
                 }
             }
+        } catch (streamError) {
+            // 停止ボタン・親スレッドの削除による中断（AbortError）はエラー扱いにしない
+            if (!inFlight.stopRequested && !inFlight.parentDeleted) throw streamError;
         }
 
-        if (parentDeleted) {
-            console.log('[INFO] 最終投稿前に親スレッドの削除を検知したため、投稿を中止します。');
-            try {
-                await client.chat.delete({ channel: event.channel, ts: pending.ts });
-            } catch (deleteError) {
-                if (deleteError.data && deleteError.data.error !== 'message_not_found') {
-                    console.warn('[WARN] 仮メッセージの削除に失敗しました:', deleteError.message);
-                }
-            }
+        if (inFlight.parentDeleted) {
+            console.log('[INFO] 親スレッドの削除を検知したため、投稿を中止して仮メッセージを削除します。');
+            await deletePendingMessage();
             return;
         }
         
         if (newConversationId) {
-            conversationStore[conversationKey] = newConversationId;
-            console.log(`[INFO] 新しい会話ID(${newConversationId})をキー(${conversationKey})で保存しました。`);
+            // /ops status・history で参照できるよう、質問者と往復回数も一緒に保存する
+            await conversationStore.set(conversationKey, {
+                conversationId: newConversationId,
+                route: route.name,
+                channel: event.channel,
+                threadTs,
+                user: event.user,
+                lastQuestion: userText.slice(0, 200),
+                messageCount: (newConversationId === conversationId && conversationRecord ? conversationRecord.messageCount || 0 : 0) + 1,
+                // 質問が編集された時に元の回答を探せるよう、質問のts -> 回答のtsを記録する
+                answers: recordAnsweredMessage(conversationRecord && conversationRecord.answers, event.ts, pending.ts)
+            });
+            if (newConversationId !== conversationId) {
+                console.log(`[INFO] 新しい会話ID(${newConversationId})をキー(${conversationKey})で保存しました。`);
+            }
+        }
+
+        let answerMarkdown;
+        if (inFlight.stopRequested) {
+            answerMarkdown = fullAnswer.trim() ? `${fullAnswer.trim()}\n\n(停止されました)` : "(停止されました)";
+            console.log(`[INFO] 停止ボタンにより回答を途中で確定しました (${pending.ts})。`);
+        } else {
+            answerMarkdown = fullAnswer.trim() || "（AIから有効な回答を得られませんでした）";
         }
+        const messages = renderAnswerMessages(answerMarkdown);
 
-        const answerText = formatForSlack(fullAnswer.trim() || "（AIから有効な回答を得られませんでした）");
-        const messages = splitMessage(answerText);
+        // 回答の最後のブロックに付ける参照元・評価ボタンと区切り線
+        const closingBlocks = [];
+        const sourcesBlock = createRetrieverResourcesBlock(retrieverResources);
+        if (sourcesBlock) {
+            closingBlocks.push(sourcesBlock);
+        }
+        if (outputFiles.files.length > 0) {
+            closingBlocks.push({
+                "type": "context",
+                "block_id": "output_files",
+                "elements": [{ "type": "mrkdwn", "text": `📎 *作成されたファイル*: ${outputFiles.files.map(file => escapeSlackText(file.filename)).join(', ')}（このスレッドに添付します）` }]
+            });
+        }
+        if (difyMessageId && fullAnswer.trim() && !inFlight.stopRequested) {
+            closingBlocks.push(createFeedbackBlock(difyMessageId, event.user, route.name));
+        }
+        closingBlocks.push({ "type": "divider" });
 
         try {
-            const finalBlocksForFirstPart = convertDifyAnswerToSlackBlocks(messages[0]);
+            const finalBlocksForFirstPart = [...messages[0].blocks];
             if (messages.length === 1) {
-                finalBlocksForFirstPart.push({ "type": "divider" });
+                finalBlocksForFirstPart.push(...closingBlocks);
             }
             await client.chat.update({
                 channel: event.channel,
                 ts: pending.ts,
-                text: messages[0],
+                text: messages[0].text,
                 blocks: finalBlocksForFirstPart,
                 thread_ts: threadTs
             });
@@ -219,13 +477,13 @@ async function callDifyChatApi({ event, client, overrideText, files }) {
         
         for (let i = 1; i < messages.length; i++) {
             try {
-                const blocksForSubsequentPart = convertDifyAnswerToSlackBlocks(messages[i]);
+                const blocksForSubsequentPart = [...messages[i].blocks];
                 if (i === messages.length - 1) {
-                    blocksForSubsequentPart.push({ "type": "divider" });
+                    blocksForSubsequentPart.push(...closingBlocks);
                 }
                 await client.chat.postMessage({
                     channel: event.channel,
-                    text: messages[i],
+                    text: messages[i].text,
                     blocks: blocksForSubsequentPart,
                     thread_ts: threadTs
                 });
@@ -241,61 +499,166 @@ async function callDifyChatApi({ event, client, overrideText, files }) {
 
         console.log(`[INFO] Difyからの回答をスレッド(${threadTs})に投稿しました。`);
 
+        // App Homeで「DMでも受け取る」を選んだユーザーには、チャンネルでの回答をDMにも届ける
+        if (preferences.answerInDm && event.channel_type !== 'im' && !event.channel.startsWith('D')) {
+            await sendAnswerToDm({ client, user: event.user, channel: event.channel, answerTs: pending.ts, message: messages[0] });
+        }
+
+        if (outputFiles.files.length > 0 && !inFlight.parentDeleted) {
+            await postDifyFilesToThread({ client, channel: event.channel, threadTs, files: outputFiles.files, route });
+        }
+
     } catch (error) {
-        console.error('[ERROR] Dify連携処理中にエラーが発生しました:', error);
-        if (!parentDeleted) {
+        if (inFlight.parentDeleted) {
+            // 順番待ち中・Difyへの接続中に親スレッドが削除された場合
+            console.log(`[INFO] 親スレッド(${threadTs})の削除により回答を中止しました。`);
+            await deletePendingMessage();
+            return;
+        }
+        if (inFlight.stopRequested) {
+            // 回答の受信開始前に停止された場合
+            console.log(`[INFO] 回答の受信開始前に停止されました (${pending.ts})。`);
             try {
                 await client.chat.update({
                     channel: event.channel,
                     ts: pending.ts,
-                    text: `すみません、AIとの連携処理でエラーが発生しました！\n\`\`\`${error.message}\`\`\``,
-                    blocks: [],
+                    text: "(停止されました)",
+                    blocks: [...convertDifyAnswerToSlackBlocks("(停止されました)"), { "type": "divider" }],
                 });
             } catch (postError) {
-                console.error(`[ERROR] エラーメッセージのSlackへの投稿に失敗しました: ${postError.message}`);
+                console.error(`[ERROR] 停止メッセージのSlackへの投稿に失敗しました: ${postError.message}`);
             }
-        } else {
-            console.log('[INFO] 親スレッドが削除されていたため、エラーメッセージの投稿はスキップします。');
+            return;
+        }
+        if (error.code === 'QUEUE_FULL') {
+            console.warn(`[WARN] 順番待ちが上限に達したため質問を受け付けませんでした (${pending.ts})。`, difyScheduler.stats());
+            try {
+                await client.chat.update({
+                    channel: event.channel,
+                    ts: pending.ts,
+                    text: "ただいま質問が集中しているため、受け付けできませんでした。",
+                    blocks: convertDifyAnswerToSlackBlocks("🙇 ただいま質問が集中しているため、受け付けできませんでした。\n少し時間をおいてから、もう一度質問してください。"),
+                });
+            } catch (postError) {
+                console.error(`[ERROR] 混雑メッセージのSlackへの投稿に失敗しました: ${postError.message}`);
+            }
+            return;
+        }
+        console.error('[ERROR] Dify連携処理中にエラーが発生しました:', error);
+        try {
+            await client.chat.update({
+                channel: event.channel,
+                ts: pending.ts,
+                text: `すみません、AIとの連携処理でエラーが発生しました！\n\`\`\`${error.message}\`\`\``,
+                blocks: [],
+            });
+        } catch (postError) {
+            console.error(`[ERROR] エラーメッセージのSlackへの投稿に失敗しました: ${postError.message}`);
         }
     } finally {
         if (parentCheckTimeout) clearTimeout(parentCheckTimeout);
+        if (schedulerSlot) schedulerSlot.release();
+        inFlightAnswers.delete(pending.ts);
     }
 }
 
 
-// Slackの投稿上限でメッセージを分割する関数
-function splitMessage(text, maxBytes = 2900) {
-    const result = [];
-    let buffer = '';
-    let bufferBytes = 0;
-    for (const char of text) {
-        const charBytes = Buffer.byteLength(char, 'utf8');
-        if (bufferBytes + charBytes > maxBytes) {
-            result.push(buffer);
-            buffer = '';
-            bufferBytes = 0;
+/**
+ * 回答中の処理を親スレッドの削除により中止する関数
+ * ストリーミングを中断し、Difyのタスクも停止します（仮メッセージは callDifyChatApi 側で削除する）。
+ * @param {object} inFlight - inFlightAnswers に登録した回答中の状態
+ */
+async function abortInFlightAnswer(inFlight) {
+    if (inFlight.parentDeleted) return;
+    inFlight.parentDeleted = true;
+    inFlight.controller.abort();
+    if (inFlight.taskId) {
+        try {
+            await stopDifyTask(inFlight.taskId, inFlight.user, inFlight.route);
+        } catch (error) {
+            console.warn('[WARN] 親スレッドの削除に伴うDifyタスクの停止に失敗しました:', error.message);
         }
-        buffer += char;
-        bufferBytes += charBytes;
     }
-    if (buffer) {
-        result.push(buffer);
+}
+
+/**
+ * 削除されたメッセージを親とするスレッドで回答中の処理をすべて中止する関数（message_deleted・tombstone のイベントから呼ばれる）
+ * @param {string} channel - チャンネルID
+ * @param {string} deletedTs - 削除されたメッセージのts
+ */
+async function abortAnswersInDeletedThread(channel, deletedTs) {
+    const targets = [...inFlightAnswers.entries()]
+        .filter(([, inFlight]) => inFlight.channel === channel && inFlight.threadTs === deletedTs && !inFlight.parentDeleted);
+    for (const [pendingTs, inFlight] of targets) {
+        console.log(`[INFO] 親スレッド(${deletedTs})が削除されたため、回答(${pendingTs})を中止します。`);
+        await abortInFlightAnswer(inFlight);
     }
-    return result;
 }
 
-// DifyのMarkdownをSlack向けに整形する関数
-function formatForSlack(text) {
-    return text
-        .replace(/^[*-] (.*)$/gm, '- $1')
-        .replace(/\*\*([^\*]+?)\*\*/g, '*$1*')
-        .replace(/^###### (.*)$/gm, '*$1*')
-        .replace(/^##### (.*)$/gm, '*$1*')
-        .replace(/^#### (.*)$/gm, '*$1*')
-        .replace(/^### (.*)$/gm, '*$1*')
-        .replace(/^## (.*)$/gm, '*$1*')
-        .replace(/^# (.*)$/gm, '*$1*')
-        .replace(/^[*]{3,}$/gm, '');
+// 1スレッドで覚えておく「質問 -> 回答」の件数（古いものから忘れる）
+const ANSWERED_MESSAGES_PER_THREAD = 20;
+
+/**
+ * 会話レコードの answers（質問のts -> 回答のts）に1件追加したものを返す関数
+ * @param {object} [answers] - 既存の answers
+ * @param {string} questionTs - 質問メッセージのts
+ * @param {string} answerTs - 回答メッセージ（複数に分かれた場合は最初のメッセージ）のts
+ * @returns {object} 更新後の answers
+ */
+function recordAnsweredMessage(answers, questionTs, answerTs) {
+    const entries = Object.entries(answers || {}).filter(([ts]) => ts !== questionTs);
+    entries.push([questionTs, answerTs]);
+    return Object.fromEntries(entries.slice(-ANSWERED_MESSAGES_PER_THREAD));
+}
+
+/**
+ * チャンネルでの回答をユーザーのDMにも届ける関数
+ * @param {object} params
+ * @param {object} params.client - Slack WebClient
+ * @param {string} params.user - 届け先のSlackユーザーID
+ * @param {string} params.channel - 回答したチャンネルID
+ * @param {string} params.answerTs - 回答メッセージのts
+ * @param {{text: string, blocks: Array<object>}} params.message - 回答の最初のメッセージ
+ */
+async function sendAnswerToDm({ client, user, channel, answerTs, message }) {
+    try {
+        const dm = await client.conversations.open({ users: user });
+        const permalink = await getThreadPermalink(client, `${channel}-${answerTs}`);
+        await client.chat.postMessage({
+            channel: dm.channel.id,
+            text: message.text,
+            blocks: [
+                ...message.blocks,
+                { "type": "context", "elements": [{ "type": "mrkdwn", "text": permalink ? `💬 <${permalink}|スレッドで回答しました>（続きの質問はスレッドでどうぞ）` : '💬 チャンネルのスレッドで回答しました。' }] }
+            ]
+        });
+    } catch (e) {
+        console.warn(`[WARN] 回答のDMへの送信に失敗しました (${user}):`, e.data ? e.data.error : e.message);
+    }
+}
+
+// 質問文がない時に、文字起こしをそのまま質問として扱う長さの上限
+const TRANSCRIPT_QUERY_MAX_CHARS = 500;
+
+/**
+ * 音声・動画の文字起こしの全文を、スレッドにテキストファイル（折りたたみ表示）として投稿する関数
+ * @param {object} params
+ * @param {object} params.client - Slack WebClient
+ * @param {object} params.event - 元のSlackイベント
+ * @param {object} params.result - preprocessFilesの文字起こし結果（name, transcript）
+ */
+async function postTranscriptToThread({ client, event, result }) {
+    try {
+        await client.files.uploadV2({
+            channel_id: event.channel,
+            thread_ts: event.thread_ts || event.ts,
+            content: result.transcript,
+            filename: `${path.basename(result.name, path.extname(result.name))}_文字起こし.txt`,
+            title: `📝 文字起こし: ${result.name}`
+        });
+    } catch (e) {
+        console.warn(`[WARN] 文字起こしのスレッドへの投稿に失敗しました (${result.name}):`, e.data ? e.data.error : e.message);
+    }
 }
 
 /**
@@ -326,21 +689,18 @@ async function downloadFile(fileUrl, token) {
  * @param {Buffer} fileBuffer - アップロードするファイルのBuffer
  * @param {string} fileName - 元のファイル名
  * @param {string} user - SlackユーザーID
- * @param {string} difyApiKey - DifyのAPIキー
+ * @param {object} route - アップロード先のDifyアプリのルート
  * @returns {Promise<object>} Difyからのアップロード結果
  */
-async function uploadFileToDify(fileBuffer, fileName, user, difyApiKey) {
+async function uploadFileToDify(fileBuffer, fileName, user, route) {
     const formData = new FormData();
     formData.append('user', user);
     formData.append('file', fileBuffer, { filename: fileName });
 
     try {
-        const response = await fetch('https://dify.app.uzabase.com/v1/files/upload', {
+        const response = await fetch(`${route.baseUrl}/files/upload`, {
             method: 'POST',
-            headers: {
-                ...formData.getHeaders(),
-                'Authorization': `Bearer ${difyApiKey}`
-            },
+            headers: difyHeaders(route, formData.getHeaders()),
             body: formData
         });
 
@@ -356,72 +716,69 @@ async function uploadFileToDify(fileBuffer, fileName, user, difyApiKey) {
 }
 
 /**
- * ファイルのMIMEタイプからDify用のファイルタイプを決定するヘルパー関数
- * @param {string} mimetype - ファイルのMIMEタイプ (e.g., 'image/png', 'application/pdf')
- * @returns {string} 'image', 'audio', 'video', または 'document'
+ * Difyのメッセージフィードバック（👍/👎）APIに評価を送信する関数
+ * @param {object} params
+ * @param {string} params.messageId - Difyのmessage_id
+ * @param {string|null} params.rating - 'like', 'dislike'、または取り消し時はnull
+ * @param {string} params.user - 会話の所有者（質問したSlackユーザーID）
+ * @param {string} [params.content] - 評価の理由
+ * @param {object} params.route - 回答したDifyアプリのルート
+ * @returns {Promise<object>} Difyからのレスポンス
  */
-function getDifyFileType(mimetype) {
-    if (!mimetype) return 'document';
-    if (mimetype.startsWith('image/')) return 'image';
-    if (mimetype.startsWith('audio/')) return 'audio';
-    if (mimetype.startsWith('video/')) return 'video';
-    return 'document';
+async function sendDifyMessageFeedback({ messageId, rating, user, content, route }) {
+    const response = await fetch(`${route.baseUrl}/messages/${messageId}/feedbacks`, {
+        method: 'POST',
+        headers: difyHeaders(route, { 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ rating, user, content })
+    });
+
+    if (!response.ok) {
+        const errorBody = await response.text();
+        throw new Error(`Dify API Error (feedback): Status ${response.status}, Body: ${errorBody}`);
+    }
+    return await response.json();
 }
 
 /**
- * 複数のローカルファイルのアップロードをテストする関数
- * @param {Array<string>} localFilePaths - テストしたいローカルファイルのパスの配列
+ * Difyのストリーミング中のタスクを停止する関数
+ * @param {string} taskId - ストリームで受け取ったtask_id
+ * @param {string} user - 質問したSlackユーザーID
+ * @param {object} route - 回答中のDifyアプリのルート
+ * @returns {Promise<object>} Difyからのレスポンス
  */
-async function testLocalFileUpload(localFilePaths) {
-    console.log(`[TEST] ローカルファイルテストを開始: ${localFilePaths.join(', ')}`);
-    try {
-        const user = 'local-test-user';
-
-        const uploadPromises = localFilePaths.map(async (localFilePath) => {
-            const fileBuffer = await fs.readFile(localFilePath);
-            const fileName = path.basename(localFilePath);
-            console.log(`[TEST] ファイル読み込み完了: ${fileName}`);
-            return uploadFileToDify(fileBuffer, fileName, user, process.env.DIFY_API_KEY);
-        });
-
-        const difyUploadResults = await Promise.all(uploadPromises);
-        console.log('[TEST] Difyへの全ファイルアップロード成功');
-
-        const difyFilesPayload = difyUploadResults.map(result => ({
-            type: getDifyFileType(result.mime_type),
-            transfer_method: 'local_file',
-            upload_file_id: result.id
-        }));
-
-        console.log('[TEST] DifyチャットAPIにテストクエリを送信します...');
-        const testQuery = `アップロードしたファイル群について、それぞれ内容を要約してください。`;
-        console.log(difyFilesPayload);
-        
-        const response = await fetch("https://dify.app.uzabase.com/v1/chat-messages", {
-            method: "POST",
-            headers: { "Content-Type": "application/json", "Authorization": `Bearer ${process.env.DIFY_API_KEY}` },
-            body: JSON.stringify({
-                inputs: {
-                    "uploaded_files": difyFilesPayload
-                },
-                query: testQuery,
-                response_mode: "blocking",
-                conversation_id: "",
-                user: user,
-            })
-        });
+async function stopDifyTask(taskId, user, route) {
+    const response = await fetch(`${route.baseUrl}/chat-messages/${taskId}/stop`, {
+        method: 'POST',
+        headers: difyHeaders(route, { 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ user })
+    });
 
-        if (!response.ok) {
-            const errorBody = await response.text();
-            throw new Error(`Dify APIエラー (テストチャット): Status ${response.status}, Body: ${errorBody}`);
-        }
+    if (!response.ok) {
+        const errorBody = await response.text();
+        throw new Error(`Dify API Error (stop): Status ${response.status}, Body: ${errorBody}`);
+    }
+    return await response.json();
+}
 
-        const result = await response.json();
-        console.log('[TEST] Difyからのテスト応答:', result.answer);
+/**
+ * ユーザーのDify会話一覧を取得する関数
+ * @param {string} user - SlackユーザーID（Difyのuser）
+ * @param {object} route - 会話を取得するDifyアプリのルート
+ * @param {number} [limit=10] - 取得する件数
+ * @returns {Promise<Array<object>>} Difyの会話（id, name, created_at, updated_at など）の配列
+ */
+async function fetchDifyConversations(user, route, limit = 10) {
+    const params = new URLSearchParams({ user, limit: String(limit), sort_by: '-updated_at' });
+    const response = await fetch(`${route.baseUrl}/conversations?${params.toString()}`, {
+        headers: difyHeaders(route)
+    });
 
-    } catch (error) {
-        console.error('[TEST] ローカルファイルテスト中にエラーが発生しました:', error);
+    if (!response.ok) {
+        const errorBody = await response.text();
+        throw new Error(`Dify API Error (conversations): Status ${response.status}, Body: ${errorBody}`);
     }
+    const result = await response.json();
+    return result.data || [];
 }
 
 /**
@@ -440,36 +797,87 @@ async function processEvent({ event, client, context, logger }) {
     }
 
     let difyFilesPayload = [];
+    let overrideText; // 文字起こしを質問文として使う場合に設定する
     const hasFiles = event.files && event.files.length > 0;
 
     try {
+        // チャンネルに応じて問い合わせ先のDifyアプリを決める（ファイルのアップロード先も同じアプリにする）
+        const route = await resolveDifyRoute({ client, channel: event.channel, channelType: event.channel_type });
+
+        // 短時間に質問が集中した場合は、ファイルの処理やDifyへの問い合わせを行わずに断る
+        const rateLimit = difyScheduler.checkRateLimit({ user: event.user, channel: event.channel });
+        if (!rateLimit.allowed) {
+            logger.warn(`[RateLimit] ${event.user} の質問を制限しました (${rateLimit.scope}, ${rateLimit.retryAfterSeconds}秒後に再開)`);
+            const target = rateLimit.scope === 'user' ? 'あなたからの質問' : 'このチャンネルでの質問';
+            await client.chat.postEphemeral({
+                channel: event.channel,
+                user: event.user,
+                thread_ts: event.thread_ts || event.ts,
+                text: `🙇 短時間に${target}が続いたため、一時的に受け付けを止めています。${rateLimit.retryAfterSeconds}秒ほどおいてから、もう一度質問してください。`
+            });
+            return;
+        }
+
         if (hasFiles) {
-            logger.info(`${event.files.length}個のファイルを処理します...`);
-            
-            const uploadPromises = event.files.map(async (file) => {
-                if (!file.url_private_download) {
-                    logger.warn(`ファイル ${file.name} にダウンロードURLがありません。スキップします。`);
-                    return null;
-                }
-                const fileBuffer = await downloadFile(file.url_private_download, context.botToken);
-                const difyUploadResult = await uploadFileToDify(fileBuffer, file.name, event.user, process.env.DIFY_API_KEY);
-                const fileType = getDifyFileType(file.mimetype);
-                return {
-                    type: fileType,
-                    transfer_method: 'local_file',
-                    upload_file_id: difyUploadResult.id
-                };
-            });
-
-            difyFilesPayload = (await Promise.all(uploadPromises)).filter(p => p !== null);
-            logger.info('全てのファイルのアップロードが完了しました。');
-        }
+            logger.info(`${event.files.length}個のファイルを処理します...`);
+
+            // Difyアプリのアップロード設定に合わせて検査・変換してから送信する
+            const results = await preprocessFiles(event.files, file => downloadFile(getSlackDownloadUrl(file), context.botToken), route, event.user);
+
+            // 音声・動画の文字起こしは、全文をスレッドに折りたたまれたテキストファイルとして投稿する
+            const transcribed = results.filter(result => result.transcript);
+            for (const result of transcribed) {
+                await postTranscriptToThread({ client, event, result });
+            }
+
+            // 質問文がなく、短い録音が1件だけなら、文字起こしをそのまま質問として扱う
+            const userText = (event.text || '').replace(/<@U[0-9A-Z]+>\s*/, '').trim();
+            const useTranscriptAsQuery = !userText && transcribed.length === 1 && transcribed[0].transcript.length <= TRANSCRIPT_QUERY_MAX_CHARS
+                && results.every(result => result === transcribed[0] || !result.upload);
+            if (useTranscriptAsQuery) {
+                overrideText = transcribed[0].transcript;
+                delete transcribed[0].upload;
+            } else if (transcribed.length > 0) {
+                // 文書ファイルを受け付けないアプリでは、文字起こしを質問文に含めて送る
+                const inlineTranscripts = transcribed.filter(result => !result.upload)
+                    .map(result => `\n---\n文字起こし（${result.name}）:\n${result.transcript}`);
+                overrideText = `${userText || '添付した録音・録画の内容について、要点を教えてください。'}${inlineTranscripts.join('')}`;
+            }
+
+            const uploadPromises = results.filter(result => result.upload).map(async ({ upload }) => {
+                const difyUploadResult = await uploadFileToDify(upload.buffer, upload.fileName, event.user, route);
+                return {
+                    type: upload.type,
+                    transfer_method: 'local_file',
+                    upload_file_id: difyUploadResult.id
+                };
+            });
+
+            difyFilesPayload = await Promise.all(uploadPromises);
+            logger.info(`ファイルの前処理とアップロードが完了しました。送信: ${difyFilesPayload.length}件 / 添付: ${results.length}件`);
+
+            // ファイルごとの扱い（送信・変換・スキップ）をスレッドに表示する
+            const reportBlock = createPreprocessReportBlock(results);
+            await client.chat.postMessage({
+                channel: event.channel,
+                thread_ts: event.thread_ts || event.ts,
+                text: reportBlock.elements[0].text,
+                blocks: [reportBlock]
+            });
+
+            if (difyFilesPayload.length === 0 && !userText && !overrideText) {
+                logger.info('送信できるファイルも質問文もないため、Difyへの問い合わせをスキップします。');
+                return;
+            }
+        }
 
         // Dify APIを呼び出す
         await callDifyChatApi({
             event: event,
             client: client,
-            files: difyFilesPayload
+            overrideText: overrideText,
+            files: difyFilesPayload,
+            route: route
         });
 
     } catch (error) {
@@ -482,88 +890,724 @@ async function processEvent({ event, client, context, logger }) {
     }
 }
 
-// ロックファイル用のディレクトリを定義
-const LOCK_DIR = './.locks';
+/**
+ * メンション・DMのイベントを重複排除した上で処理する共通関数
+ * Slackの再送（context.retryNum / retryReason）や、同じメッセージがメンションとDMの両方で
+ * 届いた場合でも、1つのメッセージには一度だけ回答します。
+ * @param {object} params
+ * @param {object} params.event - Slackのイベントペイロード
+ * @param {object} params.client - Slack WebClient
+ * @param {object} params.context - イベントのコンテキスト
+ * @param {object} params.logger - ロガー
+ * @param {string} params.source - ログ用の経路名（'Mention' または 'DM'）
+ */
+async function handleIncomingMessage({ event, client, context, logger, source }) {
+    const deduplicationKey = `${event.channel}-${event.ts}`;
+    const { claimed, reason } = await eventDeduper.claim(deduplicationKey, {
+        retryNum: context.retryNum,
+        retryReason: context.retryReason
+    });
+    if (!claimed) {
+        logger.warn(`[Dedupe] 重複イベント (${deduplicationKey}) のため処理をスキップします。状態: ${reason}`);
+        return;
+    }
+    if (context.retryNum) {
+        logger.info(`[Dedupe] Slackからの再送イベントを処理します (${deduplicationKey})。再送回数: ${context.retryNum}, 理由: ${context.retryReason}`);
+    }
 
-// アプリケーション起動時にロック用のディレクトリを作成
-(async () => {
     try {
-        await fs.mkdir(LOCK_DIR, { recursive: true });
+        await processEvent({ event, client, context, logger });
+        eventDeduper.complete(deduplicationKey);
+    } catch (error) {
+        logger.error(`[${source}] イベント処理中にエラーが発生しました:`, error);
+        // 処理できなかったイベントはSlackの再送で再び処理できるようにする
+        eventDeduper.release(deduplicationKey);
+    }
+}
+
+// 回答済みの質問が編集された時の動作
+//   button: 質問者にだけ「編集後の内容で再回答」ボタンを表示する（既定）
+//   auto  : 編集後の内容で自動的に回答し直す
+//   off   : 何もしない
+const EDIT_REANSWER_MODE = ['button', 'auto', 'off'].includes(process.env.EDIT_REANSWER_MODE) ? process.env.EDIT_REANSWER_MODE : 'button';
+
+/**
+ * 編集されたメッセージに対するボットの回答を探す関数
+ * @param {string} channel - チャンネルID
+ * @param {object} message - 編集後のメッセージ
+ * @returns {Promise<{answerTs: string, threadTs: string}|null>} 回答が見つからない場合は null
+ */
+async function findAnswerForMessage(channel, message) {
+    const threadTs = message.thread_ts || message.ts;
+    const record = await conversationStore.get(`${channel}-${threadTs}`);
+    const answerTs = record && record.answers ? record.answers[message.ts] : null;
+    return answerTs ? { answerTs, threadTs } : null;
+}
+
+/**
+ * 以前の回答に「質問が編集されたため古い内容です」という注記を付ける関数
+ * @param {object} params
+ * @param {object} params.client - Slack WebClient
+ * @param {string} params.channel - チャンネルID
+ * @param {string} params.threadTs - スレッドのts
+ * @param {string} params.answerTs - 以前の回答のts
+ */
+async function markAnswerSuperseded({ client, channel, threadTs, answerTs }) {
+    try {
+        const result = await client.conversations.replies({
+            channel,
+            ts: threadTs,
+            oldest: answerTs,
+            latest: answerTs,
+            inclusive: true,
+            limit: 1
+        });
+        const answer = (result.messages || []).find(message => message.ts === answerTs);
+        if (!answer) return;
+        const blocks = (answer.blocks || []).filter(block => block.block_id !== 'superseded_notice');
+        await client.chat.update({
+            channel,
+            ts: answerTs,
+            text: answer.text,
+            blocks: [
+                {
+                    "type": "context",
+                    "block_id": "superseded_notice",
+                    "elements": [{ "type": "mrkdwn", "text": "⚠️ 質問が編集されたため、この回答は編集前の内容に対するものです。" }]
+                },
+                ...blocks
+            ]
+        });
     } catch (e) {
-        console.error("ロックディレクトリの作成に失敗しました。", e);
+        console.warn(`[WARN] 以前の回答(${answerTs})への注記に失敗しました:`, e.data ? e.data.error : e.message);
     }
-})();
+}
+
+/**
+ * 編集後の内容で回答し直す関数
+ * 同じ編集に対して二重に回答しないよう、編集時刻を含めたキーで重複排除します。
+ * @param {object} params
+ * @param {object} params.event - 編集後のメッセージ（channel, channel_type を含む）
+ * @param {object} params.answer - findAnswerForMessage の結果
+ * @param {object} params.client - Slack WebClient
+ * @param {object} params.context - イベントのコンテキスト
+ * @param {object} params.logger - ロガー
+ */
+async function reanswerEditedMessage({ event, answer, client, context, logger }) {
+    const deduplicationKey = `${event.channel}-${event.ts}-edited-${event.edited ? event.edited.ts : ''}`;
+    const { claimed } = await eventDeduper.claim(deduplicationKey, {});
+    if (!claimed) {
+        logger.info(`[Edit] 編集後の内容には既に回答しています (${deduplicationKey})。`);
+        return;
+    }
+    logger.info(`[Edit] 編集されたメッセージ(${event.ts})に回答し直します。以前の回答: ${answer.answerTs}`);
+    try {
+        await markAnswerSuperseded({ client, channel: event.channel, threadTs: answer.threadTs, answerTs: answer.answerTs });
+        await processEvent({ event, client, context, logger });
+        eventDeduper.complete(deduplicationKey);
+    } catch (error) {
+        logger.error('[Edit] 再回答中にエラーが発生しました:', error);
+        eventDeduper.release(deduplicationKey);
+    }
+}
+
+/**
+ * 回答済みの質問が編集された時（message_changed）の処理
+ * チャンネルでの編集を受け取るには、Slackアプリで message.channels / message.groups の
+ * イベントを購読しておく必要があります。
+ * @param {object} params
+ * @param {object} params.event - message_changed イベント
+ * @param {object} params.client - Slack WebClient
+ * @param {object} params.context - イベントのコンテキスト
+ * @param {object} params.logger - ロガー
+ */
+async function handleEditedMessage({ event, client, context, logger }) {
+    const edited = event.message;
+    const previous = event.previous_message || {};
+    if (EDIT_REANSWER_MODE === 'off' || !edited || edited.bot_id || edited.subtype) return;
+    // リンクの展開などでも message_changed が届くため、本文が変わった場合だけ扱う
+    if ((edited.text || '') === (previous.text || '')) return;
+    // チャンネルでは、編集後もボットへのメンションが残っている場合だけ回答し直す
+    const isDirectMessage = event.channel_type === 'im';
+    if (!isDirectMessage && !(edited.text || '').includes(`<@${context.botUserId}>`)) return;
+
+    const answer = await findAnswerForMessage(event.channel, edited);
+    if (!answer) return;
+
+    const editedEvent = { ...edited, channel: event.channel, channel_type: event.channel_type };
+    if (EDIT_REANSWER_MODE === 'auto') {
+        await reanswerEditedMessage({ event: editedEvent, answer, client, context, logger });
+        return;
+    }
+
+    await client.chat.postEphemeral({
+        channel: event.channel,
+        user: edited.user,
+        thread_ts: answer.threadTs,
+        text: '質問が編集されました。編集後の内容で回答し直しますか？',
+        blocks: [
+            {
+                "type": "section",
+                "text": { "type": "mrkdwn", "text": "✏️ 質問が編集されました。編集後の内容で回答し直しますか？" },
+                "accessory": {
+                    "type": "button",
+                    "text": { "type": "plain_text", "text": "編集後の内容で再回答", "emoji": true },
+                    "style": "primary",
+                    "action_id": "reanswer_edited",
+                    "value": JSON.stringify({ channel: event.channel, channelType: event.channel_type, ts: edited.ts, threadTs: answer.threadTs })
+                }
+            }
+        ]
+    });
+}
 
 // 1. メンション専用リスナー
 app.event('app_mention', async ({ body, client, context, logger }) => {
     if (body.event.bot_id || body.event.subtype) {
         return;
     }
-    
-    const deduplicationKey = `${body.event.user}-${body.event.ts}`;
-    const lockFilePath = path.join(LOCK_DIR, deduplicationKey.replace(/[^a-zA-Z0-9.-]/g, '_'));
+    await handleIncomingMessage({ event: body.event, client, context, logger, source: 'Mention' });
+});
 
-    try {
-        // 'wx'フラグは、ファイルが存在しない場合にのみ書き込みを成功させるアトミックな操作です
-        await fs.writeFile(lockFilePath, new Date().toISOString(), { flag: 'wx' });
-    } catch (error) {
-        // ファイル作成に失敗した場合（＝ファイルが既に存在する場合）、それは重複イベントを意味します
-        logger.warn(`[LOCK] 重複キー (${deduplicationKey}) のため処理をスキップします。`);
+// 2. DM専用リスナー
+app.message(async ({ message, body, client, context, logger }) => {
+    // 削除イベントが届いたチャンネルでは、以降は親スレッドの削除をポーリングせずに検知する
+    if (body.event.subtype === 'message_deleted') {
+        deletionEventChannels.add(body.event.channel);
+        await abortAnswersInDeletedThread(body.event.channel, body.event.deleted_ts);
+        return;
+    }
+    // 返信のある親メッセージ（回答中の仮メッセージも返信に含まれる）の削除は、tombstone への変更として届く
+    if (body.event.subtype === 'message_changed' && body.event.message && body.event.message.subtype === 'tombstone') {
+        deletionEventChannels.add(body.event.channel);
+        await abortAnswersInDeletedThread(body.event.channel, body.event.message.ts);
+        return;
+    }
+    if (body.event.subtype === 'message_changed') {
+        try {
+            await handleEditedMessage({ event: body.event, client, context, logger });
+        } catch (error) {
+            logger.error('[Edit] 編集されたメッセージの処理中にエラーが発生しました:', error);
+        }
         return;
     }
+    if (body.event.bot_id || body.event.subtype) {
+        return;
+    }
+
+    if (message.channel_type === 'im') {
+        await handleIncomingMessage({ event: message, client, context, logger, source: 'DM' });
+    }
+});
 
-    logger.info(`[LOCK] ロックを取得しました: ${deduplicationKey}`);
+/**
+ * 評価ボタンが押された時の共通処理
+ * Difyへ評価を送信し、ローカルに記録した上で、ボタンを評価結果の表示に置き換えます。
+ * @param {object} params
+ * @param {object} params.body - アクションのペイロード
+ * @param {object} params.client - Slack WebClient
+ * @param {object} params.logger - ロガー
+ * @param {string} params.rating - 'like' または 'dislike'
+ */
+async function handleFeedbackAction({ body, client, logger, rating }) {
+    const action = body.actions[0];
+    const { messageId, askedBy, route: routeName } = JSON.parse(action.value);
+    const channel = body.channel.id;
+    const messageTs = body.message.ts;
 
     try {
-        await processEvent({ event: body.event, client, context, logger });
+        await sendDifyMessageFeedback({ messageId, rating, user: askedBy, route: getDifyRoute(routeName) });
     } catch (error) {
-        logger.error('[Mention] イベント処理中にエラーが発生しました:', error);
-    } finally {
-        // 処理が成功しても失敗しても、必ずロックファイルを削除します
-        try {
-            await fs.unlink(lockFilePath);
-            logger.info(`[LOCK] ロックを解放しました: ${deduplicationKey}`);
-        } catch (unlinkError) {
-            logger.error(`[LOCK] ロックファイルの解放に失敗しました (${lockFilePath}):`, unlinkError);
+        logger.error('[Feedback] Difyへの評価送信に失敗しました:', error);
+        await client.chat.postEphemeral({
+            channel,
+            user: body.user.id,
+            thread_ts: body.message.thread_ts,
+            text: '評価の送信に失敗しました。時間をおいて再度お試しください。'
+        });
+        return false;
+    }
+
+    await appendFeedback({ channel, messageTs, difyMessageId: messageId, rating, ratedBy: body.user.id });
+    logger.info(`[Feedback] ${body.user.id} が回答(${messageId})を ${rating} と評価しました。`);
+
+    const label = rating === 'like' ? '👍 役に立った' : '👎 役に立たなかった';
+    const blocks = body.message.blocks.map(block => block.block_id === 'answer_feedback'
+        ? {
+            "type": "context",
+            "block_id": "answer_feedback",
+            "elements": [{ "type": "mrkdwn", "text": `${label} と <@${body.user.id}> さんが評価しました。フィードバックありがとうございます！` }]
         }
+        : block);
+    try {
+        await client.chat.update({ channel, ts: messageTs, text: body.message.text, blocks });
+    } catch (e) {
+        logger.warn('[Feedback] 評価結果の表示更新に失敗しました:', e.message);
     }
+    return true;
+}
+
+// 👍ボタン
+app.action('feedback_like', async ({ ack, body, client, logger }) => {
+    await ack();
+    await handleFeedbackAction({ body, client, logger, rating: 'like' });
 });
 
-// 2. DM専用リスナー
-app.message(async ({ message, body, client, context, logger }) => {
-    if (body.event.bot_id || body.event.subtype) {
+// 👎ボタン: 評価を送信した上で「どこが違ったか」を任意で入力するモーダルを開く
+app.action('feedback_dislike', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    // trigger_id は3秒で失効するため、Difyへの評価送信より先に理由入力モーダルを開く
+    const { messageId, askedBy, route: routeName } = JSON.parse(body.actions[0].value);
+    try {
+        await client.views.open({
+            trigger_id: body.trigger_id,
+            view: {
+                "type": "modal",
+                "callback_id": "feedback_dislike_reason",
+                "private_metadata": JSON.stringify({ messageId, askedBy, route: routeName, channel: body.channel.id, messageTs: body.message.ts }),
+                "title": { "type": "plain_text", "text": "回答へのフィードバック" },
+                "submit": { "type": "plain_text", "text": "送信" },
+                "close": { "type": "plain_text", "text": "スキップ" },
+                "blocks": [
+                    {
+                        "type": "input",
+                        "block_id": "reason",
+                        "optional": true,
+                        "label": { "type": "plain_text", "text": "どこが違いましたか？（任意）" },
+                        "element": {
+                            "type": "plain_text_input",
+                            "action_id": "reason_text",
+                            "multiline": true,
+                            "placeholder": { "type": "plain_text", "text": "例: 規程の改定前の内容で回答している" }
+                        }
+                    }
+                ]
+            }
+        });
+    } catch (e) {
+        logger.warn('[Feedback] 理由入力モーダルの表示に失敗しました:', e.message);
+    }
+    await handleFeedbackAction({ body, client, logger, rating: 'dislike' });
+});
+
+// 👎の理由入力モーダルの送信
+app.view('feedback_dislike_reason', async ({ ack, body, view, logger }) => {
+    await ack();
+    const reason = (view.state.values.reason.reason_text.value || '').trim();
+    if (!reason) return;
+
+    const { messageId, askedBy, route: routeName, channel, messageTs } = JSON.parse(view.private_metadata);
+    try {
+        await sendDifyMessageFeedback({ messageId, rating: 'dislike', user: askedBy, content: reason, route: getDifyRoute(routeName) });
+    } catch (error) {
+        logger.error('[Feedback] Difyへの理由送信に失敗しました:', error);
+    }
+    await appendFeedback({ channel, messageTs, difyMessageId: messageId, rating: 'dislike', ratedBy: body.user.id, reason });
+});
+
+// 「回答を停止」ボタン: Difyのタスクを停止し、ストリーミングを即座に打ち切る
+app.action('stop_generating', async ({ ack, body, client, logger }) => {
+    await ack();
+    const pendingTs = body.message.ts;
+    const inFlight = inFlightAnswers.get(pendingTs);
+
+    if (!inFlight) {
+        await client.chat.postEphemeral({
+            channel: body.channel.id,
+            user: body.user.id,
+            thread_ts: body.message.thread_ts,
+            text: 'この回答は既に完了しているため停止できません。'
+        });
+        return;
+    }
+    // Difyのタスクも止まるため、質問した本人だけが停止できる
+    if (inFlight.user !== body.user.id) {
+        await client.chat.postEphemeral({
+            channel: body.channel.id,
+            user: body.user.id,
+            thread_ts: body.message.thread_ts,
+            text: '質問した本人のみ回答を停止できます。'
+        });
         return;
     }
+    if (inFlight.stopRequested) return;
 
-    if (message.channel_type === 'im') {
-        const deduplicationKey = `${message.user}-${message.ts}`;
-        const lockFilePath = path.join(LOCK_DIR, deduplicationKey.replace(/[^a-zA-Z0-9.-]/g, '_'));
+    inFlight.stopRequested = true;
+    logger.info(`[Stop] ${body.user.id} が回答(${pendingTs})の停止を要求しました。task_id: ${inFlight.taskId || '（未取得）'}`);
 
+    if (inFlight.taskId) {
         try {
-            // 'wx'フラグは、ファイルが存在しない場合にのみ書き込みを成功させるアトミックな操作です
-            await fs.writeFile(lockFilePath, new Date().toISOString(), { flag: 'wx' });
+            await stopDifyTask(inFlight.taskId, inFlight.user, inFlight.route);
         } catch (error) {
-            // ファイル作成に失敗した場合（＝ファイルが既に存在する場合）、それは重複イベントを意味します
-            logger.warn(`[LOCK] 重複キー (${deduplicationKey}) のため処理をスキップします。`);
-            return;
+            logger.warn('[Stop] Difyタスクの停止に失敗しました:', error.message);
         }
+    }
+    inFlight.controller.abort();
+});
+
+// 「編集後の内容で再回答」ボタン
+app.action('reanswer_edited', async ({ ack, body, client, context, respond, logger }) => {
+    await ack();
+    const { channel, channelType, ts, threadTs } = JSON.parse(body.actions[0].value);
+    try {
+        await respond({ delete_original: true });
+    } catch (e) {
+        logger.warn('[Edit] 再回答ボタンの削除に失敗しました:', e.message);
+    }
 
-        logger.info(`[LOCK] ロックを取得しました: ${deduplicationKey}`);
+    // ボタンを押すまでに再度編集されている場合もあるため、最新の内容を取得し直す
+    const result = await client.conversations.replies({ channel, ts: threadTs, oldest: ts, latest: ts, inclusive: true, limit: 1 });
+    const message = (result.messages || []).find(item => item.ts === ts);
+    if (!message) {
+        await client.chat.postEphemeral({ channel, user: body.user.id, thread_ts: threadTs, text: '質問のメッセージが見つからないため、回答し直せませんでした。' });
+        return;
+    }
+    const answer = await findAnswerForMessage(channel, message);
+    if (!answer) return;
+    await reanswerEditedMessage({ event: { ...message, channel, channel_type: channelType }, answer, client, context, logger });
+});
 
-        try {
-            await processEvent({ event: message, client, context, logger });
-        } catch (error) {
-            logger.error('[DM] イベント処理中にエラーが発生しました:', error);
-        } finally {
-            // 処理が成功しても失敗しても、必ずロックファイルを削除します
-            try {
-                await fs.unlink(lockFilePath);
-                logger.info(`[LOCK] ロックを解放しました: ${deduplicationKey}`);
-            } catch (unlinkError) {
-                logger.error(`[LOCK] ロックファイルの解放に失敗しました (${lockFilePath}):`, unlinkError);
+/**
+ * ユーザーのApp Homeタブを最新の状態で表示する関数
+ * @param {object} client - Slack WebClient
+ * @param {string} user - SlackユーザーID
+ */
+async function publishHomeView(client, user) {
+    const preferences = await userPreferences.get(user);
+
+    const entries = (await conversationStore.entries())
+        .filter(([, record]) => record.user === user)
+        .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+        .slice(0, 10);
+    const recentQuestions = [];
+    for (const [conversationKey, record] of entries) {
+        recentQuestions.push({
+            question: record.lastQuestion,
+            permalink: await getThreadPermalink(client, conversationKey),
+            updatedAt: record.updatedAt,
+            messageCount: record.messageCount,
+        });
+    }
+
+    // 使い方の案内には、Homeから質問した時の回答先（DM）のDifyアプリの開始メッセージを使う
+    let openingStatement = '';
+    let suggestedQuestions = [];
+    try {
+        const route = await resolveDifyRoute({ client, channel: '', channelType: 'im' });
+        const parameters = await fetchDifyParameters(route);
+        openingStatement = parameters.opening_statement || '';
+        suggestedQuestions = parameters.suggested_questions || [];
+    } catch (e) {
+        console.warn('[WARN] Difyアプリの開始メッセージを取得できませんでした:', e.message);
+    }
+
+    await client.views.publish({
+        user_id: user,
+        view: buildHomeView({ preferences, recentQuestions, openingStatement, suggestedQuestions })
+    });
+}
+
+// App Homeタブを開いた時
+app.event('app_home_opened', async ({ event, client, logger }) => {
+    if (event.tab !== 'home') return;
+    try {
+        await publishHomeView(client, event.user);
+    } catch (error) {
+        logger.error('[Home] App Homeの表示に失敗しました:', error);
+    }
+});
+
+// Homeの「新しく質問する」ボタン
+app.action('home_new_question', async ({ ack, body, client, logger }) => {
+    await ack();
+    try {
+        await client.views.open({ trigger_id: body.trigger_id, view: buildNewQuestionModal() });
+    } catch (e) {
+        logger.warn('[Home] 質問モーダルの表示に失敗しました:', e.message);
+    }
+});
+
+// 質問モーダルの送信: DMに質問を投稿し、そのスレッドで回答する
+app.view('home_new_question_modal', async ({ ack, body, view, client, context, logger }) => {
+    await ack();
+    const user = body.user.id;
+    const question = (view.state.values.question.question_text.value || '').trim();
+    if (!question) return;
+
+    try {
+        const dm = await client.conversations.open({ users: user });
+        const posted = await client.chat.postMessage({
+            channel: dm.channel.id,
+            text: `❓ ${question}`,
+            blocks: [
+                { "type": "section", "text": { "type": "mrkdwn", "text": `❓ *<@${user}> さんの質問*\n${escapeSlackText(question)}` } }
+            ]
+        });
+        // 投稿した質問をユーザーからのDMとして処理する（以降の追加の質問はこのスレッドで受け付ける）
+        await processEvent({
+            event: { type: 'message', channel: dm.channel.id, channel_type: 'im', user, text: question, ts: posted.ts },
+            client,
+            context,
+            logger
+        });
+        await publishHomeView(client, user);
+    } catch (error) {
+        logger.error('[Home] Homeからの質問の処理に失敗しました:', error);
+    }
+});
+
+// Homeの設定: 回答の言語
+app.action('home_pref_language', async ({ ack, body, client, logger }) => {
+    await ack();
+    const language = body.actions[0].selected_option.value;
+    await userPreferences.set(body.user.id, { language });
+    logger.info(`[Home] ${body.user.id} が回答の言語を ${language} に設定しました。`);
+    await publishHomeView(client, body.user.id).catch(e => logger.warn('[Home] App Homeの更新に失敗しました:', e.message));
+});
+
+// Homeの設定: チャンネルでの回答をDMでも受け取る
+app.action('home_pref_answer_in_dm', async ({ ack, body, client, logger }) => {
+    await ack();
+    const answerInDm = body.actions[0].selected_options.length > 0;
+    await userPreferences.set(body.user.id, { answerInDm });
+    logger.info(`[Home] ${body.user.id} がDMでの回答受け取りを ${answerInDm ? 'ON' : 'OFF'} に設定しました。`);
+    await publishHomeView(client, body.user.id).catch(e => logger.warn('[Home] App Homeの更新に失敗しました:', e.message));
+});
+
+const OPS_COMMAND_HELP = [
+    '*`/ops` コマンドの使い方*',
+    '• `/ops status [スレッドのリンク]` : スレッドに対応するDifyの会話ID・やり取りの回数・最終利用日時を表示',
+    '• `/ops reset [スレッドのリンク]` : スレッドの会話をリセットし、次の質問から新しい会話として扱う',
+    '• `/ops history` : 自分の最近のDifyの会話を一覧表示',
+    '• `/ops help` : このヘルプを表示',
+    'スレッドのリンク（「リンクをコピー」で取得したURL）を省略した場合は、このチャンネルで自分が最後に質問したスレッドが対象になります。',
+].join('\n');
+
+/**
+ * /ops コマンドの対象となるスレッドの会話ストアのキーを決める関数
+ * スレッドのリンクが指定されていればそのスレッド、なければこのチャンネルで自分が最後に質問したスレッドを返す
+ * @param {object} command - スラッシュコマンドのペイロード
+ * @param {string} arg - サブコマンドに続く引数
+ * @returns {Promise<string|null>} `${channel}-${threadTs}` 形式のキー
+ */
+async function resolveCommandConversationKey(command, arg) {
+    const permalinkMatch = arg.match(/\/archives\/([A-Z0-9]+)\/p(\d{10})(\d{6})(?:\?.*thread_ts=(\d+\.\d+))?/);
+    if (permalinkMatch) {
+        const [, channel, seconds, micros, threadTs] = permalinkMatch;
+        return `${channel}-${threadTs || `${seconds}.${micros}`}`;
+    }
+    if (/^\d+\.\d+$/.test(arg)) {
+        return `${command.channel_id}-${arg}`;
+    }
+
+    const entries = await conversationStore.entries();
+    const latest = entries
+        .filter(([, record]) => record.channel === command.channel_id && record.user === command.user_id)
+        .sort((a, b) => b[1].updatedAt - a[1].updatedAt)[0];
+    return latest ? latest[0] : null;
+}
+
+async function getThreadPermalink(client, conversationKey) {
+    const separatorIndex = conversationKey.indexOf('-');
+    try {
+        const res = await client.chat.getPermalink({
+            channel: conversationKey.slice(0, separatorIndex),
+            message_ts: conversationKey.slice(separatorIndex + 1)
+        });
+        return res.permalink;
+    } catch (e) {
+        return null;
+    }
+}
+
+// /ops スラッシュコマンド: スレッドとDifyの会話の対応を確認・リセットする（返信は本人にだけ表示）
+app.command('/ops', async ({ command, ack, respond, client, logger }) => {
+    await ack();
+    const [subcommand = 'help', ...rest] = (command.text || '').trim().split(/\s+/).filter(Boolean);
+    const arg = rest.join(' ').replace(/^<|>$/g, '');
+    const reply = (text) => respond({ response_type: 'ephemeral', text });
+
+    try {
+        switch (subcommand.toLowerCase()) {
+            case 'status': {
+                const conversationKey = await resolveCommandConversationKey(command, arg);
+                const record = conversationKey ? await conversationStore.get(conversationKey) : null;
+                if (!record) {
+                    await reply('対象のスレッドにDifyの会話はありません。次の質問から新しい会話が始まります。');
+                    return;
+                }
+                const permalink = await getThreadPermalink(client, conversationKey);
+                await reply([
+                    '*スレッドの会話状況*',
+                    `• スレッド: ${permalink ? `<${permalink}|リンク>` : conversationKey}`,
+                    `• Difyアプリ: ${record.route || 'default'}`,
+                    `• Difyの会話ID: \`${record.conversationId}\``,
+                    `• やり取りの回数: ${record.messageCount !== undefined ? `${record.messageCount}回` : '不明'}`,
+                    `• 最終利用: ${formatDateTime(record.updatedAt)}`,
+                ].join('\n'));
+                return;
+            }
+            case 'reset': {
+                const conversationKey = await resolveCommandConversationKey(command, arg);
+                const deleted = conversationKey ? await conversationStore.delete(conversationKey) : false;
+                if (!deleted) {
+                    await reply('対象のスレッドにリセットする会話はありません。');
+                    return;
+                }
+                logger.info(`[Command] ${command.user_id} がスレッド(${conversationKey})の会話をリセットしました。`);
+                await reply('スレッドの会話をリセットしました。次の質問から新しい会話として回答します。');
+                return;
+            }
+            case 'history': {
+                // このチャンネルに対応するDifyアプリの会話を表示する
+                const route = await resolveDifyRoute({ client, channel: command.channel_id, channelType: command.channel_name === 'directmessage' ? 'im' : undefined });
+                const conversations = await fetchDifyConversations(command.user_id, route, 10);
+                if (conversations.length === 0) {
+                    await reply('Difyの会話履歴はまだありません。');
+                    return;
+                }
+                // Difyの会話IDから、その会話が行われたSlackのスレッドを逆引きする
+                const threadByConversationId = new Map(
+                    (await conversationStore.entries()).map(([key, record]) => [record.conversationId, key])
+                );
+                const lines = [];
+                for (const conversation of conversations) {
+                    const conversationKey = threadByConversationId.get(conversation.id);
+                    const permalink = conversationKey ? await getThreadPermalink(client, conversationKey) : null;
+                    const name = conversation.name || '（無題）';
+                    lines.push(`• ${permalink ? `<${permalink}|${name}>` : name}（最終更新: ${formatDateTime(conversation.updated_at || conversation.created_at)}）`);
+                }
+                await reply(`*最近のDifyの会話*\n${lines.join('\n')}`);
+                return;
+            }
+            case 'help':
+                await reply(OPS_COMMAND_HELP);
+                return;
+            default:
+                await reply(`不明なサブコマンドです: \`${subcommand}\`\n\n${OPS_COMMAND_HELP}`);
+        }
+    } catch (error) {
+        logger.error(`[Command] /ops ${subcommand} の処理中にエラーが発生しました:`, error);
+        await reply(`処理中にエラーが発生しました: ${error.message}`);
+    }
+});
+
+// メッセージショートカット「Opsボットに聞く」: 選択したメッセージ（とファイル）について質問するモーダルを開く
+app.shortcut({ callback_id: 'ask_ops_bot', type: 'message_action' }, async ({ shortcut, ack, client, logger }) => {
+    await ack();
+    const message = shortcut.message;
+    const files = message.files || [];
+    const messageText = (message.text || '').slice(0, 3000);
+
+    const blocks = [
+        {
+            "type": "input",
+            "block_id": "message",
+            "optional": true,
+            "label": { "type": "plain_text", "text": "対象のメッセージ" },
+            "element": {
+                "type": "plain_text_input",
+                "action_id": "message_text",
+                "multiline": true,
+                ...(messageText ? { "initial_value": messageText } : {})
+            }
+        },
+        {
+            "type": "input",
+            "block_id": "instruction",
+            "optional": true,
+            "label": { "type": "plain_text", "text": "追加の指示（任意）" },
+            "element": {
+                "type": "plain_text_input",
+                "action_id": "instruction_text",
+                "multiline": true,
+                "placeholder": { "type": "plain_text", "text": "例: 要約して / この請求書の勘定科目は？" }
+            }
+        }
+    ];
+    if (files.length > 0) {
+        blocks.push({
+            "type": "context",
+            "elements": [{ "type": "mrkdwn", "text": `📎 添付ファイルも一緒に送信します: ${files.map(file => escapeSlackText(file.name || file.title || 'file')).join(', ')}` }]
+        });
+    }
+
+    try {
+        await client.views.open({
+            trigger_id: shortcut.trigger_id,
+            view: {
+                "type": "modal",
+                "callback_id": "ask_ops_bot_modal",
+                // ファイルの詳細は送信時に files.info で取り直すため、IDだけを保持する
+                "private_metadata": JSON.stringify({
+                    channel: shortcut.channel.id,
+                    messageTs: message.ts,
+                    threadTs: message.thread_ts || message.ts,
+                    fileIds: files.map(file => file.id)
+                }),
+                "title": { "type": "plain_text", "text": "Opsボットに聞く" },
+                "submit": { "type": "plain_text", "text": "質問する" },
+                "close": { "type": "plain_text", "text": "キャンセル" },
+                "blocks": blocks
             }
+        });
+    } catch (e) {
+        logger.warn('[Shortcut] 質問モーダルの表示に失敗しました:', e.message);
+    }
+});
+
+// 「Opsボットに聞く」モーダルの送信: 元のメッセージのスレッド（投稿できなければDM）で回答する
+app.view('ask_ops_bot_modal', async ({ ack, body, view, client, context, logger }) => {
+    await ack();
+    const user = body.user.id;
+    const { channel, messageTs, threadTs, fileIds } = JSON.parse(view.private_metadata);
+    const messageText = (view.state.values.message.message_text.value || '').trim();
+    const instruction = (view.state.values.instruction.instruction_text.value || '').trim();
+    const question = [
+        instruction || 'このメッセージについて教えてください。',
+        ...(messageText ? ['---', messageText] : [])
+    ].join('\n');
+
+    const files = [];
+    for (const fileId of fileIds) {
+        try {
+            const res = await client.files.info({ file: fileId });
+            files.push(res.file);
+        } catch (e) {
+            logger.warn(`[Shortcut] ファイル情報の取得に失敗したため除外します (${fileId}):`, e.data ? e.data.error : e.message);
+        }
+    }
+
+    const headerText = `🙋 <@${user}> さんがOpsボットに質問しました${instruction ? `: ${escapeSlackText(instruction)}` : ''}`;
+    let questionEvent;
+    try {
+        // まず元のメッセージのスレッドに質問を投稿し、そのスレッドで回答する
+        const posted = await client.chat.postMessage({ channel, thread_ts: threadTs, text: headerText });
+        questionEvent = { type: 'message', channel, user, text: question, ts: posted.ts, thread_ts: threadTs, files };
+    } catch (e) {
+        const error = e.data ? e.data.error : e.message;
+        logger.info(`[Shortcut] 元のスレッドに投稿できないため、DMで回答します (${channel}-${messageTs}): ${error}`);
+        try {
+            const dm = await client.conversations.open({ users: user });
+            const permalink = await getThreadPermalink(client, `${channel}-${messageTs}`);
+            const posted = await client.chat.postMessage({
+                channel: dm.channel.id,
+                text: headerText,
+                blocks: [
+                    { "type": "section", "text": { "type": "mrkdwn", "text": `${headerText}\n${messageText ? `>${escapeSlackText(messageText).slice(0, 500).replace(/\n/g, '\n>')}` : ''}` } },
+                    { "type": "context", "elements": [{ "type": "mrkdwn", "text": permalink ? `元のメッセージ: <${permalink}|リンク>（ボットが参加していないため、DMで回答します）` : 'ボットが参加していない会話のため、DMで回答します。' }] }
+                ]
+            });
+            questionEvent = { type: 'message', channel: dm.channel.id, channel_type: 'im', user, text: question, ts: posted.ts, files };
+        } catch (dmError) {
+            logger.error('[Shortcut] DMへの投稿にも失敗しました:', dmError);
+            return;
         }
     }
+
+    // メンションやDMと同じ処理で、ファイルの前処理・Difyへの問い合わせ・回答の投稿を行う
+    await processEvent({ event: questionEvent, client, context, logger });
 });
 
 // 接続確立・切断時のログ出力
@@ -582,16 +1626,13 @@ app.receiver.client.on('disconnected', (event) => {
 });
 
 (async () => {
+    if (isReplayMode) {
+        console.log('[INFO] リプレイモードのため、Slackには接続しません。');
+        return;
+    }
     try {
         await app.start();
         console.log('⚡️ 本番用Dify連携ボットが起動しました！！');
-        
-        // ★ テスト用: 複数・多種類のローカルファイルアップロードのテストを実行
-        // 使用するには、プロジェクトのルートにテストしたいファイルを配置し、
-        // 以下の行のコメントを解除してファイルパスの配列を指定してください。
-        //await testLocalFileUpload(['./Ops起案・案件管理.pdf', './レコーディング 2025-08-07 070852.mp4']); 
-        //await testLocalFileUpload(['./レコーディング 2025-08-07 070852.mp4','./Ops起案・案件管理.pdf']); 
-
     } catch (err) {
         console.error('[FATAL] Slackアプリ起動時エラー:', err);
         process.exit(1);
@@ -600,7 +1641,8 @@ app.receiver.client.on('disconnected', (event) => {
 
 process.on('uncaughtException', (err) => {
     console.error('[FATAL] 未処理例外:', err);
-    process.exit(1);
+    // 再起動後も会話や重複排除の状態を引き継げるよう、各ストアの書き込みを待ってから終了する
+    Promise.allSettled([conversationStore.flush(), eventDeduper.flush()]).finally(() => process.exit(1));
 });
 
 const gracefulShutdown = async (signal) => {
@@ -608,6 +1650,8 @@ const gracefulShutdown = async (signal) => {
   try {
     // Boltアプリの接続を正常に終了させます
     await app.stop();
+    await conversationStore.flush();
+    await eventDeduper.flush();
     console.log('✅ シャットダウンが完了しました。');
     process.exit(0);
   } catch (error) {
@@ -618,4 +1662,7 @@ const gracefulShutdown = async (signal) => {
 
 // Ctrl+C (SIGINT) やその他の終了シグナルを捕捉します
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
\ No newline at end of file
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+// リプレイハーネス（shared/replay）からイベントを流し込むために公開する
+export { app, processEvent };
@@ -0,0 +1,160 @@
+/**
+ * Difyへの問い合わせの同時実行数と、ユーザー・チャンネルごとの利用回数を制限するスケジューラー
+ *
+ *   DIFY_MAX_CONCURRENCY        : Difyへ同時に問い合わせる最大数（既定: 3）
+ *   DIFY_MAX_QUEUE              : 順番待ちできる最大数（既定: 20、超えた分は受け付けない）
+ *   RATE_LIMIT_PER_USER         : 1ユーザーが期間内に質問できる回数（既定: 5、0で無制限）
+ *   RATE_LIMIT_PER_CHANNEL      : 1チャンネルで期間内に質問できる回数（既定: 20、0で無制限）
+ *   RATE_LIMIT_WINDOW_SECONDS   : 回数を数える期間（既定: 60秒）
+ */
+
+function readNumber(name, defaultValue) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && !Number.isNaN(value) ? value : defaultValue;
+}
+
+/**
+ * 一定期間内の回数を数えるスライディングウィンドウ方式のカウンターを作成する関数
+ * @param {number} limit - 期間内の上限回数（0以下で無制限）
+ * @param {number} windowMs - 期間（ミリ秒）
+ * @returns {{check: function(string): number, hit: function(string): void}}
+ *   check: 上限に達している場合は次に受け付けられるまでのミリ秒、達していなければ0を返す
+ *   hit  : 1回分を記録する
+ */
+function createRateCounter(limit, windowMs) {
+    const hits = new Map(); // key -> 記録した時刻の配列（古い順）
+
+    function prune(key, now) {
+        const timestamps = (hits.get(key) || []).filter(time => now - time < windowMs);
+        if (timestamps.length > 0) hits.set(key, timestamps);
+        else hits.delete(key);
+        return timestamps;
+    }
+
+    return {
+        check(key) {
+            if (limit <= 0 || !key) return 0;
+            const now = Date.now();
+            const timestamps = prune(key, now);
+            return timestamps.length >= limit ? windowMs - (now - timestamps[0]) : 0;
+        },
+        hit(key) {
+            if (limit <= 0 || !key) return;
+            const timestamps = prune(key, Date.now());
+            timestamps.push(Date.now());
+            hits.set(key, timestamps);
+        },
+    };
+}
+
+/**
+ * スケジューラーを作成する関数
+ * @param {object} [options]
+ * @param {number} [options.maxConcurrent] - 同時実行数
+ * @param {number} [options.maxQueue] - 順番待ちの最大数
+ * @param {number} [options.userLimit] - ユーザーごとの期間内の上限回数
+ * @param {number} [options.channelLimit] - チャンネルごとの期間内の上限回数
+ * @param {number} [options.windowMs] - 回数を数える期間（ミリ秒）
+ * @returns {object} { checkRateLimit, acquire, stats }
+ */
+function createRequestScheduler({
+    maxConcurrent = readNumber('DIFY_MAX_CONCURRENCY', 3),
+    maxQueue = readNumber('DIFY_MAX_QUEUE', 20),
+    userLimit = readNumber('RATE_LIMIT_PER_USER', 5),
+    channelLimit = readNumber('RATE_LIMIT_PER_CHANNEL', 20),
+    windowMs = readNumber('RATE_LIMIT_WINDOW_SECONDS', 60) * 1000,
+} = {}) {
+    const userCounter = createRateCounter(userLimit, windowMs);
+    const channelCounter = createRateCounter(channelLimit, windowMs);
+    const waiting = []; // { resolve, reject, onQueued }
+    let running = 0;
+
+    // 順番待ちの各リクエストに現在の順番を通知する
+    function notifyPositions() {
+        waiting.forEach((entry, index) => {
+            if (entry.position === index + 1) return;
+            entry.position = index + 1;
+            Promise.resolve(entry.onQueued(entry.position)).catch(e => {
+                console.warn('[WARN] 順番待ちの表示更新に失敗しました:', e.message);
+            });
+        });
+    }
+
+    function createSlot() {
+        let released = false;
+        return {
+            release() {
+                if (released) return;
+                released = true;
+                running--;
+                const next = waiting.shift();
+                if (next) {
+                    running++;
+                    next.resolve(createSlot());
+                    notifyPositions();
+                }
+            },
+        };
+    }
+
+    return {
+        /**
+         * ユーザー・チャンネルの利用回数を確認し、上限内であれば1回分を記録する
+         * @param {object} params
+         * @param {string} params.user - SlackユーザーID
+         * @param {string} params.channel - チャンネルID
+         * @returns {{allowed: boolean, scope?: string, retryAfterSeconds?: number}}
+         */
+        checkRateLimit({ user, channel }) {
+            const userWait = userCounter.check(user);
+            if (userWait > 0) return { allowed: false, scope: 'user', retryAfterSeconds: Math.ceil(userWait / 1000) };
+            const channelWait = channelCounter.check(channel);
+            if (channelWait > 0) return { allowed: false, scope: 'channel', retryAfterSeconds: Math.ceil(channelWait / 1000) };
+            userCounter.hit(user);
+            channelCounter.hit(channel);
+            return { allowed: true };
+        },
+
+        /**
+         * Difyへの問い合わせの実行枠を取得する（空きがなければ順番待ちにする）
+         * 処理が終わったら必ず slot.release() を呼び出すこと
+         * @param {object} [params]
+         * @param {function(number): Promise<void>} [params.onQueued] - 順番待ちになった時・順番が進んだ時に呼ばれる
+         * @param {AbortSignal} [params.signal] - 順番待ちを取り消すためのシグナル
+         * @returns {Promise<{release: function(): void}>} 実行枠
+         */
+        acquire({ onQueued = () => {}, signal } = {}) {
+            if (running < maxConcurrent) {
+                running++;
+                return Promise.resolve(createSlot());
+            }
+            if (waiting.length >= maxQueue) {
+                const error = new Error('問い合わせの順番待ちが上限に達しています。');
+                error.code = 'QUEUE_FULL';
+                return Promise.reject(error);
+            }
+            return new Promise((resolve, reject) => {
+                const entry = { resolve, reject, onQueued, position: 0 };
+                waiting.push(entry);
+                if (signal) {
+                    signal.addEventListener('abort', () => {
+                        const index = waiting.indexOf(entry);
+                        if (index === -1) return;
+                        waiting.splice(index, 1);
+                        const error = new Error('順番待ち中に取り消されました。');
+                        error.name = 'AbortError';
+                        reject(error);
+                        notifyPositions();
+                    }, { once: true });
+                }
+                notifyPositions();
+            });
+        },
+
+        stats() {
+            return { running, waiting: waiting.length, maxConcurrent };
+        },
+    };
+}
+
+export { createRequestScheduler };
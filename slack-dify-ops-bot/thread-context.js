@@ -0,0 +1,157 @@
+/**
+ * 既存のスレッドの途中でボットがメンションされた時に、それまでのやり取りを
+ * Difyへ渡せる形（発言者名つきの会話ログ）にまとめるモジュール
+ *
+ *   THREAD_CONTEXT_MAX_TOKENS      : 会話ログに使うトークン数の目安（既定: 2000、0で無効）
+ *   THREAD_CONTEXT_MODE            : 'prefix'（質問文の前に付ける、既定）または 'input'（Difyの入力変数で渡す）
+ *   THREAD_CONTEXT_INPUT_VARIABLE  : 'input' の場合の入力変数名（既定: thread_context）
+ */
+
+const THREAD_CONTEXT_MAX_TOKENS = process.env.THREAD_CONTEXT_MAX_TOKENS !== undefined
+    ? Number(process.env.THREAD_CONTEXT_MAX_TOKENS) || 0
+    : 2000;
+const THREAD_CONTEXT_MODE = process.env.THREAD_CONTEXT_MODE === 'input' ? 'input' : 'prefix';
+const THREAD_CONTEXT_INPUT_VARIABLE = process.env.THREAD_CONTEXT_INPUT_VARIABLE || 'thread_context';
+const MAX_REPLY_PAGES = 5; // conversations.repliesを読むページ数の上限（1ページ200件）
+
+// SlackユーザーID -> 表示名のキャッシュ
+const userNameCache = new Map();
+let botUserIdPromise = null;
+
+/**
+ * テキストのトークン数を大まかに見積もる関数
+ * 日本語などの全角文字は1文字≒1トークン、英数字は4文字≒1トークンとして数える
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    let asciiChars = 0;
+    let otherChars = 0;
+    for (const char of text) {
+        if (char.charCodeAt(0) < 0x80) asciiChars++;
+        else otherChars++;
+    }
+    return otherChars + Math.ceil(asciiChars / 4);
+}
+
+function getBotUserId(client) {
+    if (!botUserIdPromise) {
+        botUserIdPromise = client.auth.test().then(res => res.user_id).catch(e => {
+            botUserIdPromise = null;
+            throw e;
+        });
+    }
+    return botUserIdPromise;
+}
+
+async function resolveUserName(client, userId) {
+    if (userNameCache.has(userId)) return userNameCache.get(userId);
+    let name = userId;
+    try {
+        const res = await client.users.info({ user: userId });
+        const profile = res.user.profile || {};
+        name = profile.display_name || profile.real_name || res.user.real_name || res.user.name || userId;
+    } catch (e) {
+        console.warn(`[WARN] ユーザー名の取得に失敗しました (${userId}):`, e.data ? e.data.error : e.message);
+    }
+    userNameCache.set(userId, name);
+    return name;
+}
+
+// 本文中の <@U123> や <#C123|name> などのSlack記法を読める形に置き換える
+async function replaceSlackMarkup(client, text) {
+    const mentionedIds = [...new Set([...text.matchAll(/<@([UW][0-9A-Z]+)(?:\|[^>]*)?>/g)].map(match => match[1]))];
+    const names = new Map();
+    for (const userId of mentionedIds) {
+        names.set(userId, await resolveUserName(client, userId));
+    }
+    return text
+        .replace(/<@([UW][0-9A-Z]+)(?:\|[^>]*)?>/g, (_, userId) => `@${names.get(userId)}`)
+        .replace(/<#[CG][0-9A-Z]+\|([^>]*)>/g, '#$1')
+        .replace(/<!(here|channel|everyone)>/g, '@$1')
+        .replace(/<(https?:\/\/[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+        .replace(/<(https?:\/\/[^>]+)>/g, '$1');
+}
+
+async function fetchThreadMessages(client, channel, threadTs) {
+    const messages = [];
+    let cursor;
+    for (let page = 0; page < MAX_REPLY_PAGES; page++) {
+        const res = await client.conversations.replies({ channel, ts: threadTs, limit: 200, cursor });
+        messages.push(...(res.messages || []));
+        cursor = res.response_metadata && res.response_metadata.next_cursor;
+        if (!res.has_more || !cursor) break;
+    }
+    return messages;
+}
+
+/**
+ * メンションより前のスレッドの発言を取得し、トークン数の目安に収まる会話ログを作成する関数
+ * 親メッセージは常に残し、収まらない場合は古い返信から省略する
+ * @param {object} params
+ * @param {object} params.client - Slack WebClient
+ * @param {string} params.channel - チャンネルID
+ * @param {string} params.threadTs - スレッドの親メッセージのts
+ * @param {string} params.beforeTs - メンションされたメッセージのts（これより前の発言を対象にする）
+ * @param {number} [params.maxTokens] - トークン数の目安
+ * @returns {Promise<string>} 「発言者: 本文」を改行でつないだ会話ログ（発言がなければ空文字）
+ */
+async function buildThreadTranscript({ client, channel, threadTs, beforeTs, maxTokens = THREAD_CONTEXT_MAX_TOKENS }) {
+    if (maxTokens <= 0) return '';
+
+    const botUserId = await getBotUserId(client);
+    const messages = (await fetchThreadMessages(client, channel, threadTs))
+        .filter(message => Number(message.ts) < Number(beforeTs))
+        // ボット自身の回答や進捗表示はDify側の会話履歴ではないため含めない
+        .filter(message => message.user !== botUserId)
+        .filter(message => (message.text || '').trim() !== '' || (message.files && message.files.length > 0));
+
+    const lines = [];
+    for (const message of messages) {
+        const speaker = message.user
+            ? await resolveUserName(client, message.user)
+            : (message.bot_profile && message.bot_profile.name) || message.username || 'bot';
+        let text = await replaceSlackMarkup(client, (message.text || '').trim());
+        if (message.files && message.files.length > 0) {
+            text += `${text ? ' ' : ''}[添付: ${message.files.map(file => file.name || file.title).join(', ')}]`;
+        }
+        lines.push(`${speaker}: ${text}`);
+    }
+    if (lines.length === 0) return '';
+
+    // 親メッセージ + 新しい返信から順に、目安に収まるだけ採用する
+    const [root, ...replies] = lines;
+    let budget = maxTokens - estimateTokens(root);
+    const kept = [];
+    for (let i = replies.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(replies[i]) + 1;
+        if (cost > budget) break;
+        kept.unshift(replies[i]);
+        budget -= cost;
+    }
+
+    const omitted = replies.length - kept.length;
+    const rootLine = budget < 0 ? `${root.slice(0, maxTokens)}…` : root;
+    return [rootLine, ...(omitted > 0 ? [`（途中の${omitted}件の発言を省略）`] : []), ...kept].join('\n');
+}
+
+/**
+ * 会話ログをDifyへのリクエストに反映する関数
+ * @param {object} params
+ * @param {string} params.transcript - buildThreadTranscriptの結果
+ * @param {string} params.query - ユーザーの質問文
+ * @param {object} params.inputs - Difyのinputs
+ * @returns {{query: string, inputs: object}} 会話ログを反映したqueryとinputs
+ */
+function applyThreadTranscript({ transcript, query, inputs }) {
+    if (!transcript) return { query, inputs };
+    if (THREAD_CONTEXT_MODE === 'input') {
+        return { query, inputs: { ...inputs, [THREAD_CONTEXT_INPUT_VARIABLE]: transcript } };
+    }
+    return {
+        query: `以下はこのSlackスレッドでのこれまでのやり取りです。\n---\n${transcript}\n---\n上記を踏まえて質問に答えてください。\n質問: ${query}`,
+        inputs,
+    };
+}
+
+export { buildThreadTranscript, applyThreadTranscript };
@@ -0,0 +1,77 @@
+import fs from 'fs/promises';
+import { writeJsonAtomic } from '../shared/json-file.js';
+
+/**
+ * App Homeで設定するユーザーごとの設定（回答の言語・DMでの回答受け取り）を保持するストア
+ * 保存先: USER_PREFERENCES_PATH（既定: ./.data/preferences.json）
+ */
+
+const DEFAULT_PREFERENCES = {
+    language: 'auto', // 'auto' | 'ja' | 'en'
+    answerInDm: false, // チャンネルでの回答をDMにも届けるか
+};
+
+// 回答の言語ごとの表示名と、Difyへの質問に付け加える指示
+const ANSWER_LANGUAGES = {
+    auto: { label: '質問と同じ言語', instruction: '' },
+    ja: { label: '日本語', instruction: '（回答は日本語でお願いします）' },
+    en: { label: 'English', instruction: '(Please answer in English.)' },
+};
+
+/**
+ * ユーザー設定のストアを作成する関数
+ * @param {object} [options]
+ * @param {string} [options.filePath] - 保存先のJSONファイルパス
+ * @returns {{get: function(string): Promise<object>, set: function(string, object): Promise<object>}}
+ */
+function createUserPreferences({ filePath = process.env.USER_PREFERENCES_PATH || './.data/preferences.json' } = {}) {
+    let preferences = null;
+    let writing = Promise.resolve();
+
+    async function ensureLoaded() {
+        if (preferences) return preferences;
+        try {
+            preferences = JSON.parse(await fs.readFile(filePath, 'utf8')).users || {};
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`[ERROR] ユーザー設定の読み込みに失敗しました。既定の設定で起動します (${filePath}):`, e);
+            }
+            preferences = preferences || {};
+        }
+        return preferences;
+    }
+
+    async function writeToDisk() {
+        try {
+            await writeJsonAtomic(filePath, { version: 1, users: preferences });
+        } catch (e) {
+            console.error(`[ERROR] ユーザー設定の書き込みに失敗しました (${filePath}):`, e);
+        }
+    }
+
+    return {
+        async get(user) {
+            const all = await ensureLoaded();
+            return { ...DEFAULT_PREFERENCES, ...(all[user] || {}) };
+        },
+        async set(user, values) {
+            const all = await ensureLoaded();
+            all[user] = { ...(all[user] || {}), ...values, updatedAt: Date.now() };
+            // 設定の変更は頻繁ではないため、変更のたびに書き込む
+            writing = writing.then(writeToDisk);
+            await writing;
+            return { ...DEFAULT_PREFERENCES, ...all[user] };
+        },
+    };
+}
+
+/**
+ * 回答の言語の設定に応じて、Difyへの質問に付け加える指示を返す関数
+ * @param {string} language - ユーザー設定の language
+ * @returns {string} 指示（'auto'の場合は空文字）
+ */
+function getLanguageInstruction(language) {
+    return (ANSWER_LANGUAGES[language] || ANSWER_LANGUAGES.auto).instruction;
+}
+
+export { createUserPreferences, getLanguageInstruction, ANSWER_LANGUAGES };
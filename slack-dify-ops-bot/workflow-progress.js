@@ -0,0 +1,76 @@
+/**
+ * チャットフローの node_started / node_finished イベントから、
+ * 「🔎 ナレッジ検索中 → 🧠 回答生成中」のような進捗表示を組み立てるモジュール
+ */
+
+// Difyのノード種別ごとの表示ラベル（ここにない種別はノードのタイトルで表示する）
+const NODE_TYPE_LABELS = {
+    'knowledge-retrieval': '🔎 ナレッジ検索中',
+    'question-classifier': '🗂️ 質問を分類中',
+    'parameter-extractor': '🧩 条件を整理中',
+    'document-extractor': '📄 ファイルを読み取り中',
+    'llm': '🧠 回答生成中',
+    'agent': '🤖 エージェント実行中',
+    'tool': '🛠️ ツール実行中',
+    'http-request': '🌐 外部サービスに問い合わせ中',
+    'iteration': '🔁 繰り返し処理中',
+    'loop': '🔁 繰り返し処理中',
+    'code': '⚙️ データを処理中',
+};
+
+// 利用者に見せる必要のない制御系のノード
+const HIDDEN_NODE_TYPES = new Set([
+    'start', 'end', 'answer', 'if-else', 'variable-assigner', 'variable-aggregator', 'assigner', 'template-transform', 'list-operator',
+]);
+
+/**
+ * ワークフローの進捗を追跡するオブジェクトを作成する関数
+ * @param {number} [startedAt=Date.now()] - 経過時間の起点
+ * @returns {{handleEvent: function(object): boolean, toBlock: function(): (object|null), steps: Array<string>}}
+ *   handleEvent: ストリームのイベントを渡し、表示が変わった場合にtrueを返す
+ *   toBlock    : 現在の進捗を表すSlackのcontextブロック（進捗がなければnull）
+ */
+function createWorkflowProgress(startedAt = Date.now()) {
+    const steps = []; // 表示するラベルの履歴（連続する同じラベルはまとめる）
+
+    function labelFor(nodeData) {
+        if (!nodeData || HIDDEN_NODE_TYPES.has(nodeData.node_type)) return null;
+        return NODE_TYPE_LABELS[nodeData.node_type] || (nodeData.title ? `⏳ ${nodeData.title}` : null);
+    }
+
+    return {
+        steps,
+        handleEvent(event) {
+            const nodeData = event.data;
+            if (event.event === 'node_started') {
+                const label = labelFor(nodeData);
+                if (!label) return false;
+                if (steps[steps.length - 1] !== label) {
+                    steps.push(label);
+                    return true;
+                }
+            } else if (event.event === 'node_finished') {
+                if (nodeData && nodeData.status === 'failed') {
+                    steps.push(`⚠️ ${nodeData.title || nodeData.node_type} でエラー`);
+                    return true;
+                }
+            }
+            return false;
+        },
+        toBlock() {
+            if (steps.length === 0) return null;
+            const elapsedSeconds = Math.floor((Date.now() - startedAt) / 1000);
+            // 長いフローでも1行に収まるよう直近の数ステップだけを表示する
+            const visibleSteps = steps.length > 4 ? ['…', ...steps.slice(-4)] : steps;
+            return {
+                "type": "context",
+                "block_id": "workflow_progress",
+                "elements": [
+                    { "type": "mrkdwn", "text": `${visibleSteps.join(' → ')}（経過 ${elapsedSeconds}秒）` }
+                ]
+            };
+        },
+    };
+}
+
+export { createWorkflowProgress };
@@ -3,12 +3,16 @@ import pkg from '@slack/bolt';
 const { App } = pkg;
 import { LogLevel } from '@slack/logger';
 
+// オフライン検証用のリプレイモード（shared/replay）では、Slackに接続せずモックのWeb APIを使う
+const isReplayMode = process.env.BOT_REPLAY_MODE === 'true';
+
 // Slack Appの初期化
 const app = new App({
     socketMode: true,
     appToken: process.env.SLACK_APP_TOKEN,
     token: process.env.SLACK_BOT_TOKEN,
     logLevel: LogLevel.DEBUG,
+    ...(process.env.SLACK_API_URL ? { clientOptions: { slackApiUrl: process.env.SLACK_API_URL } } : {}),
 });
 
 /**
@@ -73,6 +77,10 @@ app.receiver.client.on('disconnected', (event) => {
 
 // アプリケーションの起動
 (async () => {
+    if (isReplayMode) {
+        console.log('[INFO] リプレイモードのため、Slackには接続しません。');
+        return;
+    }
     try {
         await app.start();
         console.log('⚡️ Opsボット案内用ボットが起動しました！');
@@ -87,3 +95,6 @@ process.on('uncaughtException', (err) => {
     console.error('[FATAL] 未処理例外:', err);
     process.exit(1);
 });
+
+// リプレイハーネス（shared/replay）からイベントを流し込むために公開する
+export { app, postMigrationMessage };